@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+// bootstrap-admin.js - Promote the first admin account
+// Usage: node bootstrap-admin.js <email> [--force]
+//
+// Later role changes go through the admin API. --force promotes another
+// account even when an admin already exists.
+const mongoose = require("mongoose");
+require("dotenv").config();
+const User = require("./models/User");
+const SecurityEventService = require("./services/securityEventService");
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const force = args.includes("--force");
+  const email = args.find((arg) => !arg.startsWith("--"));
+
+  if (!email) {
+    console.log("Usage: node bootstrap-admin.js <email> [--force]");
+    return 1;
+  }
+
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/habibi",
+    { serverSelectionTimeoutMS: 5000 }
+  );
+
+  const existingAdmin = await User.findOne({ role: "admin" }).select("email");
+  if (existingAdmin && !force) {
+    console.log(
+      `❌ ${existingAdmin.email} is already an admin. Use the admin API, or pass --force.`
+    );
+    return 1;
+  }
+
+  const user = await User.findOne({ email: email.toLowerCase().trim() });
+  if (!user) {
+    console.log(`❌ No account found for ${email}`);
+    return 1;
+  }
+
+  if (user.role === "admin") {
+    console.log(`ℹ️ ${user.email} is already an admin`);
+    return 0;
+  }
+
+  const previousRole = user.role;
+  await User.updateOne({ _id: user._id }, { role: "admin" });
+
+  await SecurityEventService.record("role_changed", {
+    user,
+    metadata: { from: previousRole, to: "admin", by: "bootstrap-admin" },
+  });
+
+  console.log(`✅ ${user.email} is now an admin`);
+  return 0;
+};
+
+run()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error("❌ Bootstrap failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,19 @@
+// config/boostPolicy.js - Profile boost allowances and ranking
+//
+// Used by services/boostService.js and services/discoveryDeckService.js.
+// Numbers can be overridden from the environment.
+
+module.exports = {
+  durationMinutes: parseInt(process.env.BOOST_DURATION_MINUTES) || 30,
+
+  // Boosts per period for each subscription tier. A period is the calendar
+  // day or month in server time. Tiers not listed get no boosts.
+  allowances: {
+    premium: { limit: 4, period: "month" },
+    gold: { limit: 5, period: "day" },
+  },
+
+  // Boosted profiles nearby are shown ahead of the deck, at most this many
+  // per page so a busy area doesn't turn discovery into boosts only
+  maxBoostedPerPage: parseInt(process.env.BOOST_MAX_PER_PAGE) || 2,
+};
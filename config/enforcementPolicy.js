@@ -0,0 +1,36 @@
+// config/enforcementPolicy.js - Automatic enforcement thresholds
+//
+// Evaluated by services/enforcementService.js whenever a report is filed or
+// resolved. Numbers can be overridden from the environment.
+
+module.exports = {
+  // Hide a user from discovery, pending review, once enough different people
+  // have reported them within the window. Dismissed reports don't count.
+  autoHide: {
+    distinctReporters:
+      parseInt(process.env.ENFORCEMENT_AUTOHIDE_REPORTERS) || 3,
+    windowHours: parseInt(process.env.ENFORCEMENT_AUTOHIDE_WINDOW_HOURS) || 72,
+  },
+
+  // Every report a moderator resolves as actioned is a confirmed violation
+  // and adds strikes. The most serious reasons weigh more.
+  strikes: {
+    expireAfterDays:
+      parseInt(process.env.ENFORCEMENT_STRIKE_EXPIRY_DAYS) || 180,
+    defaultWeight: 1,
+    weightByReason: {
+      underage: 3,
+      violence: 3,
+      hate_speech: 2,
+      harassment: 2,
+    },
+  },
+
+  // What happens as active strikes accumulate. Each step is applied once,
+  // when the strike count first reaches it.
+  ladder: [
+    { strikes: 2, action: "suspend", durationHours: 24 },
+    { strikes: 3, action: "suspend", durationHours: 24 * 7 },
+    { strikes: 4, action: "ban" },
+  ],
+};
@@ -1,6 +1,7 @@
 // middleware/auth.js - FIXED VERSION
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Session = require("../models/Session");
 
 // Enhanced middleware to authenticate JWT token
 const authenticate = async (req, res, next) => {
@@ -67,6 +68,15 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Scoped tokens (2FA challenges etc.) are not access tokens
+    if (decoded.type) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid token",
+        code: "INVALID_TOKEN",
+      });
+    }
+
     // Get user from database with error handling
     let user;
     try {
@@ -88,6 +98,19 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Suspended and banned accounts are told why
+    if (user.isRestricted) {
+      const banned = user.moderation.status === "banned";
+      return res.status(403).json({
+        success: false,
+        message: banned
+          ? "This account has been banned"
+          : "This account is suspended",
+        code: banned ? "ACCOUNT_BANNED" : "ACCOUNT_SUSPENDED",
+        suspendedUntil: user.moderation.suspendedUntil,
+      });
+    }
+
     // Check if user is active
     if (!user.isActive) {
       return res.status(401).json({
@@ -97,6 +120,24 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Check if token was issued before the last forced logout
+    if (!user.isTokenCurrent(decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: "Token has been revoked. Please log in again.",
+        code: "TOKEN_REVOKED",
+      });
+    }
+
+    // Check the token's session hasn't been signed out
+    if (decoded.sid && (await Session.isRevoked(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has been signed out. Please log in again.",
+        code: "SESSION_REVOKED",
+      });
+    }
+
     // Check if account is locked
     if (user.isLocked) {
       return res.status(423).json({
@@ -109,6 +150,7 @@ const authenticate = async (req, res, next) => {
 
     // Add user to request and update last active
     req.user = user;
+    req.sessionId = decoded.sid || null;
 
     // Update last active timestamp (non-blocking)
     User.findByIdAndUpdate(user._id, {
@@ -130,14 +172,22 @@ const authenticate = async (req, res, next) => {
 
 // Generate JWT token with enhanced options
 const generateToken = (userId, options = {}) => {
+  const { sessionId, tokenVersion, ...jwtOptions } = options;
   const payload = { userId };
+  if (sessionId) {
+    payload.sid = sessionId.toString();
+  }
+  if (tokenVersion) {
+    payload.tv = tokenVersion;
+  }
+
   const defaultOptions = {
     expiresIn: "7d",
     issuer: "habibi-app",
     audience: "habibi-users",
   };
 
-  const tokenOptions = { ...defaultOptions, ...options };
+  const tokenOptions = { ...defaultOptions, ...jwtOptions };
 
   return jwt.sign(
     payload,
@@ -146,12 +196,19 @@ const generateToken = (userId, options = {}) => {
   );
 };
 
-// Refresh token functionality
-const generateRefreshToken = (userId) => {
+// Refresh token functionality - sessionId/tokenId tie the token to a Session
+const generateRefreshToken = (userId, options = {}) => {
+  const { sessionId, tokenId, expiresIn = "30d" } = options;
+  const payload = { userId, type: "refresh" };
+  if (sessionId) {
+    payload.sid = sessionId.toString();
+    payload.jti = tokenId;
+  }
+
   return jwt.sign(
-    { userId, type: "refresh" },
+    payload,
     process.env.JWT_REFRESH_SECRET || "your-refresh-secret",
-    { expiresIn: "30d" }
+    { expiresIn }
   );
 };
 
@@ -171,6 +228,77 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+// Short-lived single-purpose tokens (e.g. the 2FA login challenge)
+const generateScopedToken = (userId, type, options = {}) => {
+  const { expiresIn = "5m", claims = {} } = options;
+
+  return jwt.sign(
+    { ...claims, userId, type },
+    process.env.JWT_SECRET || "your-secret-key",
+    { expiresIn, issuer: "habibi-app", audience: `habibi-${type}` }
+  );
+};
+
+// Verify a scoped token was issued for the expected purpose
+const verifyScopedToken = (token, type) => {
+  const decoded = jwt.verify(
+    token,
+    process.env.JWT_SECRET || "your-secret-key",
+    { audience: `habibi-${type}` }
+  );
+  if (decoded.type !== type) {
+    throw new Error("Invalid token type");
+  }
+  return decoded;
+};
+
+// Middleware for the appeal endpoints. Suspended and banned accounts can't get
+// an access token, so they use the scoped appeal token handed out at sign-in.
+const authenticateAppeal = async (req, res, next) => {
+  const authHeader = req.header("Authorization");
+
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return res.status(401).json({
+      success: false,
+      message: "No token provided, authorization denied",
+      code: "NO_TOKEN",
+    });
+  }
+
+  let decoded;
+  try {
+    decoded = verifyScopedToken(authHeader.substring(7), "appeal");
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: "Appeal token is invalid or has expired. Please log in again.",
+      code: "INVALID_APPEAL_TOKEN",
+    });
+  }
+
+  try {
+    const user = await User.findById(decoded.userId).select("-password");
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Token is not valid - user not found",
+        code: "USER_NOT_FOUND",
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error("Appeal auth error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Database error during authentication",
+      code: "DATABASE_ERROR",
+    });
+  }
+};
+
 // Optional middleware for routes that work with or without auth
 const optionalAuth = async (req, res, next) => {
   const authHeader = req.header("Authorization");
@@ -188,7 +316,13 @@ const optionalAuth = async (req, res, next) => {
     );
     const user = await User.findById(decoded.userId).select("-password");
 
-    if (user && user.isActive && !user.isLocked) {
+    if (
+      user &&
+      !decoded.type &&
+      user.isActive &&
+      !user.isLocked &&
+      user.isTokenCurrent(decoded)
+    ) {
       req.user = user;
     } else {
       req.user = null;
@@ -200,10 +334,99 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
+// Whether discovery and messaging are gated on a verified email
+const isEmailVerificationRequired = () =>
+  process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+
+// Middleware to block unverified emails when REQUIRE_EMAIL_VERIFICATION is on
+// (use after authenticate)
+const requireVerifiedEmail = (req, res, next) => {
+  if (isEmailVerificationRequired() && !req.user?.verification?.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: "Please verify your email address to use this feature",
+      code: "EMAIL_NOT_VERIFIED",
+    });
+  }
+
+  next();
+};
+
+// Middleware to block provider sign-ups that haven't finished onboarding
+// (use after authenticate)
+const requireCompletedOnboarding = (req, res, next) => {
+  if (req.user?.onboarding?.status === "pending") {
+    return res.status(403).json({
+      success: false,
+      message: "Please complete your profile to use this feature",
+      code: "ONBOARDING_REQUIRED",
+      missingFields: req.user.onboarding.missingFields,
+    });
+  }
+
+  next();
+};
+
+// Middleware factory to limit a route to staff roles (use after authenticate).
+// Admins pass every role check.
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "No token provided, authorization denied",
+        code: "NO_TOKEN",
+      });
+    }
+
+    if (!req.user.hasRole(...roles)) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have access to this resource",
+        code: "FORBIDDEN",
+      });
+    }
+
+    next();
+  };
+};
+
+// Middleware factory to require a permission (use after authenticate)
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "No token provided, authorization denied",
+        code: "NO_TOKEN",
+      });
+    }
+
+    if (!req.user.hasPermission(permission)) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to do this",
+        code: "FORBIDDEN",
+        permission,
+      });
+    }
+
+    next();
+  };
+};
+
 module.exports = {
   authenticate,
   generateToken,
   generateRefreshToken,
   verifyRefreshToken,
+  generateScopedToken,
+  verifyScopedToken,
+  authenticateAppeal,
   optionalAuth,
+  isEmailVerificationRequired,
+  requireVerifiedEmail,
+  requireCompletedOnboarding,
+  requireRole,
+  requirePermission,
 };
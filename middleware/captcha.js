@@ -0,0 +1,51 @@
+// middleware/captcha.js - Require a solved CAPTCHA on abuse-prone routes
+const captchaService = require("../services/captchaService");
+
+// Middleware factory. `when` decides per request whether a challenge is
+// needed (defaults to always). The token is read from req.body.captchaToken
+// or the X-Captcha-Token header.
+const requireCaptcha = ({ when = () => true } = {}) => {
+  return async (req, res, next) => {
+    try {
+      if (!(await when(req))) {
+        return next();
+      }
+
+      const token = req.body?.captchaToken || req.get("X-Captcha-Token");
+
+      if (!token) {
+        return res.status(400).json({
+          success: false,
+          message: "Please complete the CAPTCHA challenge",
+          code: "CAPTCHA_REQUIRED",
+          captchaRequired: true,
+          captcha: captchaService.getClientConfig(),
+        });
+      }
+
+      const result = await captchaService.verify(token, req.ip);
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          message: "CAPTCHA verification failed. Please try again.",
+          code: "CAPTCHA_INVALID",
+          captchaRequired: true,
+          captcha: captchaService.getClientConfig(),
+          errorCodes: result.errorCodes,
+        });
+      }
+
+      req.captchaVerified = true;
+      next();
+    } catch (error) {
+      console.error("CAPTCHA middleware error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error verifying CAPTCHA",
+      });
+    }
+  };
+};
+
+module.exports = { requireCaptcha };
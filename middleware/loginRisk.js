@@ -0,0 +1,33 @@
+// middleware/loginRisk.js - Apply the login risk engine to sign-in routes
+const loginRiskService = require("../services/loginRiskService");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Middleware to block, slow down or flag risky sign-in attempts. Attaches
+// req.loginRisk = { context, assessment } for the route to record the outcome.
+// (use after validation so req.body.email is normalized)
+const loginRiskGuard = async (req, res, next) => {
+  const context = loginRiskService.contextFromRequest(req, req.body?.email);
+  const assessment = loginRiskService.assess(context);
+  loginRiskService.recordOutcome(assessment);
+
+  if (assessment.blocked) {
+    return res.status(429).json({
+      success: false,
+      message:
+        "Too many failed sign-in attempts from your network. Please try again later.",
+      code: "IP_TEMPORARILY_BLOCKED",
+      retryAfter: assessment.retryAfter,
+    });
+  }
+
+  req.loginRisk = { context, assessment };
+
+  if (assessment.delayMs > 0) {
+    await sleep(assessment.delayMs);
+  }
+
+  next();
+};
+
+module.exports = { loginRiskGuard };
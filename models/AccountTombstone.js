@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// What survives a purged account: enough to keep safety reports meaningful
+// and to recognise a reported user signing up again, nothing else. Email and
+// phone are only kept as SHA-256 hashes.
+const AccountTombstoneSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      unique: true,
+    },
+    emailHash: {
+      type: String,
+      index: true,
+    },
+    phoneHash: {
+      type: String,
+      index: true,
+    },
+    accountCreatedAt: {
+      type: Date,
+    },
+    deletionRequestedAt: {
+      type: Date,
+    },
+    purgedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    reportsAgainst: {
+      count: {
+        type: Number,
+        default: 0,
+      },
+      reasons: [String],
+    },
+    reportsFiled: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("AccountTombstone", AccountTombstoneSchema);
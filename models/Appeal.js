@@ -0,0 +1,102 @@
+const mongoose = require("mongoose");
+
+const OPEN_STATUSES = ["open", "in_review"];
+
+// A suspended or banned user contesting their restriction
+const AppealSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Audit trail entry of the suspension or ban being contested
+    enforcement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AuditLog",
+      required: true,
+    },
+    // Set when the restriction was applied by the enforcement policy
+    decision: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EnforcementDecision",
+    },
+    // The restriction as it stood when the appeal was filed
+    restriction: {
+      status: {
+        type: String,
+        enum: ["suspended", "banned"],
+      },
+      reason: String,
+      suspendedUntil: Date,
+      actionedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+    statement: {
+      type: String,
+      required: true,
+      maxlength: 2000,
+    },
+    status: {
+      type: String,
+      enum: [...OPEN_STATUSES, "upheld", "overturned"],
+      default: "open",
+      index: true,
+    },
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    claimedAt: {
+      type: Date,
+    },
+    resolution: {
+      note: {
+        type: String,
+        maxlength: 2000,
+      },
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      resolvedAt: {
+        type: Date,
+      },
+    },
+    userNotifiedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+// Only one open appeal per enforcement
+AppealSchema.index(
+  { enforcement: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: OPEN_STATUSES } },
+  }
+);
+AppealSchema.index({ status: 1, createdAt: 1 });
+
+AppealSchema.virtual("isOpen").get(function () {
+  return OPEN_STATUSES.includes(this.status);
+});
+
+// Static method to check for an open appeal against an enforcement
+AppealSchema.statics.hasOpenAppeal = function (enforcementId) {
+  return this.exists({
+    enforcement: enforcementId,
+    status: { $in: OPEN_STATUSES },
+  });
+};
+
+module.exports = mongoose.model("Appeal", AppealSchema);
@@ -0,0 +1,103 @@
+const mongoose = require("mongoose");
+
+const AUDIT_ACTIONS = [
+  "user_dossier_viewed",
+  "user_suspended",
+  "user_banned",
+  "user_unbanned",
+  "user_force_logout",
+  "user_photos_reset",
+  "user_bio_reset",
+  "user_role_changed",
+  "user_auto_hidden",
+  "user_unhidden",
+  "user_shadowbanned",
+  "user_unshadowbanned",
+  "report_resolved",
+  "report_escalated",
+  "appeal_resolved",
+  "photo_verification_approved",
+  "photo_verification_rejected",
+  "age_review_flagged",
+  "age_review_cleared",
+  "age_review_underage",
+  "user_dob_changed",
+  "dob_change_blocked",
+];
+
+// Every staff (or automated) action taken on an account. Entries are never
+// updated or expired.
+const AuditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // Automated actions have no staff actor
+    },
+    actorRole: {
+      type: String,
+      default: "system",
+    },
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    reason: {
+      type: String,
+      maxlength: 1000,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+AuditLogSchema.index({ target: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Static method to page through entries, newest first
+AuditLogSchema.statics.getEntries = async function (filter = {}, options = {}) {
+  const { page = 1, limit = 20 } = options;
+  const skip = (page - 1) * limit;
+
+  const [entries, total] = await Promise.all([
+    this.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("actor", "firstName lastName email role")
+      .populate("target", "firstName lastName email")
+      .lean(),
+    this.countDocuments(filter),
+  ]);
+
+  return {
+    entries,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      total,
+      hasMore: skip + entries.length < total,
+    },
+  };
+};
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema);
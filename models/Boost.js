@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+// One profile boost: the window during which the user is shown ahead of
+// other profiles in discovery, and the report of what it produced
+const BoostSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Subscription tier whose allowance the boost was taken from
+    tier: {
+      type: String,
+      required: true,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+    },
+    // Filled in once the boost has ended. The baseline is the same length of
+    // time straight before the boost.
+    report: {
+      views: Number,
+      likes: Number,
+      baselineViews: Number,
+      baselineLikes: Number,
+      extraViews: Number,
+      extraLikes: Number,
+      generatedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+BoostSchema.index({ user: 1, startsAt: -1 });
+BoostSchema.index({ endsAt: 1 });
+
+// Virtual for whether the boost is running now
+BoostSchema.virtual("isActive").get(function () {
+  const now = new Date();
+  return this.startsAt <= now && this.endsAt > now;
+});
+
+// Static method to get the user's running boost, if any
+BoostSchema.statics.findActive = function (userId) {
+  const now = new Date();
+  return this.findOne({
+    user: userId,
+    startsAt: { $lte: now },
+    endsAt: { $gt: now },
+  });
+};
+
+// Static method to find ended boosts that have no report yet
+BoostSchema.statics.findDueForReport = function (limit = 100) {
+  return this.find({
+    endsAt: { $lte: new Date() },
+    "report.generatedAt": null,
+  })
+    .sort({ endsAt: 1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model("Boost", BoostSchema);
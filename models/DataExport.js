@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const DataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "processing", "ready", "failed", "expired"],
+      default: "queued",
+      index: true,
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    // Download link expiry, set once the archive is ready
+    expiresAt: {
+      type: Date,
+    },
+    filePath: {
+      type: String,
+      select: false,
+    },
+    fileSize: {
+      type: Number,
+    },
+    downloadToken: {
+      type: String, // SHA-256 hash of the emailed token
+      select: false,
+    },
+    downloadCount: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+DataExportSchema.index({ user: 1, createdAt: -1 });
+DataExportSchema.index({ downloadToken: 1 }, { sparse: true });
+
+// Method to issue the download token (returns the raw token)
+DataExportSchema.methods.createDownloadToken = function (ttlMs) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  this.downloadToken = hashToken(token);
+  this.expiresAt = new Date(Date.now() + ttlMs);
+
+  return token;
+};
+
+// Static method to find a ready export by its (unhashed) download token
+DataExportSchema.statics.findByDownloadToken = function (token) {
+  return this.findOne({
+    downloadToken: hashToken(token),
+    status: "ready",
+    expiresAt: { $gt: new Date() },
+  }).select("+filePath");
+};
+
+// Static method to find the user's export that is still being built
+DataExportSchema.statics.findInProgress = function (userId) {
+  return this.findOne({
+    user: userId,
+    status: { $in: ["queued", "processing"] },
+  });
+};
+
+module.exports = mongoose.model("DataExport", DataExportSchema);
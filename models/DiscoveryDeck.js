@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+const DeckEntrySchema = new mongoose.Schema(
+  {
+    profile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // km, as returned by $geoNear
+    distance: Number,
+    compatibilityScore: Number,
+  },
+  { _id: false }
+);
+
+// A user's precomputed discovery deck, ranked when it was built. Clients page
+// through it with a cursor (services/discoveryDeckService.js).
+const DiscoveryDeckSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    // Bumped on every rebuild. Cursors from an older generation start again
+    // at the top of the new deck.
+    generation: {
+      type: Number,
+      default: 0,
+    },
+    entries: [DeckEntrySchema],
+    // Whether the build hit the size limit, i.e. more candidates may exist
+    truncated: {
+      type: Boolean,
+      default: false,
+    },
+    builtAt: {
+      type: Date,
+    },
+    // Set when preferences or location change; the next request rebuilds
+    stale: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("DiscoveryDeck", DiscoveryDeckSchema);
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// Unswiped profiles come back into discovery after this long; swiped ones
+// stay out because of their swipe
+const RELEASE_DAYS =
+  parseInt(process.env.DISCOVERY_IMPRESSION_RELEASE_DAYS) || 30;
+
+// A profile that has been shown to a user in discovery. Each pair is stored
+// once, which is what keeps a profile from being served twice while the
+// impression lasts.
+const DiscoveryImpressionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  servedAt: {
+    type: Date,
+    default: Date.now,
+    index: { expireAfterSeconds: RELEASE_DAYS * 24 * 60 * 60 },
+  },
+});
+
+DiscoveryImpressionSchema.index({ user: 1, profile: 1 }, { unique: true });
+DiscoveryImpressionSchema.index({ profile: 1 });
+
+// Static method to record profiles as served. Returns the ids that had not
+// been served before; the rest must not be shown again.
+DiscoveryImpressionSchema.statics.claim = async function (userId, profileIds) {
+  if (profileIds.length === 0) return [];
+
+  const servedAt = new Date();
+  let result;
+  try {
+    result = await this.bulkWrite(
+      profileIds.map((profile) => ({
+        updateOne: {
+          filter: { user: userId, profile },
+          update: { $setOnInsert: { servedAt } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // A concurrent request served some of the same profiles first
+    if (error.code !== 11000 || !error.result) throw error;
+    result = error.result;
+  }
+
+  return Object.keys(result.upsertedIds).map((index) => profileIds[index]);
+};
+
+module.exports = mongoose.model(
+  "DiscoveryImpression",
+  DiscoveryImpressionSchema
+);
@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+// One entry per decision the enforcement policy makes, including deciding to
+// do nothing, so every automatic outcome can be explained later
+const EnforcementDecisionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    trigger: {
+      type: String,
+      enum: ["report_filed", "report_resolved", "appeal_overturned"],
+      required: true,
+    },
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+    },
+    decision: {
+      type: String,
+      enum: [
+        "none",
+        "auto_hide",
+        "unhide",
+        "strike",
+        "suspend",
+        "ban",
+        "strikes_voided",
+      ],
+      required: true,
+    },
+    // Inputs the decision was based on (counts, thresholds, ladder step)
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+EnforcementDecisionSchema.index({ user: 1, createdAt: -1 });
+EnforcementDecisionSchema.index({ decision: 1, createdAt: -1 });
+
+// Static method to page through decisions, newest first
+EnforcementDecisionSchema.statics.getEntries = async function (
+  filter = {},
+  options = {}
+) {
+  const { page = 1, limit = 20 } = options;
+  const skip = (page - 1) * limit;
+
+  const [decisions, total] = await Promise.all([
+    this.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("user", "firstName lastName email")
+      .populate("report", "reason status priority")
+      .lean(),
+    this.countDocuments(filter),
+  ]);
+
+  return {
+    decisions,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      total,
+      hasMore: skip + decisions.length < total,
+    },
+  };
+};
+
+module.exports = mongoose.model(
+  "EnforcementDecision",
+  EnforcementDecisionSchema
+);
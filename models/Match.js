@@ -1,5 +1,8 @@
 const mongoose = require("mongoose");
 
+// How long a new match has to start a conversation
+const MATCH_EXPIRY_MS = 72 * 60 * 60 * 1000;
+
 const MatchSchema = new mongoose.Schema(
   {
     users: [
@@ -16,9 +19,16 @@ const MatchSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["active", "unmatched", "blocked", "expired"],
+      enum: ["active", "paused", "unmatched", "blocked", "expired"],
       default: "active",
     },
+    // Participants whose hidden account is keeping the match paused
+    pausedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
     lastActivity: {
       type: Date,
       default: Date.now,
@@ -39,7 +49,7 @@ const MatchSchema = new mongoose.Schema(
     expiresAt: {
       type: Date,
       default: function () {
-        return new Date(Date.now() + 72 * 60 * 60 * 1000); // 72 hours
+        return new Date(Date.now() + MATCH_EXPIRY_MS);
       },
     },
     matchType: {
@@ -154,6 +164,29 @@ MatchSchema.statics.expireOldMatches = async function () {
   return result.modifiedCount;
 };
 
+// Static method to pause a user's matches while their account is hidden
+MatchSchema.statics.pauseForUser = function (userId) {
+  return this.updateMany(
+    { users: userId, status: { $in: ["active", "paused"] } },
+    { $set: { status: "paused" }, $addToSet: { pausedBy: userId } }
+  );
+};
+
+// Static method to resume a user's paused matches. A match stays paused while
+// the other participant is hidden too; unmessaged ones get a fresh window.
+MatchSchema.statics.resumeForUser = async function (userId) {
+  await this.updateMany({ users: userId }, { $pull: { pausedBy: userId } });
+
+  const resumable = { users: userId, status: "paused", pausedBy: { $size: 0 } };
+  await this.updateMany(
+    { ...resumable, firstMessageSentAt: null },
+    { expiresAt: new Date(Date.now() + MATCH_EXPIRY_MS) }
+  );
+  const result = await this.updateMany(resumable, { status: "active" });
+
+  return result.modifiedCount;
+};
+
 // Instance method to get the other user in the match
 MatchSchema.methods.getOtherUser = function (currentUserId) {
   return this.users.find(
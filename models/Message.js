@@ -47,6 +47,11 @@ const MessageSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Sent by a shadowbanned user: stored, but only ever shown to the sender
+    withheld: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: true,
@@ -58,6 +63,11 @@ MessageSchema.index({ match: 1, createdAt: -1 });
 MessageSchema.index({ sender: 1, createdAt: -1 });
 MessageSchema.index({ receiver: 1, readAt: 1 });
 
+// Query condition for the messages a user is allowed to see
+MessageSchema.statics.visibleTo = function (userId) {
+  return { $or: [{ withheld: { $ne: true } }, { sender: userId }] };
+};
+
 // Virtual for time ago
 MessageSchema.virtual("timeAgo").get(function () {
   const now = new Date();
@@ -100,9 +110,10 @@ MessageSchema.methods.softDelete = function () {
   return this.save();
 };
 
-// Static method to get conversation between two users
+// Static method to get conversation between two users, as the viewer sees it
 MessageSchema.statics.getConversation = async function (
   matchId,
+  viewerId,
   page = 1,
   limit = 50
 ) {
@@ -111,6 +122,7 @@ MessageSchema.statics.getConversation = async function (
   return this.find({
     match: matchId,
     isDeleted: false,
+    ...this.visibleTo(viewerId),
   })
     .populate("sender", "firstName lastName photos")
     .populate("receiver", "firstName lastName photos")
@@ -125,6 +137,7 @@ MessageSchema.statics.getUnreadCount = async function (userId) {
     receiver: userId,
     readAt: null,
     isDeleted: false,
+    withheld: { $ne: true },
   });
 };
 
@@ -139,6 +152,7 @@ MessageSchema.statics.markConversationAsRead = async function (
       receiver: userId,
       readAt: null,
       isDeleted: false,
+      withheld: { $ne: true },
     },
     {
       readAt: new Date(),
@@ -146,13 +160,14 @@ MessageSchema.statics.markConversationAsRead = async function (
   );
 };
 
-// Static method to get last message for each match
-MessageSchema.statics.getLastMessages = async function (matchIds) {
+// Static method to get last message for each match, as the viewer sees it
+MessageSchema.statics.getLastMessages = async function (matchIds, viewerId) {
   return this.aggregate([
     {
       $match: {
         match: { $in: matchIds },
         isDeleted: false,
+        ...this.visibleTo(viewerId),
       },
     },
     {
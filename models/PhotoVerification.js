@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+
+// One selfie verification attempt: a pose challenge, the selfie taken for it,
+// and the review outcome
+const PhotoVerificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    pose: {
+      code: {
+        type: String,
+        required: true,
+      },
+      instruction: {
+        type: String,
+        required: true,
+      },
+    },
+    // challenge_issued -> pending (in the review queue) -> approved / rejected.
+    // Unanswered challenges expire; a newer attempt supersedes an older one.
+    status: {
+      type: String,
+      enum: [
+        "challenge_issued",
+        "pending",
+        "approved",
+        "rejected",
+        "expired",
+        "superseded",
+      ],
+      default: "challenge_issued",
+      index: true,
+    },
+    // Why this attempt exists
+    trigger: {
+      type: String,
+      enum: ["user", "primary_photo_changed"],
+      default: "user",
+    },
+    challengeExpiresAt: {
+      type: Date,
+    },
+    selfie: {
+      url: String,
+      public_id: String,
+    },
+    // The primary photo the selfie is compared against
+    referencePhoto: {
+      photoId: mongoose.Schema.Types.ObjectId,
+      url: String,
+    },
+    submittedAt: {
+      type: Date,
+    },
+    faceMatch: {
+      provider: String,
+      matched: Boolean,
+      score: Number,
+      details: mongoose.Schema.Types.Mixed,
+      error: String,
+      checkedAt: Date,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    rejectionReason: {
+      type: String,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PhotoVerificationSchema.index({ status: 1, submittedAt: 1 });
+PhotoVerificationSchema.index({ user: 1, createdAt: -1 });
+
+// Virtual for whether the challenge can still be answered
+PhotoVerificationSchema.virtual("isChallengeOpen").get(function () {
+  return (
+    this.status === "challenge_issued" && this.challengeExpiresAt > new Date()
+  );
+});
+
+// Static method to get a user's most recent attempt
+PhotoVerificationSchema.statics.findLatestForUser = function (userId) {
+  return this.findOne({ user: userId }).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model("PhotoVerification", PhotoVerificationSchema);
@@ -0,0 +1,203 @@
+const mongoose = require("mongoose");
+
+const REPORT_REASONS = [
+  "inappropriate_content",
+  "fake_profile",
+  "harassment",
+  "spam",
+  "underage",
+  "violence",
+  "hate_speech",
+  "scam",
+  "other",
+];
+
+// Queue priority by reason (higher is reviewed first)
+const REASON_PRIORITY = {
+  underage: 4,
+  violence: 4,
+  harassment: 3,
+  hate_speech: 3,
+  scam: 3,
+  inappropriate_content: 2,
+  fake_profile: 2,
+  spam: 1,
+  other: 1,
+};
+
+const PRIORITY_LABELS = { 1: "low", 2: "normal", 3: "high", 4: "urgent" };
+
+const EvidenceSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["message", "photo", "profile", "screenshot", "other"],
+      required: true,
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+    },
+    url: {
+      type: String,
+      maxlength: 2000,
+    },
+    description: {
+      type: String,
+      maxlength: 500,
+    },
+    // Copy of the reported content, kept in case the original is deleted
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  { _id: false }
+);
+
+const ReportSchema = new mongoose.Schema(
+  {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // Cleared when the reporter's account is purged
+      index: true,
+    },
+    reportedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    details: {
+      type: String,
+      maxlength: 500,
+    },
+    evidence: [EvidenceSchema],
+    source: {
+      type: String,
+      enum: ["safety", "matching", "chat"],
+      default: "safety",
+    },
+    status: {
+      type: String,
+      enum: ["open", "in_review", "actioned", "dismissed"],
+      default: "open",
+    },
+    priority: {
+      type: Number,
+      min: 1,
+      max: 4,
+      default: 1,
+    },
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    claimedAt: {
+      type: Date,
+    },
+    // Escalated reports need an admin to claim and resolve them
+    escalation: {
+      escalatedAt: Date,
+      escalatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      reason: {
+        type: String,
+        maxlength: 1000,
+      },
+    },
+    resolution: {
+      action: {
+        type: String,
+        enum: [
+          "none",
+          "warning",
+          "content_removed",
+          "suspended",
+          "banned",
+          "other",
+        ],
+      },
+      note: {
+        type: String,
+        maxlength: 1000,
+      },
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      resolvedAt: Date,
+    },
+    notes: [
+      {
+        author: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        body: {
+          type: String,
+          required: true,
+          maxlength: 2000,
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    reporterNotifiedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+ReportSchema.index({ status: 1, priority: -1, createdAt: 1 });
+ReportSchema.index({ assignee: 1, status: 1 });
+// One report per reporter and target; purged reporters are cleared to null
+// and drop out of the index
+ReportSchema.index(
+  { reporter: 1, reportedUser: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { reporter: { $type: "objectId" } },
+  }
+);
+ReportSchema.index({ reporter: 1, createdAt: -1 });
+
+// Virtual for the priority as a word
+ReportSchema.virtual("priorityLabel").get(function () {
+  return PRIORITY_LABELS[this.priority];
+});
+
+// Virtual to check whether the report still needs a decision
+ReportSchema.virtual("isOpen").get(function () {
+  return ["open", "in_review"].includes(this.status);
+});
+
+// Static method to get the queue priority for a reason
+ReportSchema.statics.priorityFor = function (reason) {
+  return REASON_PRIORITY[reason] || 1;
+};
+
+// Static method to count reports a user filed since a date
+ReportSchema.statics.countFiledSince = function (reporterId, since) {
+  return this.countDocuments({
+    reporter: reporterId,
+    createdAt: { $gt: since },
+  });
+};
+
+module.exports = mongoose.model("Report", ReportSchema);
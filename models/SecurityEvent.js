@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+
+const SECURITY_EVENT_TYPES = [
+  "login_success",
+  "login_failed",
+  "account_locked",
+  "password_changed",
+  "password_reset",
+  "two_factor_enabled",
+  "two_factor_disabled",
+  "device_registered",
+  "session_revoked",
+  "user_blocked",
+  "user_reported",
+  "emergency_logout",
+  "account_deletion_requested",
+  "account_deletion_cancelled",
+  "account_deactivated",
+  "account_reactivated",
+  "role_changed",
+];
+
+// Events are kept for a year unless configured otherwise
+const RETENTION_DAYS =
+  parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS) || 365;
+
+const SecurityEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // Failed logins for unknown emails have no user
+    },
+    type: {
+      type: String,
+      enum: SECURITY_EVENT_TYPES,
+      required: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    device: {
+      browser: String,
+      os: String,
+      deviceType: String,
+      platform: String,
+      name: String,
+      fingerprint: String, // Hash of the fields above, for new-device checks
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      index: { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 },
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+SecurityEventSchema.index({ user: 1, createdAt: -1 });
+SecurityEventSchema.index({ user: 1, type: 1, createdAt: -1 });
+SecurityEventSchema.index({ user: 1, "device.fingerprint": 1 });
+
+// Static method to page through a user's events, newest first
+SecurityEventSchema.statics.getUserEvents = async function (
+  userId,
+  options = {}
+) {
+  const { page = 1, limit = 20, types = [] } = options;
+  const skip = (page - 1) * limit;
+
+  const query = { user: userId };
+  if (types.length > 0) {
+    query.type = { $in: types };
+  }
+
+  const [events, total] = await Promise.all([
+    this.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    this.countDocuments(query),
+  ]);
+
+  return {
+    events,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      total,
+      hasMore: skip + events.length < total,
+    },
+  };
+};
+
+// Static method to check whether a user has logged in from a device before
+SecurityEventSchema.statics.hasLoggedInFrom = async function (
+  userId,
+  fingerprint
+) {
+  const event = await this.exists({
+    user: userId,
+    type: "login_success",
+    "device.fingerprint": fingerprint,
+  });
+  return !!event;
+};
+
+module.exports = mongoose.model("SecurityEvent", SecurityEventSchema);
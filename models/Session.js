@@ -0,0 +1,115 @@
+const mongoose = require("mongoose");
+
+// A session is one refresh-token family: every refresh rotates tokenId, and
+// presenting a superseded token revokes the whole family.
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenId: {
+      type: String,
+      required: true,
+      select: false, // Only the current refresh token id is kept
+    },
+    device: {
+      name: {
+        type: String,
+        default: "",
+        maxlength: 100,
+      },
+      platform: {
+        type: String,
+        enum: ["web", "android", "ios", "unknown"],
+        default: "unknown",
+      },
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    lastUsed: {
+      type: Date,
+      default: Date.now,
+    },
+    rotationCount: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 }, // MongoDB TTL index
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "remote_logout", "token_reuse", "security", null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SessionSchema.index({ user: 1, revokedAt: 1, lastUsed: -1 });
+
+// Virtual for session still usable
+SessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to revoke a single session
+SessionSchema.methods.revoke = function (reason = "logout") {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to get a user's active sessions (most recent first)
+SessionSchema.statics.findActiveForUser = function (userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsed: -1 });
+};
+
+// Static method to check whether the session an access token belongs to has
+// been signed out (or has expired and been removed)
+SessionSchema.statics.isRevoked = async function (sessionId) {
+  const session = await this.findById(sessionId).select("revokedAt").lean();
+  return !session || !!session.revokedAt;
+};
+
+// Static method to revoke every active session of a user
+SessionSchema.statics.revokeAllForUser = async function (
+  userId,
+  reason = "security",
+  exceptSessionId = null
+) {
+  const query = { user: userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const result = await this.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model("Session", SessionSchema);
@@ -1,6 +1,17 @@
 // models/User.js - ENHANCED FIXED VERSION
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const {
+  ROLES,
+  PERMISSIONS,
+  roleHasPermission,
+} = require("../utils/permissions");
+
+// Profile fields a sign-in provider can't supply are collected at onboarding
+function requiredUnlessOnboarding() {
+  return this.onboarding?.status !== "pending";
+}
 
 const UserSchema = new mongoose.Schema(
   {
@@ -18,13 +29,19 @@ const UserSchema = new mongoose.Schema(
     },
     password: {
       type: String,
-      required: [true, "Password is required"],
+      // Accounts created through a sign-in provider may have no password
+      required: [
+        function () {
+          return !this.oauthIdentities?.length;
+        },
+        "Password is required",
+      ],
       minlength: [6, "Password must be at least 6 characters"],
       select: false, // Don't include password in queries by default
     },
     firstName: {
       type: String,
-      required: [true, "First name is required"],
+      required: [requiredUnlessOnboarding, "First name is required"],
       trim: true,
       maxlength: [50, "First name cannot exceed 50 characters"],
       validate: {
@@ -36,7 +53,7 @@ const UserSchema = new mongoose.Schema(
     },
     lastName: {
       type: String,
-      required: [true, "Last name is required"],
+      required: [requiredUnlessOnboarding, "Last name is required"],
       trim: true,
       maxlength: [50, "Last name cannot exceed 50 characters"],
       validate: {
@@ -48,7 +65,7 @@ const UserSchema = new mongoose.Schema(
     },
     dateOfBirth: {
       type: Date,
-      required: [true, "Date of birth is required"],
+      required: [requiredUnlessOnboarding, "Date of birth is required"],
       validate: {
         validator: function (date) {
           const today = new Date();
@@ -70,12 +87,17 @@ const UserSchema = new mongoose.Schema(
     },
     gender: {
       type: String,
-      required: [true, "Gender is required"],
+      required: [requiredUnlessOnboarding, "Gender is required"],
       enum: {
         values: ["male", "female", "other"],
         message: "Gender must be male, female, or other",
       },
     },
+    phoneNumber: {
+      type: String,
+      trim: true,
+      match: [/^\+[1-9]\d{7,14}$/, "Phone number must be in E.164 format"],
+    },
     bio: {
       type: String,
       maxlength: [500, "Bio cannot exceed 500 characters"],
@@ -391,6 +413,155 @@ const UserSchema = new mongoose.Schema(
       default: true,
       index: true,
     },
+    // Staff access; permissions are grants on top of what the role allows
+    role: {
+      type: String,
+      enum: ROLES,
+      default: "user",
+      index: true,
+    },
+    permissions: [
+      {
+        type: String,
+        enum: PERMISSIONS,
+      },
+    ],
+    // Staff enforcement; suspended and banned accounts are hidden and can't
+    // sign in
+    moderation: {
+      status: {
+        type: String,
+        enum: ["active", "suspended", "banned"],
+        default: "active",
+        index: true,
+      },
+      reason: {
+        type: String,
+        maxlength: 1000,
+      },
+      suspendedUntil: {
+        type: Date,
+        index: true,
+      },
+      actionedAt: {
+        type: Date,
+      },
+      actionedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      // Set by the enforcement policy until the reports are reviewed
+      hiddenFromDiscovery: {
+        type: Boolean,
+        default: false,
+        index: true,
+      },
+      hiddenAt: {
+        type: Date,
+      },
+      // Confirmed violations; expired strikes no longer count
+      strikes: [
+        {
+          report: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Report",
+          },
+          reason: String,
+          weight: {
+            type: Number,
+            default: 1,
+          },
+          issuedAt: {
+            type: Date,
+            default: Date.now,
+          },
+          expiresAt: Date,
+        },
+      ],
+      // Number of enforcement ladder steps already applied
+      enforcementLevel: {
+        type: Number,
+        default: 0,
+      },
+      // Suspected spammers keep using the app normally, but nobody else sees
+      // them in discovery, receives their messages or gets their pushes
+      shadowbanned: {
+        type: Boolean,
+        default: false,
+        index: true,
+      },
+      shadowbannedAt: {
+        type: Date,
+      },
+    },
+    // Age assurance: a suspected minor is hidden from discovery and can't
+    // message until a moderator has checked their ID
+    ageReview: {
+      status: {
+        type: String,
+        enum: ["none", "pending", "cleared", "underage"],
+        default: "none",
+        index: true,
+      },
+      trigger: {
+        type: String,
+        enum: ["report", "chat_disclosure", "date_of_birth_change"],
+      },
+      report: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Report",
+      },
+      message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Message",
+      },
+      flaggedAt: {
+        type: Date,
+      },
+      // Uploaded by the user; destroyed once the review is done
+      idDocument: {
+        url: String,
+        public_id: String,
+        submittedAt: Date,
+      },
+      reviewedAt: {
+        type: Date,
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+    // Self-service deactivation; signing in again offers reactivation
+    deactivation: {
+      deactivatedAt: {
+        type: Date,
+      },
+      reason: {
+        type: String,
+        maxlength: 500,
+      },
+      reactivatedAt: {
+        type: Date,
+      },
+    },
+    // Requested account deletion; logging in before scheduledFor cancels it
+    deletion: {
+      requestedAt: {
+        type: Date,
+      },
+      scheduledFor: {
+        type: Date,
+        index: true,
+      },
+      reason: {
+        type: String,
+        maxlength: 500,
+      },
+      cancelledAt: {
+        type: Date,
+      },
+    },
     lastActive: {
       type: Date,
       default: Date.now,
@@ -405,6 +576,15 @@ const UserSchema = new mongoose.Schema(
     lockUntil: {
       type: Date,
     },
+    // Bumped to invalidate every JWT issued before it
+    tokenVersion: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastLogout: {
+      type: Date,
+    },
     // New security fields
     emailVerificationToken: {
       type: String,
@@ -414,6 +594,10 @@ const UserSchema = new mongoose.Schema(
       type: Date,
       select: false,
     },
+    emailVerificationSentAt: {
+      type: Date,
+      select: false,
+    },
     passwordResetToken: {
       type: String,
       select: false,
@@ -422,6 +606,102 @@ const UserSchema = new mongoose.Schema(
       type: Date,
       select: false,
     },
+    // Linked Google / Apple sign-in identities
+    oauthIdentities: [
+      {
+        provider: {
+          type: String,
+          enum: ["google", "apple"],
+          required: true,
+        },
+        subject: {
+          type: String,
+          required: true,
+        },
+        email: {
+          type: String,
+          lowercase: true,
+        },
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        _id: false,
+      },
+    ],
+    // Set to pending when a provider sign-up still needs profile details
+    onboarding: {
+      status: {
+        type: String,
+        enum: ["pending", "complete"],
+        default: "complete",
+      },
+      missingFields: [String],
+      completedAt: {
+        type: Date,
+      },
+    },
+    // Passwordless login by emailed link (opt-in)
+    magicLink: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      nonceHash: {
+        type: String,
+        select: false,
+      },
+      expiresAt: {
+        type: Date,
+        select: false,
+      },
+    },
+    // TOTP two-factor authentication
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      backupCodes: {
+        type: [String], // SHA-256 hashes, removed once used
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
+    // Pending phone OTP (code stored hashed)
+    phoneVerification: {
+      codeHash: {
+        type: String,
+        select: false,
+      },
+      expiresAt: {
+        type: Date,
+        select: false,
+      },
+      attempts: {
+        type: Number,
+        default: 0,
+        select: false,
+      },
+      lastSentAt: {
+        type: Date,
+        select: false,
+      },
+    },
     // Enhanced tracking
     registrationIP: {
       type: String,
@@ -524,6 +804,14 @@ UserSchema.index({ createdAt: -1 });
 UserSchema.index({ "verification.isVerified": 1 });
 UserSchema.index({ "subscription.type": 1 });
 UserSchema.index({ email: 1, isActive: 1 });
+// A phone number can be verified by one account only
+UserSchema.index(
+  { phoneNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "verification.phoneVerified": true },
+  }
+);
 
 // Device token indexes
 UserSchema.index({ "deviceTokens.token": 1 });
@@ -531,6 +819,13 @@ UserSchema.index({ "deviceTokens.platform": 1 });
 UserSchema.index({ "deviceTokens.lastUsed": 1 });
 
 // Compound indexes for discovery
+UserSchema.index(
+  { "oauthIdentities.provider": 1, "oauthIdentities.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "oauthIdentities.subject": { $exists: true } },
+  }
+);
 UserSchema.index({
   isActive: 1,
   "preferences.showMe": 1,
@@ -548,6 +843,34 @@ UserSchema.virtual("isLocked").get(function () {
   return !!(this.lockUntil && this.lockUntil > Date.now());
 });
 
+// Virtual for account waiting out its deletion grace period
+UserSchema.virtual("isPendingDeletion").get(function () {
+  return !!this.deletion?.scheduledFor;
+});
+
+// Virtual for a suspended or banned account
+UserSchema.virtual("isRestricted").get(function () {
+  return ["suspended", "banned"].includes(this.moderation?.status);
+});
+
+// Virtual for an account waiting on an age check
+UserSchema.virtual("isUnderAgeReview").get(function () {
+  return this.ageReview?.status === "pending";
+});
+
+// Virtual for the weight of strikes that haven't expired
+UserSchema.virtual("activeStrikes").get(function () {
+  const now = new Date();
+  return (this.moderation?.strikes || [])
+    .filter((strike) => !strike.expiresAt || strike.expiresAt > now)
+    .reduce((total, strike) => total + (strike.weight || 1), 0);
+});
+
+// Virtual for a hidden account that the owner can bring back by signing in
+UserSchema.virtual("isDeactivated").get(function () {
+  return !this.isActive && !this.isPendingDeletion && !this.isRestricted;
+});
+
 // Enhanced validation for age range preferences
 UserSchema.pre("save", function (next) {
   // Validate age range
@@ -593,6 +916,17 @@ UserSchema.pre("save", function (next) {
     );
   }
 
+  // A verified phone or photo makes the profile verified
+  if (this.verification) {
+    const isVerified = !!(
+      this.verification.phoneVerified || this.verification.photoVerified
+    );
+    if (isVerified && !this.verification.isVerified) {
+      this.verification.verificationDate = new Date();
+    }
+    this.verification.isVerified = isVerified;
+  }
+
   // Clean up expired verification tokens
   if (
     this.emailVerificationExpires &&
@@ -627,7 +961,7 @@ UserSchema.pre("save", function (next) {
 
 // Enhanced pre-save middleware to hash password
 UserSchema.pre("save", async function (next) {
-  if (!this.isModified("password")) return next();
+  if (!this.isModified("password") || !this.password) return next();
 
   try {
     // Enhanced password hashing with higher cost
@@ -689,8 +1023,33 @@ UserSchema.methods.toSafeObject = function () {
   delete userObject.password;
   delete userObject.loginAttempts;
   delete userObject.lockUntil;
+  delete userObject.tokenVersion;
   delete userObject.emailVerificationToken;
   delete userObject.emailVerificationExpires;
+  delete userObject.emailVerificationSentAt;
+  delete userObject.phoneVerification;
+  if (userObject.oauthIdentities) {
+    userObject.oauthIdentities = userObject.oauthIdentities.map(
+      ({ provider, email, linkedAt }) => ({ provider, email, linkedAt })
+    );
+  }
+  if (userObject.magicLink) {
+    userObject.magicLink = { enabled: !!userObject.magicLink.enabled };
+  }
+  if (userObject.twoFactor) {
+    userObject.twoFactor = { enabled: !!userObject.twoFactor.enabled };
+  }
+  if (userObject.moderation) {
+    const { status, reason, suspendedUntil } = userObject.moderation;
+    userObject.moderation = { status, reason, suspendedUntil };
+  }
+  if (userObject.ageReview) {
+    userObject.ageReview = {
+      status: userObject.ageReview.status,
+      idDocumentSubmitted: !!userObject.ageReview.idDocument?.url,
+    };
+  }
+  delete userObject.activeStrikes;
   delete userObject.passwordResetToken;
   delete userObject.passwordResetExpires;
   delete userObject.registrationIP;
@@ -775,6 +1134,320 @@ UserSchema.methods.resetLoginAttempts = function () {
   });
 };
 
+// Tokens sent by email are stored as SHA-256 hashes
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Method to issue an email verification token (returns the raw token,
+// only its hash is stored)
+UserSchema.methods.createEmailVerificationToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+
+  return token;
+};
+
+// Static method to find a user by a raw, unexpired email verification token
+UserSchema.statics.findByEmailVerificationToken = function (token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() },
+  }).select("+emailVerificationToken +emailVerificationExpires");
+};
+
+// Method to issue a single-use password reset token (valid for 1 hour)
+UserSchema.methods.createPasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000);
+
+  return token;
+};
+
+// Static method to find a user by a raw, unexpired password reset token
+UserSchema.statics.findByPasswordResetToken = function (token) {
+  return this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  }).select("+passwordResetToken +passwordResetExpires");
+};
+
+// Method to issue a 6-digit phone OTP for the user's phone number
+// (returns the raw code, only its hash is stored)
+UserSchema.methods.createPhoneOtp = function () {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+
+  this.phoneVerification = {
+    codeHash: hashToken(`${this._id}:${code}`),
+    expiresAt: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
+    attempts: 0,
+    lastSentAt: new Date(),
+  };
+
+  return code;
+};
+
+// Method to check a phone OTP (load with +phoneVerification.* fields first)
+UserSchema.methods.checkPhoneOtp = function (code) {
+  const maxAttempts = 5;
+  const pending = this.phoneVerification;
+
+  if (!pending?.codeHash || !pending.expiresAt) {
+    return { valid: false, reason: "NO_PENDING_CODE" };
+  }
+
+  if (pending.expiresAt < new Date()) {
+    return { valid: false, reason: "CODE_EXPIRED" };
+  }
+
+  if (pending.attempts >= maxAttempts) {
+    return { valid: false, reason: "TOO_MANY_ATTEMPTS" };
+  }
+
+  if (pending.codeHash !== hashToken(`${this._id}:${code}`)) {
+    pending.attempts += 1;
+    return {
+      valid: false,
+      reason: "INVALID_CODE",
+      attemptsRemaining: maxAttempts - pending.attempts,
+    };
+  }
+
+  return { valid: true };
+};
+
+// Method to replace the 2FA backup codes (returns the raw codes)
+UserSchema.methods.setBackupCodes = function (codes) {
+  this.twoFactor.backupCodes = codes.map((code) => hashToken(code));
+  return codes;
+};
+
+// Method to consume a 2FA backup code (load with +twoFactor.backupCodes)
+UserSchema.methods.useBackupCode = function (code) {
+  const hashedCode = hashToken((code || "").trim().toLowerCase());
+  const codes = this.twoFactor?.backupCodes || [];
+
+  if (!codes.includes(hashedCode)) {
+    return false;
+  }
+
+  this.twoFactor.backupCodes = codes.filter((c) => c !== hashedCode);
+  return true;
+};
+
+// Method to issue a single-use magic link nonce (returns the raw nonce,
+// which is signed into the link; only its hash is stored)
+UserSchema.methods.createMagicLinkNonce = function (ttlMs) {
+  const nonce = crypto.randomBytes(32).toString("hex");
+
+  this.magicLink.nonceHash = hashToken(nonce);
+  this.magicLink.expiresAt = new Date(Date.now() + ttlMs);
+
+  return nonce;
+};
+
+// Static method to atomically consume a magic link nonce
+UserSchema.statics.consumeMagicLinkNonce = function (userId, nonce) {
+  return this.findOneAndUpdate(
+    {
+      _id: userId,
+      "magicLink.enabled": true,
+      "magicLink.nonceHash": hashToken(nonce),
+      "magicLink.expiresAt": { $gt: new Date() },
+    },
+    { $unset: { "magicLink.nonceHash": 1, "magicLink.expiresAt": 1 } },
+    { new: true }
+  );
+};
+
+// Method to schedule account deletion; the account is hidden meanwhile
+UserSchema.methods.scheduleDeletion = function (gracePeriodMs, reason = "") {
+  const now = new Date();
+
+  this.isActive = false;
+  this.deletion = {
+    requestedAt: now,
+    scheduledFor: new Date(now.getTime() + gracePeriodMs),
+    reason,
+  };
+
+  return this;
+};
+
+// Method to cancel a pending deletion and restore the account
+UserSchema.methods.cancelDeletion = function () {
+  this.isActive = true;
+  this.deletion = { cancelledAt: new Date() };
+
+  return this;
+};
+
+// Method to deactivate the account; it stays hidden until reactivated
+UserSchema.methods.deactivate = function (reason = "") {
+  this.isActive = false;
+  this.deactivation = { deactivatedAt: new Date(), reason };
+
+  return this;
+};
+
+// Method to reactivate a deactivated account
+UserSchema.methods.reactivate = function () {
+  this.isActive = true;
+  this.deactivation = { reactivatedAt: new Date() };
+
+  return this;
+};
+
+// Static method to find accounts deactivated since before the cutoff
+// (accounts deactivated before the date was recorded fall back to lastActive)
+UserSchema.statics.findDeactivatedBefore = function (cutoff, limit = 50) {
+  return this.find({
+    isActive: false,
+    "deletion.scheduledFor": { $exists: false },
+    "moderation.status": { $nin: ["suspended", "banned"] },
+    $or: [
+      { "deactivation.deactivatedAt": { $lte: cutoff } },
+      {
+        "deactivation.deactivatedAt": { $exists: false },
+        lastActive: { $lte: cutoff },
+      },
+    ],
+  }).limit(limit);
+};
+
+// Method to suspend (until a date) or ban the account
+UserSchema.methods.restrict = function (status, options = {}) {
+  const { reason = "", until = null, actorId = null } = options;
+
+  this.isActive = false;
+  this.moderation.status = status;
+  this.moderation.reason = reason;
+  this.moderation.suspendedUntil = status === "suspended" ? until : undefined;
+  this.moderation.actionedAt = new Date();
+  this.moderation.actionedBy = actorId;
+
+  return this;
+};
+
+// Method to lift a suspension or ban. The account stays hidden if its owner
+// had deactivated it or asked for deletion.
+UserSchema.methods.liftRestriction = function (actorId = null) {
+  this.moderation.status = "active";
+  this.moderation.reason = undefined;
+  this.moderation.suspendedUntil = undefined;
+  this.moderation.actionedAt = new Date();
+  this.moderation.actionedBy = actorId;
+  this.isActive = !this.deactivation?.deactivatedAt && !this.isPendingDeletion;
+
+  return this;
+};
+
+// Method to record a confirmed violation
+UserSchema.methods.addStrike = function (report, weight, expiresAt) {
+  this.moderation.strikes.push({
+    report: report._id,
+    reason: report.reason,
+    weight,
+    expiresAt,
+  });
+
+  return this;
+};
+
+// Static method to check whether a user is shadowbanned
+UserSchema.statics.isShadowbanned = async function (userId) {
+  if (!userId) return false;
+
+  return !!(await this.exists({
+    _id: userId,
+    "moderation.shadowbanned": true,
+  }));
+};
+
+// Static method to check whether any of the users is waiting on an age check
+UserSchema.statics.hasPendingAgeReview = async function (userIds) {
+  return !!(await this.exists({
+    _id: { $in: userIds },
+    "ageReview.status": "pending",
+  }));
+};
+
+// Static method to list shadowbanned user IDs, for excluding their activity
+UserSchema.statics.getShadowbannedIds = function () {
+  return this.distinct("_id", { "moderation.shadowbanned": true });
+};
+
+// Static method to find suspensions that have run their course
+UserSchema.statics.findExpiredSuspensions = function (limit = 100) {
+  return this.find({
+    "moderation.status": "suspended",
+    "moderation.suspendedUntil": { $lte: new Date() },
+  }).limit(limit);
+};
+
+// Static method to find accounts whose deletion grace period has ended
+UserSchema.statics.findDueForPurge = function (limit = 50) {
+  return this.find({ "deletion.scheduledFor": { $lte: new Date() } })
+    .select("_id email phoneNumber photos deletion createdAt")
+    .limit(limit);
+};
+
+// Static method to find another account that already verified a phone number
+UserSchema.statics.findByVerifiedPhone = function (
+  phoneNumber,
+  excludeUserId = null
+) {
+  const query = {
+    phoneNumber,
+    "verification.phoneVerified": true,
+  };
+
+  if (excludeUserId) {
+    query._id = { $ne: excludeUserId };
+  }
+
+  return this.findOne(query).select("_id email isActive");
+};
+
+// Static method to find the account linked to a provider identity
+UserSchema.statics.findByOAuthIdentity = function (provider, subject) {
+  return this.findOne({
+    oauthIdentities: { $elemMatch: { provider, subject } },
+  });
+};
+
+// Method to link a provider identity (no-op if already linked)
+UserSchema.methods.linkOAuthIdentity = function (provider, subject, email) {
+  const existing = this.oauthIdentities.find(
+    (identity) => identity.provider === provider && identity.subject === subject
+  );
+
+  if (!existing) {
+    this.oauthIdentities.push({ provider, subject, email });
+  }
+
+  return this;
+};
+
+// Method to check whether a decoded JWT predates the last invalidation
+UserSchema.methods.isTokenCurrent = function (decoded) {
+  return (decoded?.tv || 0) === (this.tokenVersion || 0);
+};
+
+// Method to check the user's role (admins pass every role check)
+UserSchema.methods.hasRole = function (...roles) {
+  return this.role === "admin" || roles.includes(this.role);
+};
+
+// Method to check a permission granted by role or individually
+UserSchema.methods.hasPermission = function (permission) {
+  return roleHasPermission(this.role, permission, this.permissions || []);
+};
+
 // Enhanced method to block a user with validation
 UserSchema.methods.blockUser = function (userId) {
   if (!userId || userId.toString() === this._id.toString()) {
@@ -835,13 +1508,11 @@ UserSchema.methods.reportUser = function (userId, reason, details = "") {
   return Promise.resolve(this);
 };
 
-// Enhanced static method to find users for discovery with better performance
-UserSchema.statics.findForDiscovery = function (
-  currentUser,
-  excludeIds = [],
-  limit = 10
-) {
-  const query = {
+// Who the current user may see in discovery: visible accounts within their
+// age and gender preferences that are interested in them in return and that
+// neither side has blocked
+const buildDiscoveryFilter = (currentUser, excludeIds = []) => {
+  const filter = {
     _id: {
       $nin: [
         currentUser._id,
@@ -850,9 +1521,13 @@ UserSchema.statics.findForDiscovery = function (
       ],
     },
     isActive: true,
-    "preferences.showMe": true,
+    "preferences.showMe": { $ne: false },
+    "onboarding.status": { $ne: "pending" },
+    "moderation.hiddenFromDiscovery": { $ne: true },
+    "moderation.shadowbanned": { $ne: true },
+    "ageReview.status": { $ne: "pending" },
     photos: { $exists: true, $not: { $size: 0 } },
-    "safety.blockedUsers": { $nin: [currentUser._id] },
+    "safety.blockedUsers": { $ne: currentUser._id },
   };
 
   // Filter by age preference
@@ -869,7 +1544,7 @@ UserSchema.statics.findForDiscovery = function (
       currentDate.getDate()
     );
 
-    query.dateOfBirth = {
+    filter.dateOfBirth = {
       $gte: minBirthDate,
       $lte: maxBirthDate,
     };
@@ -880,24 +1555,32 @@ UserSchema.statics.findForDiscovery = function (
     currentUser.preferences?.interestedIn &&
     currentUser.preferences.interestedIn !== "both"
   ) {
-    query.gender = currentUser.preferences.interestedIn;
+    filter.gender = currentUser.preferences.interestedIn;
   }
 
-  // Filter by mutual interest (the other user must also be interested in current user)
-  const mutualInterestQuery = [];
+  // Mutual interest: the other user must be interested in the current
+  // user's gender (a missing preference means "both")...
+  filter["preferences.interestedIn"] = {
+    $in: [...(currentUser.gender ? [currentUser.gender] : []), "both", null],
+  };
 
-  if (currentUser.gender) {
-    mutualInterestQuery.push(
-      { "preferences.interestedIn": currentUser.gender },
-      { "preferences.interestedIn": "both" }
-    );
+  // ...and the current user's age must be within their age range
+  if (currentUser.dateOfBirth) {
+    const age = UserSchema.methods.getAge(currentUser.dateOfBirth);
+    filter["preferences.ageRange.min"] = { $not: { $gt: age } };
+    filter["preferences.ageRange.max"] = { $not: { $lt: age } };
   }
 
-  if (mutualInterestQuery.length > 0) {
-    query.$or = mutualInterestQuery;
-  }
+  return filter;
+};
 
-  return this.find(query)
+// Enhanced static method to find users for discovery with better performance
+UserSchema.statics.findForDiscovery = function (
+  currentUser,
+  excludeIds = [],
+  limit = 10
+) {
+  return this.find(buildDiscoveryFilter(currentUser, excludeIds))
     .select(
       "firstName lastName bio dateOfBirth gender photos location preferences verification lastActive stats"
     )
@@ -910,35 +1593,121 @@ UserSchema.statics.findForDiscovery = function (
     .lean(); // Use lean for better performance
 };
 
-// Enhanced static method for location-based discovery
+// Static method for location-based discovery: one $geoNear aggregation,
+// nearest first, with everyone the current user has swiped on (which covers
+// their matches) or already been shown left out. Distance comes back in km.
+// Pass profileIds to only consider those users.
 UserSchema.statics.findNearbyUsers = function (
   currentUser,
-  maxDistance = 50,
-  limit = 10
+  maxDistance = currentUser.preferences?.maxDistance || 50,
+  limit = 10,
+  { boostedOnly = false } = {}
 ) {
-  if (!currentUser.location?.coordinates) {
-    return this.findForDiscovery(currentUser, [], limit);
-  }
-
-  const baseQuery = this.findForDiscovery(currentUser, [], limit * 2); // Get more to filter by location
+  const now = new Date();
+  // Only candidates with a running boost, checked per nearby candidate
+  const boostStages = [
+    {
+      $lookup: {
+        from: this.model("Boost").collection.name,
+        let: { candidateId: "$_id" },
+        pipeline: [
+          {
+            $match: {
+              startsAt: { $lte: now },
+              endsAt: { $gt: now },
+              $expr: { $eq: ["$user", "$$candidateId"] },
+            },
+          },
+          { $limit: 1 },
+          { $project: { _id: 1 } },
+        ],
+        as: "boost",
+      },
+    },
+    { $match: { boost: { $ne: [] } } },
+  ];
 
-  return baseQuery.aggregate([
+  return this.aggregate([
     {
       $geoNear: {
         near: {
           type: "Point",
-          coordinates: currentUser.location.coordinates,
+          coordinates: currentUser.location?.coordinates || [0, 0],
         },
+        key: "location",
         distanceField: "distance",
         maxDistance: maxDistance * 1000, // Convert km to meters
         spherical: true,
-        query: baseQuery.getQuery(),
+        query: buildDiscoveryFilter(currentUser),
       },
     },
+    ...(boostedOnly ? boostStages : []),
+    {
+      $lookup: {
+        from: this.model("Swipe").collection.name,
+        let: { candidateId: "$_id" },
+        pipeline: [
+          {
+            $match: {
+              swiper: currentUser._id,
+              $expr: { $eq: ["$swiped", "$$candidateId"] },
+            },
+          },
+          { $limit: 1 },
+          { $project: { _id: 1 } },
+        ],
+        as: "swipe",
+      },
+    },
+    {
+      $lookup: {
+        from: this.model("DiscoveryImpression").collection.name,
+        let: { candidateId: "$_id" },
+        pipeline: [
+          {
+            $match: {
+              user: currentUser._id,
+              $expr: { $eq: ["$profile", "$$candidateId"] },
+            },
+          },
+          { $limit: 1 },
+          { $project: { _id: 1 } },
+        ],
+        as: "impression",
+      },
+    },
+    { $match: { swipe: { $size: 0 }, impression: { $size: 0 } } },
     { $limit: limit },
+    {
+      $project: {
+        firstName: 1,
+        lastName: 1,
+        bio: 1,
+        dateOfBirth: 1,
+        gender: 1,
+        photos: 1,
+        verification: 1,
+        lastActive: 1,
+        stats: 1,
+        distance: { $round: [{ $divide: ["$distance", 1000] }, 0] },
+      },
+    },
   ]);
 };
 
+// Static method to load the given profiles that can still be shown to the
+// current user, for serving a precomputed deck
+UserSchema.statics.findDiscoverable = function (currentUser, profileIds) {
+  const filter = buildDiscoveryFilter(currentUser);
+  filter._id.$in = profileIds;
+
+  return this.find(filter)
+    .select(
+      "firstName lastName bio dateOfBirth gender photos verification lastActive"
+    )
+    .lean();
+};
+
 // Method to update user stats safely
 UserSchema.methods.updateStats = function (statsUpdate) {
   const allowedStats = [
@@ -0,0 +1,87 @@
+// oauth-test-keys.js - Local JWKS and ID tokens for testing provider sign-in
+//
+// Usage:
+//   node oauth-test-keys.js                       # create the key set
+//   node oauth-test-keys.js google alice@test.com # print a signed ID token
+//
+// Then point the server at the local key set:
+//   GOOGLE_JWKS_URI=.oauth-test-keys/jwks.json GOOGLE_CLIENT_ID=habibi-test
+//   APPLE_JWKS_URI=.oauth-test-keys/jwks.json  APPLE_CLIENT_ID=habibi-test
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const KEY_DIR = path.join(__dirname, ".oauth-test-keys");
+const PRIVATE_KEY_PATH = path.join(KEY_DIR, "private.pem");
+const JWKS_PATH = path.join(KEY_DIR, "jwks.json");
+const KEY_ID = "habibi-test-key";
+
+const ISSUERS = {
+  google: "https://accounts.google.com",
+  apple: "https://appleid.apple.com",
+};
+
+const ensureKeys = () => {
+  if (fs.existsSync(PRIVATE_KEY_PATH) && fs.existsSync(JWKS_PATH)) {
+    return fs.readFileSync(PRIVATE_KEY_PATH, "utf8");
+  }
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+
+  const jwk = publicKey.export({ format: "jwk" });
+  const privatePem = privateKey.export({ type: "pkcs8", format: "pem" });
+
+  fs.mkdirSync(KEY_DIR, { recursive: true });
+  fs.writeFileSync(PRIVATE_KEY_PATH, privatePem);
+  fs.writeFileSync(
+    JWKS_PATH,
+    JSON.stringify(
+      { keys: [{ ...jwk, kid: KEY_ID, use: "sig", alg: "RS256" }] },
+      null,
+      2
+    )
+  );
+
+  console.log(`🔑 Test key set written to ${JWKS_PATH}`);
+  return privatePem;
+};
+
+const signIdToken = (provider, email, claims = {}) => {
+  const privateKey = ensureKeys();
+
+  return jwt.sign(
+    {
+      sub: `${provider}-${email}`,
+      email,
+      email_verified: true,
+      ...claims,
+    },
+    privateKey,
+    {
+      algorithm: "RS256",
+      keyid: KEY_ID,
+      issuer: ISSUERS[provider],
+      audience: process.env.OAUTH_TEST_CLIENT_ID || "habibi-test",
+      expiresIn: "10m",
+    }
+  );
+};
+
+if (require.main === module) {
+  const [provider, email] = process.argv.slice(2);
+
+  if (!provider) {
+    ensureKeys();
+  } else if (!ISSUERS[provider] || !email) {
+    console.log("Usage: node oauth-test-keys.js <google|apple> <email>");
+    process.exit(1);
+  } else {
+    console.log(signIdToken(provider, email, { given_name: "Test" }));
+  }
+}
+
+module.exports = { ensureKeys, signIdToken, JWKS_PATH };
@@ -0,0 +1,1747 @@
+const express = require("express");
+const net = require("net");
+const { body, param, query, validationResult } = require("express-validator");
+const {
+  authenticate,
+  requireRole,
+  requirePermission,
+} = require("../middleware/auth");
+const User = require("../models/User");
+const Swipe = require("../models/Swipe");
+const Match = require("../models/Match");
+const Message = require("../models/Message");
+const Session = require("../models/Session");
+const SecurityEvent = require("../models/SecurityEvent");
+const AuditLog = require("../models/AuditLog");
+const Report = require("../models/Report");
+const EnforcementDecision = require("../models/EnforcementDecision");
+const Appeal = require("../models/Appeal");
+const PhotoVerification = require("../models/PhotoVerification");
+const ModerationService = require("../services/moderationService");
+const ReportService = require("../services/reportService");
+const AppealService = require("../services/appealService");
+const PhotoVerificationService = require("../services/photoVerificationService");
+const AgeAssuranceService = require("../services/ageAssuranceService");
+const { ROLES, PERMISSIONS } = require("../utils/permissions");
+
+const router = express.Router();
+
+// Everything here is staff-only; each route also checks its own permission
+router.use(authenticate, requireRole("support", "moderator", "admin"));
+
+const SEARCH_TYPES = ["email", "name", "id", "ip", "deviceToken"];
+
+// Longest suspension a moderator can hand out (one year)
+const MAX_SUSPENSION_HOURS = 24 * 365;
+
+const USER_SUMMARY_FIELDS =
+  "firstName lastName email role isActive moderation ageReview deletion deactivation photos createdAt lastActive";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const toSummary = (user) => ({
+  _id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email,
+  role: user.role,
+  isActive: user.isActive,
+  moderationStatus: user.moderation?.status || "active",
+  shadowbanned: !!user.moderation?.shadowbanned,
+  ageReview: user.ageReview?.status || "none",
+  pendingDeletion: !!user.deletion?.scheduledFor,
+  deactivated: !!user.deactivation?.deactivatedAt,
+  primaryPhoto:
+    (user.photos || []).find((photo) => photo.isPrimary)?.url ||
+    user.photos?.[0]?.url ||
+    null,
+  createdAt: user.createdAt,
+  lastActive: user.lastActive,
+});
+
+// Guess what kind of identifier was typed when no type is given
+const detectSearchType = (q) => {
+  if (/^[a-f\d]{24}$/i.test(q)) return "id";
+  if (net.isIP(q)) return "ip";
+  if (q.includes("@")) return "email";
+  return "name";
+};
+
+const buildSearchQuery = async (type, q) => {
+  switch (type) {
+    case "id":
+      return { _id: q };
+    case "email":
+      return { email: new RegExp(`^${escapeRegex(q.toLowerCase())}`) };
+    case "ip": {
+      // Sign-in IPs live on sessions and security events as well
+      const [sessionUsers, eventUsers] = await Promise.all([
+        Session.distinct("user", { ip: q }),
+        SecurityEvent.distinct("user", { ip: q }),
+      ]);
+      return {
+        $or: [
+          { registrationIP: q },
+          { lastLoginIP: q },
+          { _id: { $in: [...sessionUsers, ...eventUsers].filter(Boolean) } },
+        ],
+      };
+    }
+    case "deviceToken":
+      return { "deviceTokens.token": q };
+    default:
+      return {
+        $and: q
+          .split(/\s+/)
+          .filter(Boolean)
+          .map((term) => {
+            const pattern = new RegExp(`^${escapeRegex(term)}`, "i");
+            return { $or: [{ firstName: pattern }, { lastName: pattern }] };
+          }),
+      };
+  }
+};
+
+// Reject the request if the validators above failed
+const rejectInvalid = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// Load the :id user into req.targetUser for an action on their account
+const loadActionTarget = async (req, res, next) => {
+  try {
+    const target = await User.findById(req.params.id);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (!ModerationService.canActOn(req.user, target)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can't take this action on this account",
+        code: "FORBIDDEN",
+      });
+    }
+
+    req.targetUser = target;
+    next();
+  } catch (error) {
+    console.error("Admin target lookup error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error loading user",
+    });
+  }
+};
+
+const idParam = param("id").isMongoId().withMessage("Invalid user ID");
+const reasonBody = body("reason")
+  .trim()
+  .isLength({ min: 3, max: 1000 })
+  .withMessage("A reason between 3 and 1000 characters is required");
+const optionalReasonBody = body("reason")
+  .optional()
+  .trim()
+  .isLength({ max: 1000 })
+  .withMessage("Reason cannot exceed 1000 characters");
+
+// @route   GET /api/admin/users/search
+// @desc    Search users by email, name, id, IP or device token
+// @access  Staff (users:read)
+router.get(
+  "/users/search",
+  requirePermission("users:read"),
+  [
+    query("q").trim().notEmpty().withMessage("Search query is required"),
+    query("type")
+      .optional()
+      .isIn(SEARCH_TYPES)
+      .withMessage(`Type must be one of: ${SEARCH_TYPES.join(", ")}`),
+    query("page").optional().isInt({ min: 1 }).toInt(),
+    query("limit").optional().isInt({ min: 1, max: 50 }).toInt(),
+  ],
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const { q } = req.query;
+      const type = req.query.type || detectSearchType(q);
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+
+      if (type === "id" && !/^[a-f\d]{24}$/i.test(q)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid user ID",
+        });
+      }
+
+      const filter = await buildSearchQuery(type, q);
+      const [users, total] = await Promise.all([
+        User.find(filter)
+          .select(USER_SUMMARY_FIELDS)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        User.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        type,
+        users: users.map(toSummary),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          total,
+          hasMore: (page - 1) * limit + users.length < total,
+        },
+      });
+    } catch (error) {
+      console.error("Admin user search error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error searching users",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/users/:id
+// @desc    Full user dossier
+// @access  Staff (users:read)
+router.get(
+  "/users/:id",
+  requirePermission("users:read"),
+  [idParam],
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const userId = req.params.id;
+      const user = await User.findById(userId).populate(
+        "safety.blockedUsers",
+        "firstName lastName email"
+      );
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const [
+        swipesGiven,
+        likesReceived,
+        matchesTotal,
+        matchesActive,
+        messagesSent,
+        reportsFiled,
+        reportsReceived,
+        blockedByCount,
+        activeSessions,
+        securityEvents,
+        auditTrail,
+        enforcementDecisions,
+        appeals,
+      ] = await Promise.all([
+        Swipe.countDocuments({ swiper: userId }),
+        Swipe.countDocuments({
+          swiped: userId,
+          action: { $in: ["like", "superlike"] },
+        }),
+        Match.countDocuments({ users: userId }),
+        Match.countDocuments({ users: userId, status: "active" }),
+        Message.countDocuments({ sender: userId }),
+        Report.find({ reporter: userId })
+          .populate("reportedUser", "firstName lastName email")
+          .select("reportedUser reason status priority createdAt")
+          .sort({ createdAt: -1 })
+          .lean(),
+        Report.find({ reportedUser: userId })
+          .populate("reporter", "firstName lastName email")
+          .select(
+            "reporter reason details status priority resolution createdAt"
+          )
+          .sort({ createdAt: -1 })
+          .lean(),
+        User.countDocuments({ "safety.blockedUsers": userId }),
+        Session.countDocuments({
+          user: userId,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() },
+        }),
+        SecurityEvent.getUserEvents(userId, { limit: 20 }),
+        AuditLog.getEntries({ target: userId }, { limit: 20 }),
+        EnforcementDecision.getEntries({ user: userId }, { limit: 20 }),
+        Appeal.find({ user: userId })
+          .select("restriction status statement resolution createdAt")
+          .sort({ createdAt: -1 })
+          .lean(),
+      ]);
+
+      const profile = user.toSafeObject();
+      delete profile.safety;
+
+      await ModerationService.audit("user_dossier_viewed", {
+        actor: req.user,
+        target: user,
+        req,
+      });
+
+      res.json({
+        success: true,
+        dossier: {
+          profile,
+          account: {
+            role: user.role,
+            permissions: user.permissions,
+            isActive: user.isActive,
+            moderation: user.moderation,
+            ageReview: user.ageReview,
+            deactivation: user.deactivation,
+            deletion: user.deletion,
+            registrationIP: user.registrationIP,
+            lastLoginIP: user.lastLoginIP,
+            loginAttempts: user.loginAttempts,
+            lockUntil: user.lockUntil,
+            activeSessions,
+            devices: (user.deviceTokens || []).map((device) => ({
+              platform: device.platform,
+              isActive: device.isActive,
+              registeredAt: device.registeredAt,
+              lastUsed: device.lastUsed,
+              token: device.token && `${device.token.slice(0, 12)}…`,
+            })),
+          },
+          subscription: user.subscription,
+          stats: {
+            ...profile.stats,
+            swipesGiven,
+            likesReceived,
+            matchesTotal,
+            matchesActive,
+            messagesSent,
+          },
+          reportsFiled,
+          reportsReceived,
+          blocks: {
+            blockedUsers: user.safety.blockedUsers,
+            blockedByCount,
+          },
+          securityEvents: securityEvents.events,
+          auditTrail: auditTrail.entries,
+          enforcementDecisions: enforcementDecisions.decisions,
+          appeals,
+        },
+      });
+    } catch (error) {
+      console.error("Admin dossier error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching user dossier",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:id/suspend
+// @desc    Suspend an account for a number of hours
+// @access  Staff (users:moderate)
+router.post(
+  "/users/:id/suspend",
+  requirePermission("users:moderate"),
+  [
+    idParam,
+    reasonBody,
+    body("durationHours")
+      .isInt({ min: 1, max: MAX_SUSPENSION_HOURS })
+      .withMessage(
+        `Duration must be between 1 and ${MAX_SUSPENSION_HOURS} hours`
+      )
+      .toInt(),
+  ],
+  rejectInvalid,
+  loadActionTarget,
+  async (req, res) => {
+    try {
+      const user = req.targetUser;
+
+      if (user.moderation?.status === "banned") {
+        return res.status(409).json({
+          success: false,
+          message: "User is banned. Unban them before suspending.",
+          code: "ALREADY_BANNED",
+        });
+      }
+
+      const suspendedUntil = await ModerationService.suspend(user, req.user, {
+        reason: req.body.reason,
+        durationHours: req.body.durationHours,
+        req,
+      });
+
+      res.json({
+        success: true,
+        message: "User suspended",
+        suspendedUntil,
+      });
+    } catch (error) {
+      console.error("Admin suspend error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error suspending user",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:id/ban
+// @desc    Ban an account
+// @access  Staff (users:moderate)
+router.post(
+  "/users/:id/ban",
+  requirePermission("users:moderate"),
+  [idParam, reasonBody],
+  rejectInvalid,
+  loadActionTarget,
+  async (req, res) => {
+    try {
+      if (req.targetUser.moderation?.status === "banned") {
+        return res.status(409).json({
+          success: false,
+          message: "User is already banned",
+          code: "ALREADY_BANNED",
+        });
+      }
+
+      await ModerationService.ban(req.targetUser, req.user, {
+        reason: req.body.reason,
+        req,
+      });
+
+      res.json({
+        success: true,
+        message: "User banned",
+      });
+    } catch (error) {
+      console.error("Admin ban error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error banning user",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:id/unban
+// @desc    Lift a suspension or ban
+// @access  Staff (users:moderate)
+router.post(
+  "/users/:id/unban",
+  requirePermission("users:moderate"),
+  [idParam, optionalReasonBody],
+  rejectInvalid,
+  loadActionTarget,
+  async (req, res) => {
+    try {
+      if (!req.targetUser.isRestricted) {
+        return res.status(409).json({
+          success: false,
+          message: "User is not suspended or banned",
+          code: "NOT_RESTRICTED",
+        });
+      }
+
+      await ModerationService.unban(req.targetUser, req.user, {
+        reason: req.body.reason,
+        req,
+      });
+
+      res.json({
+        success: true,
+        message: "Restriction lifted",
+        isActive: req.targetUser.isActive,
+      });
+    } catch (error) {
+      console.error("Admin unban error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error lifting restriction",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:id/shadowban
+// @desc    Hide a suspected spammer from everyone without telling them
+// @access  Staff (users:moderate)
+router.post(
+  "/users/:id/shadowban",
+  requirePermission("users:moderate"),
+  [idParam, reasonBody],
+  rejectInvalid,
+  loadActionTarget,
+  async (req, res) => {
+    try {
+      if (req.targetUser.moderation?.shadowbanned) {
+        return res.status(409).json({
+          success: false,
+          message: "User is already shadowbanned",
+          code: "ALREADY_SHADOWBANNED",
+        });
+      }
+
+      await ModerationService.shadowban(req.targetUser, req.user, {
+        reason: req.body.reason,
+        req,
+      });
+
+      res.json({
+        success: true,
+        message: "User shadowbanned",
+      });
+    } catch (error) {
+      console.error("Admin shadowban error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error shadowbanning user",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:id/unshadowban
+// @desc    Lift a shadowban
+// @access  Staff (users:moderate)
+router.post(
+  "/users/:id/unshadowban",
+  requirePermission("users:moderate"),
+  [idParam, optionalReasonBody],
+  rejectInvalid,
+  loadActionTarget,
+  async (req, res) => {
+    try {
+      if (!req.targetUser.moderation?.shadowbanned) {
+        return res.status(409).json({
+          success: false,
+          message: "User is not shadowbanned",
+          code: "NOT_SHADOWBANNED",
+        });
+      }
+
+      await ModerationService.unshadowban(req.targetUser, req.user, {
+        reason: req.body.reason,
+        req,
+      });
+
+      res.json({
+        success: true,
+        message: "Shadowban lifted",
+      });
+    } catch (error) {
+      console.error("Admin unshadowban error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error lifting shadowban",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:id/force-logout
+// @desc    Sign a user out of every device
+// @access  Staff (users:moderate)
+router.post(
+  "/users/:id/force-logout",
+  requirePermission("users:moderate"),
+  [idParam, optionalReasonBody],
+  rejectInvalid,
+  loadActionTarget,
+  async (req, res) => {
+    try {
+      const revokedSessions = await ModerationService.forceLogout(
+        req.targetUser,
+        req.user,
+        { reason: req.body.reason, req }
+      );
+
+      res.json({
+        success: true,
+        message: "User signed out everywhere",
+        revokedSessions,
+      });
+    } catch (error) {
+      console.error("Admin force logout error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error signing user out",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:id/reset-photos
+// @desc    Remove all of a user's photos
+// @access  Staff (users:moderate)
+router.post(
+  "/users/:id/reset-photos",
+  requirePermission("users:moderate"),
+  [idParam, reasonBody],
+  rejectInvalid,
+  loadActionTarget,
+  async (req, res) => {
+    try {
+      const { removed, failedAssets } = await ModerationService.resetPhotos(
+        req.targetUser,
+        req.user,
+        { reason: req.body.reason, req }
+      );
+
+      res.json({
+        success: true,
+        message: `Removed ${removed} photo(s)`,
+        removed,
+        failedAssets,
+      });
+    } catch (error) {
+      console.error("Admin photo reset error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error resetting photos",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:id/reset-bio
+// @desc    Clear a user's bio
+// @access  Staff (users:moderate)
+router.post(
+  "/users/:id/reset-bio",
+  requirePermission("users:moderate"),
+  [idParam, reasonBody],
+  rejectInvalid,
+  loadActionTarget,
+  async (req, res) => {
+    try {
+      await ModerationService.resetBio(req.targetUser, req.user, {
+        reason: req.body.reason,
+        req,
+      });
+
+      res.json({
+        success: true,
+        message: "Bio cleared",
+      });
+    } catch (error) {
+      console.error("Admin bio reset error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error resetting bio",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:id/unhide
+// @desc    Return a user hidden by the enforcement policy to discovery
+// @access  Staff (users:moderate)
+router.post(
+  "/users/:id/unhide",
+  requirePermission("users:moderate"),
+  [idParam, reasonBody],
+  rejectInvalid,
+  loadActionTarget,
+  async (req, res) => {
+    try {
+      if (!req.targetUser.moderation?.hiddenFromDiscovery) {
+        return res.status(409).json({
+          success: false,
+          message: "User is not hidden from discovery",
+          code: "NOT_HIDDEN",
+        });
+      }
+
+      await ModerationService.unhide(req.targetUser, req.user, {
+        reason: req.body.reason,
+        req,
+      });
+
+      res.json({
+        success: true,
+        message: "User is visible in discovery again",
+      });
+    } catch (error) {
+      console.error("Admin unhide error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error unhiding user",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role and extra permissions
+// @access  Admin (users:manage_roles)
+router.put(
+  "/users/:id/role",
+  requirePermission("users:manage_roles"),
+  [
+    idParam,
+    body("role")
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(", ")}`),
+    body("permissions")
+      .optional()
+      .isArray()
+      .withMessage("Permissions must be an array"),
+    body("permissions.*").isIn(PERMISSIONS).withMessage("Unknown permission"),
+    optionalReasonBody,
+  ],
+  rejectInvalid,
+  loadActionTarget,
+  async (req, res) => {
+    try {
+      if (
+        !ModerationService.canGrant(
+          req.user,
+          req.body.role,
+          req.body.permissions
+        )
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "You can't grant this role or these permissions",
+          code: "FORBIDDEN",
+        });
+      }
+
+      await ModerationService.changeRole(req.targetUser, req.user, {
+        role: req.body.role,
+        permissions: req.body.permissions,
+        reason: req.body.reason,
+        req,
+      });
+
+      res.json({
+        success: true,
+        message: "Role updated",
+        role: req.targetUser.role,
+        permissions: req.targetUser.permissions,
+      });
+    } catch (error) {
+      console.error("Admin role change error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating role",
+      });
+    }
+  }
+);
+
+// Load the :id report into req.report
+const loadReport = async (req, res, next) => {
+  try {
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found",
+      });
+    }
+
+    req.report = report;
+    next();
+  } catch (error) {
+    console.error("Report lookup error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error loading report",
+    });
+  }
+};
+
+// Map service errors (AppError) onto responses for the report routes
+const sendReportError = (res, error, label) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Error updating report",
+  });
+};
+
+const reportIdParam = param("id").isMongoId().withMessage("Invalid report ID");
+
+// @route   GET /api/admin/reports
+// @desc    Moderation queue, most urgent and oldest first
+// @access  Staff (reports:review)
+router.get(
+  "/reports",
+  requirePermission("reports:review"),
+  [
+    query("status")
+      .optional()
+      .isIn(Report.schema.path("status").enumValues)
+      .withMessage("Invalid status"),
+    query("assignee")
+      .optional()
+      .custom(
+        (value) =>
+          ["me", "unassigned"].includes(value) || /^[a-f\d]{24}$/i.test(value)
+      )
+      .withMessage("Assignee must be me, unassigned or a user ID"),
+    query("reason")
+      .optional()
+      .isIn(Report.schema.path("reason").enumValues)
+      .withMessage("Invalid reason"),
+    query("escalated").optional().isBoolean().toBoolean(),
+    query("reportedUser").optional().isMongoId().withMessage("Invalid user ID"),
+    query("page").optional().isInt({ min: 1 }).toInt(),
+    query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const { status, assignee, reason, escalated, reportedUser } = req.query;
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+
+      // The default view is the work still to do
+      const filter = {
+        status: status || { $in: ["open", "in_review"] },
+      };
+      if (assignee === "me") filter.assignee = req.user._id;
+      else if (assignee === "unassigned") filter.assignee = null;
+      else if (assignee) filter.assignee = assignee;
+      if (reason) filter.reason = reason;
+      if (reportedUser) filter.reportedUser = reportedUser;
+      if (escalated !== undefined) {
+        filter["escalation.escalatedAt"] = { $exists: escalated };
+      }
+
+      const [reports, total] = await Promise.all([
+        Report.find(filter)
+          .sort({ priority: -1, createdAt: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate("reporter", "firstName lastName email")
+          .populate("reportedUser", "firstName lastName email moderation")
+          .populate("assignee", "firstName lastName email")
+          .select("-notes -evidence.snapshot"),
+        Report.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        reports,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          total,
+          hasMore: (page - 1) * limit + reports.length < total,
+        },
+      });
+    } catch (error) {
+      console.error("Report queue error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching reports",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/reports/:id
+// @desc    Report detail with evidence, notes and the reported user's history
+// @access  Staff (reports:review)
+router.get(
+  "/reports/:id",
+  requirePermission("reports:review"),
+  [reportIdParam],
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const report = await Report.findById(req.params.id)
+        .populate("reporter", "firstName lastName email createdAt")
+        .populate("reportedUser", USER_SUMMARY_FIELDS)
+        .populate("assignee", "firstName lastName email")
+        .populate("notes.author", "firstName lastName role")
+        .populate("resolution.resolvedBy", "firstName lastName role")
+        .populate("escalation.escalatedBy", "firstName lastName role");
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: "Report not found",
+        });
+      }
+
+      const reportedUserId = report.reportedUser?._id;
+      const otherReports = reportedUserId
+        ? await Report.find({
+            reportedUser: reportedUserId,
+            _id: { $ne: report._id },
+          })
+            .select("reason status priority createdAt")
+            .sort({ createdAt: -1 })
+            .limit(20)
+            .lean()
+        : [];
+
+      res.json({
+        success: true,
+        report,
+        reportedUser: report.reportedUser && toSummary(report.reportedUser),
+        otherReports,
+      });
+    } catch (error) {
+      console.error("Report detail error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching report",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/reports/:id/claim
+// @desc    Assign a report to yourself
+// @access  Staff (reports:review)
+router.post(
+  "/reports/:id/claim",
+  requirePermission("reports:review"),
+  [reportIdParam],
+  rejectInvalid,
+  loadReport,
+  async (req, res) => {
+    try {
+      const report = await ReportService.claim(req.report, req.user);
+
+      res.json({
+        success: true,
+        message: "Report claimed",
+        report,
+      });
+    } catch (error) {
+      sendReportError(res, error, "Report claim");
+    }
+  }
+);
+
+// @route   POST /api/admin/reports/:id/resolve
+// @desc    Close a report as actioned or dismissed
+// @access  Staff (reports:review)
+router.post(
+  "/reports/:id/resolve",
+  requirePermission("reports:review"),
+  [
+    reportIdParam,
+    body("outcome")
+      .isIn(["actioned", "dismissed"])
+      .withMessage("Outcome must be actioned or dismissed"),
+    body("action")
+      .optional()
+      .isIn(Report.schema.path("resolution.action").enumValues)
+      .withMessage("Invalid action"),
+    body("note")
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Note cannot exceed 1000 characters"),
+  ],
+  rejectInvalid,
+  loadReport,
+  async (req, res) => {
+    try {
+      const report = await ReportService.resolve(req.report, req.user, {
+        outcome: req.body.outcome,
+        action: req.body.action,
+        note: req.body.note,
+        req,
+      });
+
+      res.json({
+        success: true,
+        message: `Report ${report.status}`,
+        report,
+      });
+    } catch (error) {
+      sendReportError(res, error, "Report resolve");
+    }
+  }
+);
+
+// @route   POST /api/admin/reports/:id/escalate
+// @desc    Escalate a report to the admins
+// @access  Staff (reports:review)
+router.post(
+  "/reports/:id/escalate",
+  requirePermission("reports:review"),
+  [reportIdParam, reasonBody],
+  rejectInvalid,
+  loadReport,
+  async (req, res) => {
+    try {
+      const report = await ReportService.escalate(req.report, req.user, {
+        reason: req.body.reason,
+        req,
+      });
+
+      res.json({
+        success: true,
+        message: "Report escalated",
+        report,
+      });
+    } catch (error) {
+      sendReportError(res, error, "Report escalate");
+    }
+  }
+);
+
+// @route   POST /api/admin/reports/:id/notes
+// @desc    Add an internal note to a report
+// @access  Staff (reports:review)
+router.post(
+  "/reports/:id/notes",
+  requirePermission("reports:review"),
+  [
+    reportIdParam,
+    body("body")
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage("Note must be between 1 and 2000 characters"),
+  ],
+  rejectInvalid,
+  loadReport,
+  async (req, res) => {
+    try {
+      const note = await ReportService.addNote(
+        req.report,
+        req.user,
+        req.body.body
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Note added",
+        note,
+      });
+    } catch (error) {
+      sendReportError(res, error, "Report note");
+    }
+  }
+);
+
+// Load the :id appeal into req.appeal
+const loadAppeal = async (req, res, next) => {
+  try {
+    const appeal = await Appeal.findById(req.params.id);
+    if (!appeal) {
+      return res.status(404).json({
+        success: false,
+        message: "Appeal not found",
+      });
+    }
+
+    req.appeal = appeal;
+    next();
+  } catch (error) {
+    console.error("Appeal lookup error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error loading appeal",
+    });
+  }
+};
+
+// Map service errors (AppError) onto responses for the appeal routes
+const sendAppealError = (res, error, label) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Error updating appeal",
+  });
+};
+
+const appealIdParam = param("id").isMongoId().withMessage("Invalid appeal ID");
+
+// @route   GET /api/admin/appeals
+// @desc    Appeal queue, oldest first
+// @access  Staff (appeals:review)
+router.get(
+  "/appeals",
+  requirePermission("appeals:review"),
+  [
+    query("status")
+      .optional()
+      .isIn(Appeal.schema.path("status").enumValues)
+      .withMessage("Invalid status"),
+    query("assignee")
+      .optional()
+      .custom(
+        (value) =>
+          ["me", "unassigned"].includes(value) || /^[a-f\d]{24}$/i.test(value)
+      )
+      .withMessage("Assignee must be me, unassigned or a user ID"),
+    query("user").optional().isMongoId().withMessage("Invalid user ID"),
+    query("page").optional().isInt({ min: 1 }).toInt(),
+    query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const { status, assignee, user } = req.query;
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+
+      const filter = {
+        status: status || { $in: ["open", "in_review"] },
+      };
+      if (assignee === "me") filter.assignee = req.user._id;
+      else if (assignee === "unassigned") filter.assignee = null;
+      else if (assignee) filter.assignee = assignee;
+      if (user) filter.user = user;
+
+      const [appeals, total] = await Promise.all([
+        Appeal.find(filter)
+          .sort({ createdAt: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate("user", "firstName lastName email moderation")
+          .populate("assignee", "firstName lastName email"),
+        Appeal.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        appeals,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          total,
+          hasMore: (page - 1) * limit + appeals.length < total,
+        },
+      });
+    } catch (error) {
+      console.error("Appeal queue error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching appeals",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/appeals/:id
+// @desc    Appeal detail with the decision it contests
+// @access  Staff (appeals:review)
+router.get(
+  "/appeals/:id",
+  requirePermission("appeals:review"),
+  [appealIdParam],
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const appeal = await Appeal.findById(req.params.id)
+        .populate("user", USER_SUMMARY_FIELDS)
+        .populate({
+          path: "enforcement",
+          populate: { path: "actor", select: "firstName lastName role" },
+        })
+        .populate({
+          path: "decision",
+          populate: { path: "report", select: "reason status priority" },
+        })
+        .populate("assignee", "firstName lastName email")
+        .populate("resolution.resolvedBy", "firstName lastName role");
+
+      if (!appeal) {
+        return res.status(404).json({
+          success: false,
+          message: "Appeal not found",
+        });
+      }
+
+      const userId = appeal.user?._id;
+      const [previousAppeals, reportsReceived] = userId
+        ? await Promise.all([
+            Appeal.find({ user: userId, _id: { $ne: appeal._id } })
+              .select("restriction.status status createdAt")
+              .sort({ createdAt: -1 })
+              .lean(),
+            Report.find({ reportedUser: userId })
+              .select("reason status priority resolution.action createdAt")
+              .sort({ createdAt: -1 })
+              .limit(20)
+              .lean(),
+          ])
+        : [[], []];
+
+      res.json({
+        success: true,
+        appeal,
+        user: appeal.user && toSummary(appeal.user),
+        previousAppeals,
+        reportsReceived,
+      });
+    } catch (error) {
+      console.error("Appeal detail error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching appeal",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/appeals/:id/claim
+// @desc    Assign an appeal to yourself
+// @access  Staff (appeals:review)
+router.post(
+  "/appeals/:id/claim",
+  requirePermission("appeals:review"),
+  [appealIdParam],
+  rejectInvalid,
+  loadAppeal,
+  async (req, res) => {
+    try {
+      const appeal = await AppealService.claim(req.appeal, req.user);
+
+      res.json({
+        success: true,
+        message: "Appeal claimed",
+        appeal,
+      });
+    } catch (error) {
+      sendAppealError(res, error, "Appeal claim");
+    }
+  }
+);
+
+// @route   POST /api/admin/appeals/:id/resolve
+// @desc    Uphold or overturn the contested restriction
+// @access  Staff (appeals:review)
+router.post(
+  "/appeals/:id/resolve",
+  requirePermission("appeals:review"),
+  [
+    appealIdParam,
+    body("outcome")
+      .isIn(["upheld", "overturned"])
+      .withMessage("Outcome must be upheld or overturned"),
+    body("note")
+      .trim()
+      .isLength({ min: 3, max: 1000 })
+      .withMessage("A note between 3 and 1000 characters is required"),
+  ],
+  rejectInvalid,
+  loadAppeal,
+  async (req, res) => {
+    try {
+      const appeal = await AppealService.resolve(req.appeal, req.user, {
+        outcome: req.body.outcome,
+        note: req.body.note,
+        req,
+      });
+
+      res.json({
+        success: true,
+        message: `Appeal ${appeal.status}`,
+        appeal,
+      });
+    } catch (error) {
+      sendAppealError(res, error, "Appeal resolve");
+    }
+  }
+);
+
+// Load the :id photo verification into req.verification, and its user into
+// req.targetUser
+const loadVerification = async (req, res, next) => {
+  try {
+    const verification = await PhotoVerification.findById(req.params.id);
+    const user = verification && (await User.findById(verification.user));
+    if (!verification || !user) {
+      return res.status(404).json({
+        success: false,
+        message: "Verification not found",
+      });
+    }
+
+    req.verification = verification;
+    req.targetUser = user;
+    next();
+  } catch (error) {
+    console.error("Verification lookup error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error loading verification",
+    });
+  }
+};
+
+// Map service errors (AppError) onto responses for the verification routes
+const sendVerificationError = (res, error, label) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Error updating verification",
+  });
+};
+
+const verificationIdParam = param("id")
+  .isMongoId()
+  .withMessage("Invalid verification ID");
+
+// @route   GET /api/admin/photo-verifications
+// @desc    Selfie verification queue, oldest first
+// @access  Staff (verifications:review)
+router.get(
+  "/photo-verifications",
+  requirePermission("verifications:review"),
+  [
+    query("status")
+      .optional()
+      .isIn(PhotoVerification.schema.path("status").enumValues)
+      .withMessage("Invalid status"),
+    query("user").optional().isMongoId().withMessage("Invalid user ID"),
+    query("page").optional().isInt({ min: 1 }).toInt(),
+    query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const { status, user } = req.query;
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+
+      const filter = { status: status || "pending" };
+      if (user) filter.user = user;
+
+      const [verifications, total] = await Promise.all([
+        PhotoVerification.find(filter)
+          .sort({ submittedAt: 1, createdAt: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate("user", "firstName lastName email")
+          .populate("reviewedBy", "firstName lastName role"),
+        PhotoVerification.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        verifications,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          total,
+          hasMore: (page - 1) * limit + verifications.length < total,
+        },
+      });
+    } catch (error) {
+      console.error("Verification queue error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching verifications",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/photo-verifications/:id
+// @desc    Selfie, pose and the user's current photos side by side
+// @access  Staff (verifications:review)
+router.get(
+  "/photo-verifications/:id",
+  requirePermission("verifications:review"),
+  [verificationIdParam],
+  rejectInvalid,
+  loadVerification,
+  async (req, res) => {
+    try {
+      const previousAttempts = await PhotoVerification.find({
+        user: req.targetUser._id,
+        _id: { $ne: req.verification._id },
+      })
+        .select("status trigger rejectionReason submittedAt reviewedAt")
+        .sort({ createdAt: -1 })
+        .limit(10)
+        .lean();
+
+      res.json({
+        success: true,
+        verification: req.verification,
+        user: toSummary(req.targetUser),
+        photos: req.targetUser.photos,
+        previousAttempts,
+      });
+    } catch (error) {
+      console.error("Verification detail error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching verification",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/photo-verifications/:id/approve
+// @desc    Approve a selfie and mark the user's photo verified
+// @access  Staff (verifications:review)
+router.post(
+  "/photo-verifications/:id/approve",
+  requirePermission("verifications:review"),
+  [verificationIdParam],
+  rejectInvalid,
+  loadVerification,
+  async (req, res) => {
+    try {
+      const verification = await PhotoVerificationService.approve(
+        req.verification,
+        req.targetUser,
+        req.user,
+        { req }
+      );
+
+      res.json({
+        success: true,
+        message: "Photo verified",
+        verification,
+      });
+    } catch (error) {
+      sendVerificationError(res, error, "Verification approve");
+    }
+  }
+);
+
+// @route   POST /api/admin/photo-verifications/:id/reject
+// @desc    Reject a selfie; the reason is shown to the user
+// @access  Staff (verifications:review)
+router.post(
+  "/photo-verifications/:id/reject",
+  requirePermission("verifications:review"),
+  [
+    verificationIdParam,
+    body("reason")
+      .trim()
+      .isLength({ min: 3, max: 300 })
+      .withMessage("A reason between 3 and 300 characters is required"),
+  ],
+  rejectInvalid,
+  loadVerification,
+  async (req, res) => {
+    try {
+      const verification = await PhotoVerificationService.reject(
+        req.verification,
+        req.targetUser,
+        req.user,
+        { reason: req.body.reason, req }
+      );
+
+      res.json({
+        success: true,
+        message: "Verification rejected",
+        verification,
+      });
+    } catch (error) {
+      sendVerificationError(res, error, "Verification reject");
+    }
+  }
+);
+
+// @route   GET /api/admin/age-reviews
+// @desc    Accounts waiting on an age check, oldest flag first
+// @access  Staff (users:moderate)
+router.get(
+  "/age-reviews",
+  requirePermission("users:moderate"),
+  [
+    query("status")
+      .optional()
+      .isIn(["pending", "cleared", "underage"])
+      .withMessage("Invalid status"),
+    query("page").optional().isInt({ min: 1 }).toInt(),
+    query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+      const filter = { "ageReview.status": req.query.status || "pending" };
+
+      const [users, total] = await Promise.all([
+        User.find(filter)
+          .select(`${USER_SUMMARY_FIELDS} dateOfBirth`)
+          .sort({ "ageReview.flaggedAt": 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        User.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        reviews: users.map((user) => ({
+          user: toSummary(user),
+          dateOfBirth: user.dateOfBirth,
+          ...user.ageReview,
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          total,
+          hasMore: (page - 1) * limit + users.length < total,
+        },
+      });
+    } catch (error) {
+      console.error("Age review queue error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching age reviews",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:id/age-review
+// @desc    Clear an account under age review, or ban it as under 18
+// @access  Staff (users:moderate)
+router.post(
+  "/users/:id/age-review",
+  requirePermission("users:moderate"),
+  [
+    idParam,
+    body("outcome")
+      .isIn(["cleared", "underage"])
+      .withMessage("Outcome must be cleared or underage"),
+    body("note")
+      .trim()
+      .isLength({ min: 3, max: 1000 })
+      .withMessage("A note between 3 and 1000 characters is required"),
+  ],
+  rejectInvalid,
+  loadActionTarget,
+  async (req, res) => {
+    try {
+      const options = { note: req.body.note, req };
+      if (req.body.outcome === "cleared") {
+        await AgeAssuranceService.clear(req.targetUser, req.user, options);
+      } else {
+        await AgeAssuranceService.confirmUnderage(
+          req.targetUser,
+          req.user,
+          options
+        );
+      }
+
+      res.json({
+        success: true,
+        message:
+          req.body.outcome === "cleared"
+            ? "Account cleared"
+            : "Account banned as under 18",
+        ageReview: req.targetUser.ageReview,
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
+
+      console.error("Admin age review error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error recording age review",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/users/:id/date-of-birth
+// @desc    Correct a user's date of birth (users can't change it themselves)
+// @access  Staff (users:moderate)
+router.put(
+  "/users/:id/date-of-birth",
+  requirePermission("users:moderate"),
+  [
+    idParam,
+    body("dateOfBirth")
+      .isISO8601()
+      .withMessage("Please enter a valid date of birth"),
+    reasonBody,
+  ],
+  rejectInvalid,
+  loadActionTarget,
+  async (req, res) => {
+    try {
+      const previous = req.targetUser.dateOfBirth;
+      req.targetUser.dateOfBirth = new Date(req.body.dateOfBirth);
+
+      // Under-18 accounts are banned through the age review instead
+      if (req.targetUser.getAge() < 18) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Users must be 18 or older. Ban the account instead of changing its date of birth.",
+          code: "UNDER_18",
+        });
+      }
+
+      await req.targetUser.save();
+
+      await ModerationService.audit("user_dob_changed", {
+        actor: req.user,
+        target: req.targetUser,
+        reason: req.body.reason,
+        metadata: { from: previous, to: req.targetUser.dateOfBirth },
+        req,
+      });
+
+      res.json({
+        success: true,
+        message: "Date of birth updated",
+        dateOfBirth: req.targetUser.dateOfBirth,
+      });
+    } catch (error) {
+      console.error("Admin date of birth error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating date of birth",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/audit-log
+// @desc    Browse the staff audit trail
+// @access  Staff (audit:read)
+router.get(
+  "/audit-log",
+  requirePermission("audit:read"),
+  [
+    query("actor").optional().isMongoId().withMessage("Invalid actor ID"),
+    query("target").optional().isMongoId().withMessage("Invalid target ID"),
+    query("action")
+      .optional()
+      .isIn(AuditLog.schema.path("action").enumValues)
+      .withMessage("Unknown action"),
+    query("page").optional().isInt({ min: 1 }).toInt(),
+    query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const { actor, target, action } = req.query;
+      const filter = {};
+      if (actor) filter.actor = actor;
+      if (target) filter.target = target;
+      if (action) filter.action = action;
+
+      const { entries, pagination } = await AuditLog.getEntries(filter, {
+        page: req.query.page || 1,
+        limit: req.query.limit || 20,
+      });
+
+      res.json({
+        success: true,
+        entries,
+        pagination,
+      });
+    } catch (error) {
+      console.error("Audit log error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching audit log",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/enforcement-decisions
+// @desc    Browse decisions made by the automatic enforcement policy
+// @access  Staff (audit:read)
+router.get(
+  "/enforcement-decisions",
+  requirePermission("audit:read"),
+  [
+    query("user").optional().isMongoId().withMessage("Invalid user ID"),
+    query("decision")
+      .optional()
+      .isIn(EnforcementDecision.schema.path("decision").enumValues)
+      .withMessage("Unknown decision"),
+    query("page").optional().isInt({ min: 1 }).toInt(),
+    query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const { user, decision } = req.query;
+      const filter = {};
+      if (user) filter.user = user;
+      if (decision) filter.decision = decision;
+
+      const { decisions, pagination } = await EnforcementDecision.getEntries(
+        filter,
+        {
+          page: req.query.page || 1,
+          limit: req.query.limit || 20,
+        }
+      );
+
+      res.json({
+        success: true,
+        decisions,
+        pagination,
+      });
+    } catch (error) {
+      console.error("Enforcement decisions error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching enforcement decisions",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,97 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const { authenticateAppeal } = require("../middleware/auth");
+const Appeal = require("../models/Appeal");
+const AppealService = require("../services/appealService");
+
+const router = express.Router();
+
+// Every route here is for suspended and banned accounts, using the appeal
+// token returned with ACCOUNT_SUSPENDED / ACCOUNT_BANNED at sign-in
+router.use(authenticateAppeal);
+
+// @route   POST /api/appeals
+// @desc    Appeal the current suspension or ban
+// @access  Restricted (appeal token)
+router.post(
+  "/",
+  [
+    body("statement")
+      .trim()
+      .isLength({ min: 20, max: 2000 })
+      .withMessage("Statement must be 20-2000 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const appeal = await AppealService.fileAppeal(req.user, {
+        statement: req.body.statement,
+      });
+
+      res.status(201).json({
+        success: true,
+        message:
+          "Your appeal has been submitted. We'll email you once it has been reviewed.",
+        appeal: {
+          _id: appeal._id,
+          status: appeal.status,
+          createdAt: appeal.createdAt,
+        },
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
+
+      console.error("File appeal error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error submitting appeal",
+      });
+    }
+  }
+);
+
+// @route   GET /api/appeals
+// @desc    The user's own appeals and their status
+// @access  Restricted (appeal token)
+router.get("/", async (req, res) => {
+  try {
+    const appeals = await Appeal.find({ user: req.user._id })
+      .select(
+        "restriction.status statement status resolution.resolvedAt createdAt"
+      )
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      restriction: {
+        status: req.user.moderation?.status,
+        reason: req.user.moderation?.reason,
+        suspendedUntil: req.user.moderation?.suspendedUntil,
+      },
+      appeals,
+    });
+  } catch (error) {
+    console.error("Get appeals error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching appeals",
+    });
+  }
+});
+
+module.exports = router;
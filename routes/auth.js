@@ -1,10 +1,110 @@
 const express = require("express");
-const { body, validationResult } = require("express-validator");
+const rateLimit = require("express-rate-limit");
+const { body, param, validationResult } = require("express-validator");
 const User = require("../models/User");
-const { authenticate, generateToken } = require("../middleware/auth");
+const Session = require("../models/Session");
+const {
+  authenticate,
+  generateScopedToken,
+  verifyScopedToken,
+} = require("../middleware/auth");
+const { loginRiskGuard } = require("../middleware/loginRisk");
+const { requireCaptcha } = require("../middleware/captcha");
+const SessionService = require("../services/sessionService");
+const SecurityEventService = require("../services/securityEventService");
+const TotpService = require("../services/totpService");
+const oauthService = require("../services/oauthService");
+const mailService = require("../services/mailService");
+const loginRiskService = require("../services/loginRiskService");
+const AccountDeactivationService = require("../services/accountDeactivationService");
+const ModerationService = require("../services/moderationService");
+
+// Count a failed sign-in against the risk engine; the result tells the client
+// whether the next attempt needs a CAPTCHA
+const recordRiskFailure = (req) => {
+  const assessment = loginRiskService.recordFailure(req.loginRisk.context);
+  return { captchaRequired: assessment.captchaRequired };
+};
+
+// A deactivated account has proven who it is; hand back a short-lived token
+// the client exchanges at /reactivate once the user confirms
+const reactivationChallenge = (user, method) => ({
+  success: true,
+  message: "This account is deactivated. Reactivate it to continue.",
+  code: "reactivation_required",
+  reactivationRequired: true,
+  reactivationToken: generateScopedToken(user._id, "reactivate", {
+    expiresIn: "10m",
+    claims: { method },
+  }),
+});
+
+// Suspended and banned accounts can't sign in, and only learn why once they
+// have proven who they are. A suspension that has ended is lifted on the spot.
+// The appeal token lets them contest the restriction at /api/appeals.
+const restrictionFor = async (user) => {
+  if (!user.isRestricted || (await ModerationService.liftIfExpired(user))) {
+    return null;
+  }
+
+  const banned = user.moderation.status === "banned";
+  return {
+    success: false,
+    message: banned
+      ? "This account has been banned"
+      : "This account is suspended",
+    code: banned ? "ACCOUNT_BANNED" : "ACCOUNT_SUSPENDED",
+    reason: user.moderation.reason,
+    suspendedUntil: user.moderation.suspendedUntil,
+    appealToken: generateScopedToken(user._id, "appeal", { expiresIn: "1h" }),
+  };
+};
+
+// Names must pass the User schema validator to be taken from a provider
+const NAME_PATTERN = /^[a-zA-Z\s]+$/;
+
+// Minimum time between verification emails for one account
+const VERIFICATION_RESEND_COOLDOWN_MS = 2 * 60 * 1000;
 
 const router = express.Router();
 
+// Password reset requests are throttled per email address, not per IP
+const forgotPasswordLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // requests per email per window
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `forgot:${req.body.email}`,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: "Too many password reset requests. Please try again later.",
+      code: "RESET_THROTTLED",
+      retryAfter: 60 * 60,
+    });
+  },
+});
+
+// Magic links are throttled the same way, and expire quickly
+const MAGIC_LINK_TTL_MINUTES =
+  parseInt(process.env.MAGIC_LINK_TTL_MINUTES) || 15;
+
+const magicLinkLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // requests per email per window
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `magic:${req.body.email}`,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: "Too many sign-in link requests. Please try again later.",
+      code: "MAGIC_LINK_THROTTLED",
+      retryAfter: 60 * 60,
+    });
+  },
+});
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -35,7 +135,13 @@ router.post(
     body("gender")
       .isIn(["male", "female", "other"])
       .withMessage("Gender must be male, female, or other"),
+    body("phoneNumber")
+      .optional()
+      .trim()
+      .matches(/^\+[1-9]\d{7,14}$/)
+      .withMessage("Phone number must be in international format"),
   ],
+  requireCaptcha(),
   async (req, res) => {
     try {
       // Check for validation errors
@@ -48,8 +154,15 @@ router.post(
         });
       }
 
-      const { email, password, firstName, lastName, dateOfBirth, gender } =
-        req.body;
+      const {
+        email,
+        password,
+        firstName,
+        lastName,
+        dateOfBirth,
+        gender,
+        phoneNumber,
+      } = req.body;
 
       // Check if user already exists
       const existingUser = await User.findOne({ email });
@@ -60,6 +173,15 @@ router.post(
         });
       }
 
+      // A verified phone number identifies an existing account
+      if (phoneNumber && (await User.findByVerifiedPhone(phoneNumber))) {
+        return res.status(400).json({
+          success: false,
+          message: "An account with this phone number already exists",
+          code: "DUPLICATE_PHONE",
+        });
+      }
+
       // Validate age (must be 18 or older)
       const birthDate = new Date(dateOfBirth);
       const today = new Date();
@@ -88,20 +210,31 @@ router.post(
         lastName,
         dateOfBirth: birthDate,
         gender,
+        phoneNumber,
       });
 
+      // Issue an email verification token (hashed on the user)
+      const verificationToken = user.createEmailVerificationToken();
+
       // Save user to database
       await user.save();
 
-      // Generate JWT token
-      const token = generateToken(user._id);
+      // Send verification email (registration still succeeds if it fails)
+      const verificationResult = await mailService.sendVerificationEmail(
+        user,
+        verificationToken
+      );
+
+      // Start a session and issue the token pair
+      const tokens = await SessionService.createSession(user, req);
 
       // Return success response
       res.status(201).json({
         success: true,
         message: "User registered successfully",
-        token,
+        ...tokens,
         user: user.toSafeObject(),
+        emailVerificationSent: verificationResult.success,
       });
     } catch (error) {
       console.error("Registration error:", error);
@@ -125,58 +258,100 @@ router.post(
       .withMessage("Please enter a valid email"),
     body("password").exists().withMessage("Password is required"),
   ],
+  (req, res, next) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+  loginRiskGuard,
+  requireCaptcha({
+    when: (req) => req.loginRisk.assessment.captchaRequired,
+  }),
   async (req, res) => {
     try {
-      // Check for validation errors
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: "Validation failed",
-          errors: errors.array(),
-        });
-      }
-
       const { email, password } = req.body;
 
       // Find user by email
       const user = await User.findOne({ email });
       if (!user) {
+        await SecurityEventService.record("login_failed", {
+          email,
+          req,
+          metadata: { reason: "unknown_email" },
+        });
         return res.status(400).json({
           success: false,
           message: "Invalid credentials",
+          ...recordRiskFailure(req),
         });
       }
 
-      // Check if account is active
-      if (!user.isActive) {
-        return res.status(400).json({
+      // Check if account is locked
+      if (user.isLocked) {
+        await SecurityEventService.record("login_failed", {
+          user,
+          req,
+          metadata: { reason: "account_locked" },
+        });
+        return res.status(423).json({
           success: false,
-          message: "Account is deactivated. Please contact support.",
+          message: "Account is temporarily locked. Please try again later.",
+          code: "ACCOUNT_LOCKED",
+          lockUntil: user.lockUntil,
+          ...recordRiskFailure(req),
         });
       }
 
       // Verify password
       const isPasswordValid = await user.comparePassword(password);
       if (!isPasswordValid) {
+        await SecurityEventService.recordFailedLogin(user, req);
         return res.status(400).json({
           success: false,
           message: "Invalid credentials",
+          ...recordRiskFailure(req),
         });
       }
 
-      // Update last active timestamp
-      user.lastActive = new Date();
-      await user.save();
+      loginRiskService.recordSuccess(req.loginRisk.context);
+
+      const restriction = await restrictionFor(user);
+      if (restriction) {
+        return res.status(403).json(restriction);
+      }
+
+      // Second factor required - hand out a challenge instead of tokens
+      if (user.twoFactor?.enabled) {
+        return res.json({
+          success: true,
+          message: "Two-factor authentication required",
+          code: "mfa_required",
+          mfaRequired: true,
+          challengeToken: generateScopedToken(user._id, "mfa", {
+            expiresIn: "5m",
+          }),
+        });
+      }
+
+      if (user.isDeactivated) {
+        return res.json(reactivationChallenge(user, "password"));
+      }
 
-      // Generate JWT token
-      const token = generateToken(user._id);
+      // Record the login and start a session
+      const tokens = await SessionService.completeLogin(user, req);
 
       // Return success response
       res.json({
         success: true,
         message: "Login successful",
-        token,
+        ...tokens,
         user: user.toSafeObject(),
       });
     } catch (error) {
@@ -189,6 +364,1334 @@ router.post(
   }
 );
 
+// @route   POST /api/auth/oauth/:provider
+// @desc    Sign in or register with a Google / Apple ID token
+// @access  Public
+router.post(
+  "/oauth/:provider",
+  [
+    param("provider")
+      .isIn(["google", "apple"])
+      .withMessage("Provider must be google or apple"),
+    body("idToken").isString().notEmpty().withMessage("ID token is required"),
+    body("nonce").optional().isString(),
+    // Apple only shares the user's name with the client, on first sign-in
+    body("firstName").optional().trim().isLength({ max: 50 }),
+    body("lastName").optional().trim().isLength({ max: 50 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { provider } = req.params;
+      const { idToken, nonce } = req.body;
+
+      const identity = await oauthService.verifyIdToken(provider, idToken, {
+        nonce,
+      });
+
+      let user = await User.findByOAuthIdentity(provider, identity.subject);
+      let isNewUser = false;
+
+      if (!user) {
+        // Linking and sign-up both rely on the provider vouching for the email
+        if (!identity.email || !identity.emailVerified) {
+          return res.status(400).json({
+            success: false,
+            message: "Your email address is not verified with this provider",
+            code: "PROVIDER_EMAIL_NOT_VERIFIED",
+          });
+        }
+
+        user = await User.findOne({ email: identity.email });
+
+        if (user) {
+          // Nobody proved ownership of this email before, so a password set on
+          // it may belong to someone else - drop it and sign out everywhere
+          if (!user.verification?.emailVerified) {
+            const { tokenVersion } = await SessionService.invalidateAllTokens(
+              user._id,
+              "security"
+            );
+            user.tokenVersion = tokenVersion;
+            user.password = undefined;
+            user.verification.emailVerified = true;
+          }
+
+          user.linkOAuthIdentity(provider, identity.subject, identity.email);
+          await user.save();
+
+          console.log(`🔗 Linked ${provider} sign-in to user ${user._id}`);
+        } else {
+          const firstName = req.body.firstName || identity.firstName;
+          const lastName = req.body.lastName || identity.lastName;
+          const validName = (name) => !!name && NAME_PATTERN.test(name);
+
+          const missingFields = ["dateOfBirth", "gender"];
+          if (!validName(firstName)) missingFields.push("firstName");
+          if (!validName(lastName)) missingFields.push("lastName");
+
+          user = new User({
+            email: identity.email,
+            firstName: validName(firstName) ? firstName : undefined,
+            lastName: validName(lastName) ? lastName : undefined,
+            oauthIdentities: [
+              {
+                provider,
+                subject: identity.subject,
+                email: identity.email,
+              },
+            ],
+            verification: { emailVerified: true },
+            onboarding: { status: "pending", missingFields },
+            registrationIP: req.ip,
+          });
+          await user.save();
+          isNewUser = true;
+
+          console.log(`✨ New ${provider} sign-up: user ${user._id}`);
+        }
+      }
+
+      // Check if account is locked
+      if (user.isLocked) {
+        return res.status(423).json({
+          success: false,
+          message: "Account is temporarily locked. Please try again later.",
+          code: "ACCOUNT_LOCKED",
+          lockUntil: user.lockUntil,
+        });
+      }
+
+      const restriction = await restrictionFor(user);
+      if (restriction) {
+        return res.status(403).json(restriction);
+      }
+
+      // Second factor still applies to provider sign-in
+      if (user.twoFactor?.enabled) {
+        return res.json({
+          success: true,
+          message: "Two-factor authentication required",
+          code: "mfa_required",
+          mfaRequired: true,
+          challengeToken: generateScopedToken(user._id, "mfa", {
+            expiresIn: "5m",
+          }),
+        });
+      }
+
+      if (user.isDeactivated) {
+        return res.json(reactivationChallenge(user, `oauth_${provider}`));
+      }
+
+      // Record the login and start a session
+      const tokens = await SessionService.completeLogin(
+        user,
+        req,
+        `oauth_${provider}`
+      );
+      const onboardingRequired = user.onboarding?.status === "pending";
+
+      res.status(isNewUser ? 201 : 200).json({
+        success: true,
+        message: isNewUser
+          ? "User registered successfully"
+          : "Login successful",
+        ...tokens,
+        user: user.toSafeObject(),
+        isNewUser,
+        onboardingRequired,
+        missingFields: onboardingRequired ? user.onboarding.missingFields : [],
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
+
+      // Two concurrent first sign-ins raced on the same identity or email
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "Account is being created. Please try again.",
+          code: "ACCOUNT_CONFLICT",
+        });
+      }
+
+      console.error("OAuth sign-in error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error during sign-in",
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete a login with a TOTP or backup code
+// @access  Public
+router.post(
+  "/2fa/verify",
+  [
+    body("challengeToken")
+      .isString()
+      .notEmpty()
+      .withMessage("Challenge token is required"),
+    body("code")
+      .optional()
+      .matches(/^\d{6}$/)
+      .withMessage("Code must be 6 digits"),
+    body("backupCode")
+      .optional()
+      .isString()
+      .withMessage("Backup code must be a string"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { challengeToken, code, backupCode } = req.body;
+
+      let decoded;
+      try {
+        decoded = verifyScopedToken(challengeToken, "mfa");
+      } catch (tokenError) {
+        return res.status(401).json({
+          success: false,
+          message: "Login challenge is invalid or has expired",
+          code: "INVALID_CHALLENGE",
+        });
+      }
+
+      const user = await User.findById(decoded.userId).select(
+        "+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep"
+      );
+
+      if (!user || !user.twoFactor?.enabled) {
+        return res.status(401).json({
+          success: false,
+          message: "Login challenge is invalid or has expired",
+          code: "INVALID_CHALLENGE",
+        });
+      }
+
+      // Second-factor guesses share the password lockout
+      if (user.isLocked) {
+        return res.status(423).json({
+          success: false,
+          message: "Account is temporarily locked. Please try again later.",
+          code: "ACCOUNT_LOCKED",
+          lockUntil: user.lockUntil,
+        });
+      }
+
+      let verified = false;
+      if (code) {
+        const step = TotpService.verifyCode(user.twoFactor.secret, code, {
+          lastUsedStep: user.twoFactor.lastUsedStep ?? null,
+        });
+        if (step !== null) {
+          user.twoFactor.lastUsedStep = step;
+          verified = true;
+        }
+      } else if (backupCode) {
+        verified = user.useBackupCode(backupCode);
+      }
+
+      if (!verified) {
+        await SecurityEventService.recordFailedLogin(
+          user,
+          req,
+          "invalid_mfa_code"
+        );
+        return res.status(400).json({
+          success: false,
+          message: "Invalid authentication code",
+          code: "INVALID_MFA_CODE",
+        });
+      }
+
+      const restriction = await restrictionFor(user);
+      if (restriction) {
+        await user.save();
+        return res.status(403).json(restriction);
+      }
+
+      const method = code ? "two_factor" : "backup_code";
+      if (user.isDeactivated) {
+        await user.save();
+        return res.json({
+          ...reactivationChallenge(user, method),
+          backupCodesRemaining: user.twoFactor.backupCodes.length,
+        });
+      }
+
+      // Record the login and start a session
+      const tokens = await SessionService.completeLogin(user, req, method);
+
+      res.json({
+        success: true,
+        message: "Login successful",
+        ...tokens,
+        user: user.toSafeObject(),
+        backupCodesRemaining: user.twoFactor.backupCodes.length,
+      });
+    } catch (error) {
+      console.error("2FA verify error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error during two-factor verification",
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/reactivate
+// @desc    Reactivate a deactivated account after signing in
+// @access  Public (reactivation token)
+router.post(
+  "/reactivate",
+  [
+    body("reactivationToken")
+      .notEmpty()
+      .withMessage("Reactivation token is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      let decoded;
+      try {
+        decoded = verifyScopedToken(req.body.reactivationToken, "reactivate");
+      } catch (tokenError) {
+        decoded = null;
+      }
+
+      // Once reactivated the account no longer matches, so a token works once
+      const user = decoded && (await User.findById(decoded.userId));
+      if (!user || !user.isDeactivated) {
+        return res.status(401).json({
+          success: false,
+          message: "Reactivation link is invalid or has expired",
+          code: "INVALID_REACTIVATION_TOKEN",
+        });
+      }
+
+      if (user.isLocked) {
+        return res.status(423).json({
+          success: false,
+          message: "Account is temporarily locked. Please try again later.",
+          code: "ACCOUNT_LOCKED",
+          lockUntil: user.lockUntil,
+        });
+      }
+
+      const resumedMatches = await AccountDeactivationService.reactivate(
+        user,
+        req
+      );
+
+      // Record the login and start a session
+      const tokens = await SessionService.completeLogin(
+        user,
+        req,
+        decoded.method
+      );
+
+      res.json({
+        success: true,
+        message: "Welcome back! Your account has been reactivated.",
+        ...tokens,
+        user: user.toSafeObject(),
+        reactivated: true,
+        resumedMatches,
+      });
+    } catch (error) {
+      console.error("Reactivation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error during reactivation",
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start TOTP enrollment and return the provisioning URI
+// @access  Private
+router.post("/2fa/setup", authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+        code: "MFA_ALREADY_ENABLED",
+      });
+    }
+
+    const secret = TotpService.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Scan the QR code with your authenticator app, then confirm",
+      secret,
+      otpauthUrl: TotpService.buildProvisioningUri(secret, user.email),
+    });
+  } catch (error) {
+    console.error("2FA setup error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error starting two-factor setup",
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Confirm TOTP enrollment and issue backup codes
+// @access  Private
+router.post(
+  "/2fa/confirm",
+  authenticate,
+  [
+    body("code")
+      .matches(/^\d{6}$/)
+      .withMessage("Code must be 6 digits"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findById(req.user._id).select(
+        "+twoFactor.pendingSecret"
+      );
+
+      if (!user.twoFactor?.pendingSecret) {
+        return res.status(400).json({
+          success: false,
+          message: "No two-factor setup in progress",
+          code: "NO_PENDING_SETUP",
+        });
+      }
+
+      const step = TotpService.verifyCode(
+        user.twoFactor.pendingSecret,
+        req.body.code
+      );
+      if (step === null) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid authentication code",
+          code: "INVALID_MFA_CODE",
+        });
+      }
+
+      user.twoFactor.enabled = true;
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.lastUsedStep = step;
+      user.twoFactor.enabledAt = new Date();
+      const backupCodes = user.setBackupCodes(
+        TotpService.generateBackupCodes()
+      );
+      await user.save();
+
+      await SecurityEventService.record("two_factor_enabled", { user, req });
+
+      console.log(`🔐 2FA enabled for user ${user._id}`);
+
+      res.json({
+        success: true,
+        message:
+          "Two-factor authentication enabled. Store your backup codes somewhere safe.",
+        backupCodes,
+      });
+    } catch (error) {
+      console.error("2FA confirm error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error confirming two-factor setup",
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA after re-entering password and a code
+// @access  Private
+router.post(
+  "/2fa/disable",
+  authenticate,
+  [
+    body("password").exists().withMessage("Password is required"),
+    body("code").isString().notEmpty().withMessage("Code is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { password, code } = req.body;
+      const user = await User.findById(req.user._id).select(
+        "+password +twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep"
+      );
+
+      if (!user.twoFactor?.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Two-factor authentication is not enabled",
+        });
+      }
+
+      const isPasswordValid = await user.comparePassword(password);
+      const isCodeValid =
+        TotpService.verifyCode(user.twoFactor.secret, code, {
+          lastUsedStep: user.twoFactor.lastUsedStep ?? null,
+        }) !== null || user.useBackupCode(code);
+
+      if (!isPasswordValid || !isCodeValid) {
+        await SecurityEventService.recordFailedLogin(
+          user,
+          req,
+          "invalid_reauthentication"
+        );
+        return res.status(400).json({
+          success: false,
+          message: "Invalid password or authentication code",
+          code: "INVALID_CREDENTIALS",
+        });
+      }
+
+      user.twoFactor = { enabled: false };
+      await user.save();
+
+      await SecurityEventService.record("two_factor_disabled", { user, req });
+
+      console.log(`🔓 2FA disabled for user ${user._id}`);
+
+      res.json({
+        success: true,
+        message: "Two-factor authentication disabled",
+      });
+    } catch (error) {
+      console.error("2FA disable error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error disabling two-factor authentication",
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with a verification token
+// @access  Public
+router.post(
+  "/verify-email",
+  [
+    body("token")
+      .isString()
+      .isLength({ min: 64, max: 64 })
+      .withMessage("Valid verification token is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findByEmailVerificationToken(req.body.token);
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: "Verification link is invalid or has expired",
+          code: "INVALID_VERIFICATION_TOKEN",
+        });
+      }
+
+      user.verification.emailVerified = true;
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpires = undefined;
+      await user.save();
+
+      console.log(`✉️  Email verified for user ${user._id}`);
+
+      res.json({
+        success: true,
+        message: "Email verified successfully",
+        user: user.toSafeObject(),
+      });
+    } catch (error) {
+      console.error("Email verification error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error during email verification",
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post("/resend-verification", authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+emailVerificationSentAt"
+    );
+
+    if (user.verification?.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is already verified",
+        code: "EMAIL_ALREADY_VERIFIED",
+      });
+    }
+
+    // Throttle resends per account
+    const lastSentAt = user.emailVerificationSentAt?.getTime() || 0;
+    const retryAfterMs =
+      lastSentAt + VERIFICATION_RESEND_COOLDOWN_MS - Date.now();
+    if (retryAfterMs > 0) {
+      return res.status(429).json({
+        success: false,
+        message: "Please wait before requesting another verification email",
+        code: "RESEND_THROTTLED",
+        retryAfter: Math.ceil(retryAfterMs / 1000),
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    const result = await mailService.sendVerificationEmail(
+      user,
+      verificationToken
+    );
+
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: "Could not send verification email. Please try again later.",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Verification email sent",
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error sending verification email",
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post(
+  "/forgot-password",
+  [
+    body("email")
+      .isEmail()
+      .normalizeEmail()
+      .withMessage("Please enter a valid email"),
+  ],
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+  forgotPasswordLimiter,
+  async (req, res) => {
+    try {
+      const user = await User.findOne({ email: req.body.email });
+
+      // Deactivated accounts get one too so they can sign in to reactivate,
+      // but never reveal whether an account exists
+      if (user) {
+        const resetToken = user.createPasswordResetToken();
+        await user.save();
+        await mailService.sendPasswordResetEmail(user, resetToken);
+      }
+
+      res.json({
+        success: true,
+        message:
+          "If an account exists for this email, a password reset link has been sent.",
+      });
+    } catch (error) {
+      console.error("Forgot password error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error requesting password reset",
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token
+// @access  Public
+router.post(
+  "/reset-password",
+  [
+    body("token")
+      .isString()
+      .isLength({ min: 64, max: 64 })
+      .withMessage("Valid reset token is required"),
+    body("password")
+      .isLength({ min: 6 })
+      .withMessage("Password must be at least 6 characters long"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findByPasswordResetToken(req.body.token);
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: "Reset link is invalid or has expired",
+          code: "INVALID_RESET_TOKEN",
+        });
+      }
+
+      // Single use: clear the token together with the lockout state
+      user.password = req.body.password;
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      user.loginAttempts = 0;
+      user.lockUntil = undefined;
+      await user.save();
+
+      // Sign out everywhere
+      const { revokedSessions } = await SessionService.invalidateAllTokens(
+        user._id,
+        "security"
+      );
+      req.io?.disconnectUser?.(user._id.toString(), "password_reset");
+      await SecurityEventService.record("password_reset", {
+        user,
+        req,
+        metadata: { revokedSessions },
+      });
+
+      await mailService.sendPasswordChangedEmail(user);
+
+      console.log(`🔑 Password reset for user ${user._id}`);
+
+      res.json({
+        success: true,
+        message:
+          "Password has been reset. Please log in with your new password.",
+      });
+    } catch (error) {
+      console.error("Reset password error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error resetting password",
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/magic-link
+// @desc    Email a single-use sign-in link
+// @access  Public
+router.post(
+  "/magic-link",
+  [
+    body("email")
+      .isEmail()
+      .normalizeEmail()
+      .withMessage("Please enter a valid email"),
+  ],
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+  magicLinkLimiter,
+  async (req, res) => {
+    try {
+      const user = await User.findOne({ email: req.body.email });
+
+      // Only for accounts that opted in, but never reveal which ones did
+      if (user && user.magicLink?.enabled) {
+        const nonce = user.createMagicLinkNonce(
+          MAGIC_LINK_TTL_MINUTES * 60 * 1000
+        );
+        await user.save();
+
+        const token = generateScopedToken(user._id, "magic", {
+          expiresIn: `${MAGIC_LINK_TTL_MINUTES}m`,
+          claims: { nonce },
+        });
+        await mailService.sendMagicLinkEmail(
+          user,
+          token,
+          MAGIC_LINK_TTL_MINUTES
+        );
+      }
+
+      res.json({
+        success: true,
+        message:
+          "If magic-link sign-in is enabled for this email, a sign-in link has been sent.",
+      });
+    } catch (error) {
+      console.error("Magic link request error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error requesting sign-in link",
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/magic-link/consume
+// @desc    Exchange a magic link for a token pair
+// @access  Public
+router.post(
+  "/magic-link/consume",
+  [body("token").isString().notEmpty().withMessage("Token is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      let decoded;
+      try {
+        decoded = verifyScopedToken(req.body.token, "magic");
+      } catch (tokenError) {
+        decoded = null;
+      }
+
+      // Consuming clears the nonce, so a link only ever works once
+      const user =
+        decoded?.nonce &&
+        (await User.consumeMagicLinkNonce(decoded.userId, decoded.nonce));
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: "Sign-in link is invalid or has expired",
+          code: "INVALID_MAGIC_LINK",
+        });
+      }
+
+      if (user.isLocked) {
+        return res.status(423).json({
+          success: false,
+          message: "Account is temporarily locked",
+          code: "ACCOUNT_LOCKED",
+          lockUntil: user.lockUntil,
+        });
+      }
+
+      const restriction = await restrictionFor(user);
+      if (restriction) {
+        return res.status(403).json(restriction);
+      }
+
+      // Opening the link proves the user controls the address
+      user.verification.emailVerified = true;
+
+      if (user.twoFactor?.enabled) {
+        await user.save();
+        return res.json({
+          success: true,
+          message: "Two-factor authentication required",
+          code: "mfa_required",
+          mfaRequired: true,
+          challengeToken: generateScopedToken(user._id, "mfa", {
+            expiresIn: "5m",
+          }),
+        });
+      }
+
+      if (user.isDeactivated) {
+        await user.save();
+        return res.json(reactivationChallenge(user, "magic_link"));
+      }
+
+      // Record the login and start a session
+      const tokens = await SessionService.completeLogin(
+        user,
+        req,
+        "magic_link"
+      );
+
+      res.json({
+        success: true,
+        message: "Login successful",
+        ...tokens,
+        user: user.toSafeObject(),
+      });
+    } catch (error) {
+      console.error("Magic link consume error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error during sign-in",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/auth/magic-link/settings
+// @desc    Opt in or out of magic-link sign-in
+// @access  Private
+router.put(
+  "/magic-link/settings",
+  authenticate,
+  [body("enabled").isBoolean().withMessage("Enabled must be true or false")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const enabled = req.body.enabled === true || req.body.enabled === "true";
+      const update = { "magicLink.enabled": enabled };
+
+      const user = await User.findByIdAndUpdate(
+        req.user._id,
+        enabled
+          ? { $set: update }
+          : {
+              $set: update,
+              $unset: { "magicLink.nonceHash": 1, "magicLink.expiresAt": 1 },
+            },
+        { new: true }
+      );
+
+      res.json({
+        success: true,
+        message: enabled
+          ? "Magic-link sign-in enabled"
+          : "Magic-link sign-in disabled",
+        user: user.toSafeObject(),
+      });
+    } catch (error) {
+      console.error("Magic link settings error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error updating sign-in settings",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/auth/change-password
+// @desc    Change password after re-entering the current one
+// @access  Private
+router.put(
+  "/change-password",
+  authenticate,
+  [
+    body("currentPassword")
+      .exists()
+      .withMessage("Current password is required"),
+    body("newPassword")
+      .isLength({ min: 6 })
+      .withMessage("New password must be at least 6 characters long"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { currentPassword, newPassword } = req.body;
+      const user = await User.findById(req.user._id).select("+password");
+
+      // Re-authenticate; wrong guesses count towards the account lock
+      const isPasswordValid = await user.comparePassword(currentPassword);
+      if (!isPasswordValid) {
+        await SecurityEventService.recordFailedLogin(
+          user,
+          req,
+          "invalid_reauthentication"
+        );
+        return res.status(400).json({
+          success: false,
+          message: "Current password is incorrect",
+          code: "INVALID_PASSWORD",
+        });
+      }
+
+      if (currentPassword === newPassword) {
+        return res.status(400).json({
+          success: false,
+          message: "New password must be different from the current one",
+        });
+      }
+
+      user.password = newPassword;
+      user.loginAttempts = 0;
+      user.lockUntil = undefined;
+      await user.save();
+
+      // Revoke every session, then start a fresh one for this device
+      const { tokenVersion, revokedSessions } =
+        await SessionService.invalidateAllTokens(user._id, "security");
+      req.io?.disconnectUser?.(user._id.toString(), "password_changed");
+      user.tokenVersion = tokenVersion;
+      await SecurityEventService.record("password_changed", {
+        user,
+        req,
+        metadata: { revokedSessions },
+      });
+      const tokens = await SessionService.createSession(user, req);
+
+      await mailService.sendPasswordChangedEmail(user);
+
+      res.json({
+        success: true,
+        message:
+          "Password changed successfully. Other devices have been signed out.",
+        ...tokens,
+      });
+    } catch (error) {
+      console.error("Change password error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error changing password",
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/refresh
+// @desc    Rotate a refresh token into a new token pair
+// @access  Public
+router.post(
+  "/refresh",
+  [
+    body("refreshToken")
+      .isString()
+      .notEmpty()
+      .withMessage("Refresh token is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { user, tokens } = await SessionService.rotateSession(
+        req.body.refreshToken,
+        req
+      );
+
+      res.json({
+        success: true,
+        message: "Token refreshed",
+        ...tokens,
+        user: user.toSafeObject(),
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
+
+      console.error("Token refresh error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error during token refresh",
+      });
+    }
+  }
+);
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions (devices)
+// @access  Private
+router.get("/sessions", authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        _id: session._id,
+        device: session.device,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsed: session.lastUsed,
+        expiresAt: session.expiresAt,
+        isCurrent: session._id.toString() === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching sessions",
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Sign out a single session (device)
+// @access  Private
+router.delete(
+  "/sessions/:sessionId",
+  authenticate,
+  [param("sessionId").isMongoId().withMessage("Valid session ID is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const session = await Session.findOne({
+        _id: req.params.sessionId,
+        user: req.user._id,
+        revokedAt: null,
+      });
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: "Session not found",
+        });
+      }
+
+      const isCurrent = session._id.toString() === req.sessionId;
+      const reason = isCurrent ? "logout" : "remote_logout";
+      await session.revoke(reason);
+      req.io?.disconnectSession?.(session._id.toString(), reason);
+      await SecurityEventService.record("session_revoked", {
+        user: req.user,
+        req,
+        metadata: { sessionId: session._id, isCurrent },
+      });
+
+      res.json({
+        success: true,
+        message: "Session signed out successfully",
+        sessionId: session._id,
+        isCurrent,
+      });
+    } catch (error) {
+      console.error("Revoke session error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error revoking session",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/auth/onboarding
+// @desc    Complete the profile fields a sign-in provider couldn't supply
+// @access  Private
+router.put(
+  "/onboarding",
+  authenticate,
+  [
+    body("firstName")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("First name must be less than 50 characters"),
+    body("lastName")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("Last name must be less than 50 characters"),
+    body("dateOfBirth")
+      .optional()
+      .isISO8601()
+      .withMessage("Please enter a valid date of birth"),
+    body("gender")
+      .optional()
+      .isIn(["male", "female", "other"])
+      .withMessage("Gender must be male, female, or other"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findById(req.user._id);
+
+      if (user.onboarding?.status !== "pending") {
+        return res.status(400).json({
+          success: false,
+          message: "Onboarding is already complete",
+          code: "ONBOARDING_COMPLETE",
+        });
+      }
+
+      const missing = user.onboarding.missingFields.filter(
+        (field) => !req.body[field]
+      );
+      if (missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Please provide all required profile fields",
+          code: "ONBOARDING_INCOMPLETE",
+          missingFields: missing,
+        });
+      }
+
+      // Only the fields the provider couldn't supply are accepted here
+      user.onboarding.missingFields.forEach((field) => {
+        user[field] = req.body[field];
+      });
+
+      if (user.onboarding.missingFields.includes("dateOfBirth")) {
+        user.dateOfBirth = new Date(req.body.dateOfBirth);
+        if (user.getAge() < 18) {
+          return res.status(400).json({
+            success: false,
+            message: "You must be at least 18 years old to register",
+          });
+        }
+      }
+
+      user.onboarding = {
+        status: "complete",
+        missingFields: [],
+        completedAt: new Date(),
+      };
+      await user.save();
+
+      res.json({
+        success: true,
+        message: "Profile completed successfully",
+        user: user.toSafeObject(),
+      });
+    } catch (error) {
+      // Values the User schema rejects are the client's to fix
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: Object.values(error.errors).map((fieldError) => ({
+            path: fieldError.path,
+            msg: fieldError.message,
+          })),
+        });
+      }
+
+      console.error("Onboarding error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error completing profile",
+      });
+    }
+  }
+);
+
 // @route   GET /api/auth/profile
 // @desc    Get current user profile
 // @access  Private
@@ -1,11 +1,12 @@
 const mongoose = require("mongoose");
 const express = require("express");
 const { body, validationResult } = require("express-validator");
-const { authenticate } = require("../middleware/auth");
+const { authenticate, requireVerifiedEmail } = require("../middleware/auth");
 const Message = require("../models/Message");
 const Match = require("../models/Match");
 const User = require("../models/User");
 const pushNotificationService = require("../services/pushNotificationService");
+const AgeAssuranceService = require("../services/ageAssuranceService");
 
 const router = express.Router();
 
@@ -15,6 +16,7 @@ const router = express.Router();
 router.post(
   "/:matchId/messages",
   authenticate,
+  requireVerifiedEmail,
   [
     body("content")
       .trim()
@@ -76,6 +78,20 @@ router.post(
         });
       }
 
+      // Nobody messages, or is messaged by, an account under age review
+      if (
+        await AgeAssuranceService.isMessagingBlocked([
+          currentUser._id,
+          otherUser._id,
+        ])
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "Messaging is paused while an age check is pending",
+          code: "AGE_REVIEW_PENDING",
+        });
+      }
+
       // Check match status
       if (match.status === "expired") {
         return res.status(400).json({
@@ -133,10 +149,15 @@ router.post(
         receiver: otherUser._id,
         content: content.trim(),
         messageType,
+        withheld: !!req.user.moderation?.shadowbanned,
       });
 
       await message.save();
 
+      AgeAssuranceService.checkMessage(message).catch((error) =>
+        console.error("Age review error:", error)
+      );
+
       // Update match if first message
       if (isFirstMessage) {
         await match.markFirstMessageSent(req.user._id);
@@ -164,9 +185,15 @@ router.post(
         isFirstMessage,
       };
 
-      // Emit socket event for real-time delivery
+      // Emit socket event for real-time delivery. Withheld messages only go
+      // back to the sender's own devices.
       if (req.io) {
-        req.io.to(`match_${matchId}`).emit("new_message", {
+        const emitToConversation = (event, data) =>
+          message.withheld
+            ? req.io.sendToUser(req.user._id.toString(), event, data)
+            : req.io.to(`match_${matchId}`).emit(event, data);
+
+        emitToConversation("new_message", {
           ...formattedMessage,
           matchId,
           receiverId: otherUser._id,
@@ -178,7 +205,11 @@ router.post(
           otherUser._id.toString()
         );
 
-        if (!isReceiverOnline && otherUser.settings?.notifications?.messages) {
+        if (
+          !message.withheld &&
+          !isReceiverOnline &&
+          otherUser.settings?.notifications?.messages
+        ) {
           // Get sender's photo for notification
           const senderPhoto =
             req.user.photos?.find((p) => p.isPrimary)?.url ||
@@ -225,7 +256,7 @@ router.post(
         }
 
         if (isFirstMessage) {
-          req.io.to(`match_${matchId}`).emit("conversation_started", {
+          emitToConversation("conversation_started", {
             matchId,
             startedBy: req.user._id,
             startedAt: new Date(),
@@ -320,6 +351,7 @@ router.get("/conversations", authenticate, async (req, res) => {
         $match: {
           match: { $in: matchIds },
           isDeleted: false,
+          ...Message.visibleTo(req.user._id),
         },
       },
       {
@@ -518,6 +550,7 @@ router.get("/:matchId/messages", authenticate, async (req, res) => {
     let query = {
       match: matchId,
       isDeleted: false,
+      ...Message.visibleTo(req.user._id),
     };
 
     // Add search functionality
@@ -554,6 +587,7 @@ router.get("/:matchId/messages", authenticate, async (req, res) => {
         receiver: req.user._id,
         readAt: null,
         isDeleted: false,
+        withheld: { $ne: true },
       },
       { readAt: new Date() }
     );
@@ -672,6 +706,19 @@ router.put(
         });
       }
 
+      if (
+        await AgeAssuranceService.isMessagingBlocked([
+          message.sender,
+          message.receiver,
+        ])
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "Messaging is paused while an age check is pending",
+          code: "AGE_REVIEW_PENDING",
+        });
+      }
+
       // Content filtering
       const filteredContent = filterInappropriateContent(content);
       if (filteredContent !== content) {
@@ -684,13 +731,22 @@ router.put(
       // Edit message
       await message.editContent(content.trim());
 
+      AgeAssuranceService.checkMessage(message).catch((error) =>
+        console.error("Age review error:", error)
+      );
+
       // Emit socket event
       if (req.io) {
-        req.io.to(`match_${message.match}`).emit("message_edited", {
+        const edit = {
           messageId: message._id,
           content: message.content,
           editedAt: message.editedAt,
-        });
+        };
+        if (message.withheld) {
+          req.io.sendToUser(req.user._id.toString(), "message_edited", edit);
+        } else {
+          req.io.to(`match_${message.match}`).emit("message_edited", edit);
+        }
       }
 
       res.json({
@@ -744,9 +800,15 @@ router.delete("/messages/:messageId", authenticate, async (req, res) => {
 
     // Emit socket event
     if (req.io) {
-      req.io.to(`match_${message.match}`).emit("message_deleted", {
-        messageId: message._id,
-      });
+      if (message.withheld) {
+        req.io.sendToUser(req.user._id.toString(), "message_deleted", {
+          messageId: message._id,
+        });
+      } else {
+        req.io.to(`match_${message.match}`).emit("message_deleted", {
+          messageId: message._id,
+        });
+      }
     }
 
     res.json({
@@ -788,6 +850,7 @@ router.get("/search", authenticate, async (req, res) => {
       match: { $in: matchIds },
       content: { $regex: query, $options: "i" },
       isDeleted: false,
+      ...Message.visibleTo(req.user._id),
     };
 
     // Filter by specific match if provided
@@ -837,6 +900,7 @@ router.get("/unread-summary", authenticate, async (req, res) => {
           receiver: req.user._id,
           readAt: null,
           isDeleted: false,
+          withheld: { $ne: true },
         },
       },
       {
@@ -916,7 +980,11 @@ router.post(
 
       // Mark message as read
       const message = await Message.findById(messageId);
-      if (message && message.receiver.toString() === userId.toString()) {
+      if (
+        message &&
+        !message.withheld &&
+        message.receiver.toString() === userId.toString()
+      ) {
         await message.markAsRead();
 
         // Update user notification stats
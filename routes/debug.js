@@ -1,16 +1,20 @@
 const express = require("express");
 const { v2: cloudinary } = require("cloudinary");
-const { authenticate } = require("../middleware/auth");
+const { authenticate, requirePermission } = require("../middleware/auth");
 const User = require("../models/User");
 const Swipe = require("../models/Swipe");
 const Match = require("../models/Match");
+const loginRiskService = require("../services/loginRiskService");
 
 const router = express.Router();
 
+// Debug endpoints expose configuration and internals: staff only
+router.use(authenticate, requirePermission("debug:access"));
+
 // @route   GET /api/debug/cloudinary
 // @desc    Test Cloudinary configuration
-// @access  Private
-router.get("/cloudinary", authenticate, async (req, res) => {
+// @access  Private (debug:access)
+router.get("/cloudinary", async (req, res) => {
   try {
     // Check environment variables
     const config = {
@@ -47,8 +51,8 @@ router.get("/cloudinary", authenticate, async (req, res) => {
 
 // @route   GET /api/debug/env
 // @desc    Check environment variables (without exposing secrets)
-// @access  Private
-router.get("/env", authenticate, (req, res) => {
+// @access  Private (debug:access)
+router.get("/env", (req, res) => {
   const envCheck = {
     NODE_ENV: process.env.NODE_ENV,
     PORT: process.env.PORT,
@@ -71,8 +75,8 @@ router.get("/env", authenticate, (req, res) => {
 
 // @route   GET /api/debug/matching
 // @desc    Test matching models and data
-// @access  Private
-router.get("/matching", authenticate, async (req, res) => {
+// @access  Private (debug:access)
+router.get("/matching", async (req, res) => {
   try {
     const userId = req.user._id;
 
@@ -128,4 +132,27 @@ router.get("/matching", authenticate, async (req, res) => {
   }
 });
 
+// @route   GET /api/debug/login-risk
+// @desc    Login risk engine counters, tracked keys and blocked IPs
+// @access  Private (debug:access)
+router.get("/login-risk", (req, res) => {
+  res.json({
+    success: true,
+    loginRisk: loginRiskService.getStats(),
+  });
+});
+
+// @route   DELETE /api/debug/login-risk/blocks/:ip
+// @desc    Lift a temporary IP block early
+// @access  Private (debug:access)
+router.delete("/login-risk/blocks/:ip", (req, res) => {
+  const removed = loginRiskService.unblockIp(req.params.ip);
+
+  res.json({
+    success: true,
+    message: removed ? "IP unblocked" : "IP was not blocked",
+    ip: req.params.ip,
+  });
+});
+
 module.exports = router;
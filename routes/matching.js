@@ -1,20 +1,33 @@
 const express = require("express");
-const { body, validationResult } = require("express-validator");
-const { authenticate } = require("../middleware/auth");
+const { body, param, validationResult } = require("express-validator");
+const {
+  authenticate,
+  requireVerifiedEmail,
+  requireCompletedOnboarding,
+  requirePermission,
+} = require("../middleware/auth");
 const User = require("../models/User");
 const Swipe = require("../models/Swipe");
 const Match = require("../models/Match");
 const Message = require("../models/Message");
+const Boost = require("../models/Boost");
 const pushNotificationService = require("../services/pushNotificationService");
+const ReportService = require("../services/reportService");
+const DiscoveryDeckService = require("../services/discoveryDeckService");
+const BoostService = require("../services/boostService");
 
 const router = express.Router();
 
+// Checks discovery needs on top of authentication
+const discoveryGuards = [requireVerifiedEmail, requireCompletedOnboarding];
+
 // @route   GET /api/matching/discover
-// @desc    Get potential matches with enhanced algorithm
+// @desc    Next page of the user's discovery deck (?cursor= from the
+//          previous page's nextCursor)
 // @access  Private
-router.get("/discover", authenticate, async (req, res) => {
+router.get("/discover", authenticate, discoveryGuards, async (req, res) => {
   try {
-    const { boost, rewind } = req.query;
+    const { boost, rewind, cursor } = req.query;
     const currentUser = await User.findById(req.user._id);
 
     if (!currentUser) {
@@ -36,143 +49,28 @@ router.get("/discover", authenticate, async (req, res) => {
     }
     */
 
-    // Get users already swiped on
-    const swipedUserIds = await Swipe.getSwipedUserIds(currentUser._id);
-
-    // Get current user's matches to exclude them
-    const matches = await Match.find({
-      users: currentUser._id,
-      status: "active",
-    }).select("users");
-
-    const matchedUserIds = [];
-    matches.forEach((match) => {
-      match.users.forEach((userId) => {
-        if (userId.toString() !== currentUser._id.toString()) {
-          matchedUserIds.push(userId);
-        }
-      });
-    });
-
-    // Build exclusion list
-    const excludeIds = [
-      currentUser._id,
-      ...swipedUserIds,
-      ...matchedUserIds,
-      ...(currentUser.safety?.blockedUsers || []),
-    ];
-
-    // Build discovery query
-    let discoveryQuery = {
-      _id: { $nin: excludeIds },
-      isActive: true,
-      // Temporarily disabled photo requirement for testing
-      // photos: { $exists: true, $not: { $size: 0 } },
-      "safety.blockedUsers": { $nin: [currentUser._id] },
-    };
-
-    // Add preference filters
-    if (
-      currentUser.preferences?.interestedIn &&
-      currentUser.preferences.interestedIn !== "both"
-    ) {
-      discoveryQuery.gender = currentUser.preferences.interestedIn;
-    }
-
-    // Age range filter
-    if (currentUser.preferences?.ageRange) {
-      const currentDate = new Date();
-      const maxBirthDate = new Date(
-        currentDate.getFullYear() - currentUser.preferences.ageRange.min,
-        currentDate.getMonth(),
-        currentDate.getDate()
-      );
-      const minBirthDate = new Date(
-        currentDate.getFullYear() - currentUser.preferences.ageRange.max - 1,
-        currentDate.getMonth(),
-        currentDate.getDate()
-      );
-
-      discoveryQuery.dateOfBirth = {
-        $gte: minBirthDate,
-        $lte: maxBirthDate,
-      };
-    }
-
-    // Find potential matches
-    let potentialMatches = await User.find(discoveryQuery)
-      .select(
-        "firstName lastName bio dateOfBirth gender photos location preferences verification lastActive"
-      )
-      .limit(20);
-
-    // Filter by mutual interest
-    potentialMatches = potentialMatches.filter((user) => {
-      return isMutualInterest(currentUser, user);
-    });
-
-    // Filter by distance if location is available
-    if (
-      currentUser.location?.coordinates &&
-      currentUser.preferences?.maxDistance
-    ) {
-      potentialMatches = potentialMatches.filter((user) => {
-        if (!user.location?.coordinates) return true;
-
-        const distance = calculateDistance(
-          currentUser.location.coordinates,
-          user.location.coordinates
-        );
-
-        return distance <= currentUser.preferences.maxDistance;
-      });
-    }
-
-    // Calculate compatibility scores and enhance user data
-    potentialMatches = potentialMatches.map((user) => {
-      const userObj = user.toObject();
-      return {
-        ...userObj,
-        age: calculateAge(user.dateOfBirth),
-        distance: calculateUserDistance(currentUser, user),
-        compatibilityScore: calculateCompatibilityScore(currentUser, user),
-        primaryPhoto:
-          user.photos?.find((photo) => photo.isPrimary) || user.photos?.[0],
-        isOnline: isUserRecentlyActive(user.lastActive),
-        verification: user.verification || { isVerified: false },
-      };
-    });
-
-    // Sort by compatibility score and activity
-    potentialMatches.sort((a, b) => {
-      // Prioritize verified users
-      if (a.verification.isVerified && !b.verification.isVerified) return -1;
-      if (!a.verification.isVerified && b.verification.isVerified) return 1;
-
-      // Then by online status
-      if (a.isOnline && !b.isOnline) return -1;
-      if (!a.isOnline && b.isOnline) return 1;
-
-      // Then by compatibility score
-      return b.compatibilityScore - a.compatibilityScore;
-    });
-
     // Apply boost logic (show more/better matches)
     const limit =
       boost && currentUser.subscription?.features?.includes("boosts") ? 20 : 10;
-    potentialMatches = potentialMatches.slice(0, limit);
+
+    const { profiles, nextCursor, hasMore } =
+      await DiscoveryDeckService.getPage(currentUser, {
+        cursor,
+        limit,
+      });
 
     // Clean up user data for client
-    const formattedMatches = potentialMatches.map((user) => ({
+    const formattedMatches = profiles.map((user) => ({
       _id: user._id,
       firstName: user.firstName,
-      age: user.age,
+      age: calculateAge(user.dateOfBirth),
       bio: user.bio,
       photos: user.photos,
-      primaryPhoto: user.primaryPhoto,
+      primaryPhoto:
+        user.photos?.find((photo) => photo.isPrimary) || user.photos?.[0],
       distance: user.distance,
-      isOnline: user.isOnline,
-      verification: user.verification,
+      isOnline: isUserRecentlyActive(user.lastActive),
+      verification: user.verification || { isVerified: false },
       compatibilityScore: user.compatibilityScore,
       lastActive: user.lastActive,
     }));
@@ -185,7 +83,8 @@ router.get("/discover", authenticate, async (req, res) => {
     res.json({
       success: true,
       users: formattedMatches,
-      hasMore: potentialMatches.length === limit,
+      nextCursor,
+      hasMore,
       boost: !!boost,
       summary: {
         total: formattedMatches.length,
@@ -198,6 +97,14 @@ router.get("/discover", authenticate, async (req, res) => {
       },
     });
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+
     console.error("Discovery error:", error);
     res.status(500).json({
       success: false,
@@ -207,32 +114,6 @@ router.get("/discover", authenticate, async (req, res) => {
   }
 });
 
-// Helper function to check mutual interest
-function isMutualInterest(user1, user2) {
-  // Check if user2 would be interested in user1
-  if (
-    user2.preferences?.interestedIn &&
-    user2.preferences.interestedIn !== "both"
-  ) {
-    if (user2.preferences.interestedIn !== user1.gender) {
-      return false;
-    }
-  }
-
-  // Check age preference of user2
-  if (user2.preferences?.ageRange) {
-    const user1Age = calculateAge(user1.dateOfBirth);
-    if (
-      user1Age < user2.preferences.ageRange.min ||
-      user1Age > user2.preferences.ageRange.max
-    ) {
-      return false;
-    }
-  }
-
-  return true;
-}
-
 // Helper function to calculate age
 function calculateAge(dateOfBirth) {
   if (!dateOfBirth) return 0;
@@ -250,74 +131,6 @@ function calculateAge(dateOfBirth) {
   return age;
 }
 
-// Helper function to calculate distance between coordinates
-function calculateDistance(coords1, coords2) {
-  const [lon1, lat1] = coords1;
-  const [lon2, lat2] = coords2;
-
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
-
-// Helper function to calculate distance between users
-function calculateUserDistance(user1, user2) {
-  if (!user1.location?.coordinates || !user2.location?.coordinates) {
-    return null;
-  }
-  return Math.round(
-    calculateDistance(user1.location.coordinates, user2.location.coordinates)
-  );
-}
-
-// Helper function to calculate compatibility score
-function calculateCompatibilityScore(user1, user2) {
-  let score = 50; // Base score
-
-  // Age compatibility (closer ages = higher score)
-  const ageDiff = Math.abs(
-    calculateAge(user1.dateOfBirth) - calculateAge(user2.dateOfBirth)
-  );
-  if (ageDiff <= 3) score += 20;
-  else if (ageDiff <= 5) score += 15;
-  else if (ageDiff <= 10) score += 10;
-
-  // Bio similarity (if both have bios)
-  if (
-    user1.bio &&
-    user2.bio &&
-    user1.bio.length > 20 &&
-    user2.bio.length > 20
-  ) {
-    score += 15;
-  }
-
-  // Photo count (more photos = more serious)
-  if (user2.photos && user2.photos.length >= 3) {
-    score += 10;
-  }
-
-  // Verification status
-  if (user2.verification?.isVerified) {
-    score += 15;
-  }
-
-  // Recent activity
-  if (isUserRecentlyActive(user2.lastActive)) {
-    score += 10;
-  }
-
-  return Math.min(100, score);
-}
-
 // Helper function to check if user is recently active
 function isUserRecentlyActive(lastActive) {
   if (!lastActive) return false;
@@ -331,6 +144,8 @@ function isUserRecentlyActive(lastActive) {
 router.post(
   "/swipe",
   authenticate,
+  requireVerifiedEmail,
+  requireCompletedOnboarding,
   [
     body("userId").isMongoId().withMessage("Valid user ID is required"),
     body("action")
@@ -425,9 +240,16 @@ router.post(
       let isMatch = false;
       let match = null;
 
+      // A shadowbanned user's likes are recorded but never complete a match,
+      // whichever side of the pair swiped last
+      const withheld =
+        currentUser.moderation?.shadowbanned ||
+        swipedUser.moderation?.shadowbanned;
+
       // Check for match if it's a like or superlike
       if (action === "like" || action === "superlike") {
-        const mutualLike = await Swipe.checkMutualLike(swiperId, swipedUserId);
+        const mutualLike =
+          !withheld && (await Swipe.checkMutualLike(swiperId, swipedUserId));
 
         if (mutualLike) {
           // Create match
@@ -595,8 +417,9 @@ router.post("/rewind", authenticate, async (req, res) => {
       }
     }
 
-    // Delete the swipe
+    // Delete the swipe, and put the profile back in discovery
     await lastSwipe.deleteOne();
+    await DiscoveryDeckService.release(req.user._id, lastSwipe.swiped);
 
     // Update user stats
     const statField =
@@ -623,53 +446,112 @@ router.post("/rewind", authenticate, async (req, res) => {
   }
 });
 
+// Map service errors (AppError) onto responses for the boost routes
+const sendBoostError = (res, error, label) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      requiresPremium: error.code === "BOOST_NOT_AVAILABLE" || undefined,
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Error processing boost",
+  });
+};
+
 // @route   POST /api/matching/boost
 // @desc    Boost profile for better visibility (premium feature)
 // @access  Private
 router.post("/boost", authenticate, async (req, res) => {
   try {
-    const currentUser = await User.findById(req.user._id);
-
-    // Check if user has boost feature
-    if (!currentUser.subscription?.features?.includes("boosts")) {
-      return res.status(403).json({
-        success: false,
-        message: "Boost feature requires premium subscription",
-        requiresPremium: true,
-      });
-    }
-
-    // Check daily boost limit
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
-
-    // TODO: Track boosts in a separate collection for analytics
-    const boostLimit = currentUser.subscription?.type === "gold" ? 5 : 1;
-
-    // For now, we'll simulate boost by updating user stats
-    await User.findByIdAndUpdate(req.user._id, {
-      $inc: { "stats.profileViews": 10 }, // Simulate increased visibility
-      lastActive: new Date(), // Update activity to appear in more feeds
-    });
+    const boost = await BoostService.activate(req.user);
+    const allowance = await BoostService.getAllowance(req.user);
 
-    res.json({
+    res.status(201).json({
       success: true,
       message: "Profile boosted successfully! You'll be shown to more people.",
       boost: {
-        activatedAt: new Date(),
-        duration: 30, // 30 minutes
-        estimatedExtraViews: 10,
+        _id: boost._id,
+        activatedAt: boost.startsAt,
+        endsAt: boost.endsAt,
+        duration: Math.round((boost.endsAt - boost.startsAt) / 60000), // minutes
       },
+      allowance,
     });
   } catch (error) {
-    console.error("Boost error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Error boosting profile",
+    sendBoostError(res, error, "Boost");
+  }
+});
+
+// @route   GET /api/matching/boost/status
+// @desc    Running boost with its remaining time, boosts left and the last
+//          boost's report
+// @access  Private
+router.get("/boost/status", authenticate, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...(await BoostService.getStatus(req.user)),
     });
+  } catch (error) {
+    sendBoostError(res, error, "Boost status");
   }
 });
 
+// @route   GET /api/matching/boost/:id/report
+// @desc    Views and likes a finished boost produced
+// @access  Private
+router.get(
+  "/boost/:id/report",
+  authenticate,
+  [param("id").isMongoId().withMessage("Invalid boost ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const boost = await Boost.findOne({
+        _id: req.params.id,
+        user: req.user._id,
+      });
+      if (!boost) {
+        return res.status(404).json({
+          success: false,
+          message: "Boost not found",
+        });
+      }
+
+      // Normally built by the cron job; build it now if that hasn't run yet
+      if (!boost.report?.generatedAt) {
+        await BoostService.buildReport(boost);
+      }
+
+      res.json({
+        success: true,
+        boost: {
+          _id: boost._id,
+          startsAt: boost.startsAt,
+          endsAt: boost.endsAt,
+        },
+        report: boost.report,
+      });
+    } catch (error) {
+      sendBoostError(res, error, "Boost report");
+    }
+  }
+);
+
 // @route   GET /api/matching/matches
 // @desc    Get user's matches with enhanced sorting
 // @access  Private
@@ -711,6 +593,7 @@ router.get("/matches", authenticate, async (req, res) => {
         $match: {
           match: { $in: matchIds },
           isDeleted: false,
+          ...Message.visibleTo(req.user._id),
         },
       },
       {
@@ -719,7 +602,7 @@ router.get("/matches", authenticate, async (req, res) => {
       {
         $group: {
           _id: "$match",
-          lastMessage: { $first: "$ROOT" },
+          lastMessage: { $first: "$$ROOT" },
           unreadCount: {
             $sum: {
               $cond: [
@@ -876,7 +759,13 @@ router.post(
       }
 
       const { userId, reason, details } = req.body;
-      const currentUser = await User.findById(req.user._id);
+
+      if (userId === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot report yourself",
+        });
+      }
 
       // Check if user exists
       const reportedUser = await User.findById(userId);
@@ -887,24 +776,30 @@ router.post(
         });
       }
 
-      // Add to current user's reported users
-      await currentUser.reportUser(userId, reason);
-
-      // TODO: Create a separate Report model for admin review
-      // For now, we'll log the report
-      console.log(
-        `🚨 User ${req.user._id} reported user ${userId} for: ${reason}`
-      );
-      if (details) {
-        console.log(`Details: ${details}`);
-      }
+      const report = await ReportService.fileReport({
+        reporter: req.user,
+        reportedUser,
+        reason,
+        details,
+        source: "matching",
+        req,
+      });
 
       res.json({
         success: true,
         message:
           "User reported successfully. Thank you for helping keep our community safe.",
+        reportId: report._id,
       });
     } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
+
       console.error("Report user error:", error);
       res.status(500).json({
         success: false,
@@ -981,6 +876,9 @@ router.get("/stats", authenticate, async (req, res) => {
     const thisWeek = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
     const thisMonth = new Date(today.getTime() - 30 * 24 * 60 * 60 * 1000);
 
+    // Likes from shadowbanned users don't count
+    const shadowbannedIds = await User.getShadowbannedIds();
+
     const [
       totalStats,
       todayStats,
@@ -1009,6 +907,7 @@ router.get("/stats", authenticate, async (req, res) => {
       }),
       Swipe.countDocuments({
         swiped: userId,
+        swiper: { $nin: shadowbannedIds },
         action: { $in: ["like", "superlike"] },
       }),
     ]);
@@ -1063,24 +962,29 @@ router.get("/stats", authenticate, async (req, res) => {
 
 // @route   POST /api/matching/cleanup-expired
 // @desc    Manually trigger cleanup of expired matches (admin/cron job)
-// @access  Private
-router.post("/cleanup-expired", authenticate, async (req, res) => {
-  try {
-    const expiredCount = await Match.expireOldMatches();
+// @access  Private (matching:maintenance)
+router.post(
+  "/cleanup-expired",
+  authenticate,
+  requirePermission("matching:maintenance"),
+  async (req, res) => {
+    try {
+      const expiredCount = await Match.expireOldMatches();
 
-    res.json({
-      success: true,
-      message: `Expired ${expiredCount} old matches`,
-      expiredCount,
-    });
-  } catch (error) {
-    console.error("Cleanup error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Error cleaning up expired matches",
-    });
+      res.json({
+        success: true,
+        message: `Expired ${expiredCount} old matches`,
+        expiredCount,
+      });
+    } catch (error) {
+      console.error("Cleanup error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error cleaning up expired matches",
+      });
+    }
   }
-});
+);
 
 // @route   DELETE /api/matching/matches/:matchId
 // @desc    Unmatch/delete a match
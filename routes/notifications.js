@@ -1,9 +1,14 @@
 // routes/notifications.js - UPDATED WITH REAL FIREBASE INTEGRATION
 const express = require("express");
-const { body, validationResult } = require("express-validator");
-const { authenticate } = require("../middleware/auth");
+const { body, query, validationResult } = require("express-validator");
+const { authenticate, requirePermission } = require("../middleware/auth");
 const User = require("../models/User");
+const SecurityEventService = require("../services/securityEventService");
 const pushNotificationService = require("../services/pushNotificationService");
+const {
+  getBrowserFromUserAgent,
+  getOSFromUserAgent,
+} = require("../utils/userAgent");
 
 const router = express.Router();
 
@@ -92,6 +97,14 @@ router.post(
 
       await user.save();
 
+      if (existingTokenIndex < 0) {
+        await SecurityEventService.record("device_registered", {
+          user,
+          req,
+          metadata: { platform },
+        });
+      }
+
       // Subscribe to general notifications topic
       await pushNotificationService.subscribeToTopic(
         userId,
@@ -383,10 +396,11 @@ router.post("/test", authenticate, async (req, res) => {
 
 // @route   POST /api/notifications/send-custom
 // @desc    Send custom notification (admin only)
-// @access  Private
+// @access  Private (notifications:send)
 router.post(
   "/send-custom",
   authenticate,
+  requirePermission("notifications:send"),
   [
     body("title").notEmpty().withMessage("Title is required"),
     body("body").notEmpty().withMessage("Body is required"),
@@ -395,16 +409,6 @@ router.post(
   ],
   async (req, res) => {
     try {
-      // TODO: Implement proper admin check
-      const isAdmin = req.user.email === "admin@habibi.com"; // Replace with your admin logic
-
-      if (!isAdmin) {
-        return res.status(403).json({
-          success: false,
-          message: "Admin access required",
-        });
-      }
-
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({
@@ -489,33 +493,48 @@ router.get("/health", authenticate, async (req, res) => {
 });
 
 // @route   GET /api/notifications/stats
-// @desc    Get notification statistics
-// @access  Private
-router.get("/stats", authenticate, async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const stats = await pushNotificationService.getNotificationStats(userId);
+// @desc    Get notification statistics for a user (defaults to yourself)
+// @access  Private (notifications:stats)
+router.get(
+  "/stats",
+  authenticate,
+  requirePermission("notifications:stats"),
+  [query("userId").optional().isMongoId().withMessage("Invalid user ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
 
-    if (!stats) {
-      return res.status(404).json({
+      const userId = req.query.userId || req.user._id;
+      const stats = await pushNotificationService.getNotificationStats(userId);
+
+      if (!stats) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        stats,
+      });
+    } catch (error) {
+      console.error("Stats error:", error);
+      res.status(500).json({
         success: false,
-        message: "User not found",
+        message: "Error fetching stats",
+        error: error.message,
       });
     }
-
-    res.json({
-      success: true,
-      stats,
-    });
-  } catch (error) {
-    console.error("Stats error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Error fetching stats",
-      error: error.message,
-    });
   }
-});
+);
 
 // Export sendPushNotification function for backward compatibility
 const sendPushNotification = async (userId, notificationData) => {
@@ -563,29 +582,4 @@ const sendPushNotification = async (userId, notificationData) => {
   }
 };
 
-// Helper functions
-function getBrowserFromUserAgent(userAgent) {
-  if (!userAgent) return "Unknown";
-
-  if (userAgent.includes("Chrome")) return "Chrome";
-  if (userAgent.includes("Firefox")) return "Firefox";
-  if (userAgent.includes("Safari")) return "Safari";
-  if (userAgent.includes("Edge")) return "Edge";
-  if (userAgent.includes("Opera")) return "Opera";
-
-  return "Unknown";
-}
-
-function getOSFromUserAgent(userAgent) {
-  if (!userAgent) return "Unknown";
-
-  if (userAgent.includes("Windows")) return "Windows";
-  if (userAgent.includes("Mac OS")) return "macOS";
-  if (userAgent.includes("Linux")) return "Linux";
-  if (userAgent.includes("Android")) return "Android";
-  if (userAgent.includes("iOS")) return "iOS";
-
-  return "Unknown";
-}
-
 module.exports = { router, sendPushNotification };
@@ -4,6 +4,9 @@ const { v2: cloudinary } = require("cloudinary");
 const { CloudinaryStorage } = require("multer-storage-cloudinary");
 const { authenticate } = require("../middleware/auth");
 const User = require("../models/User");
+const PhotoVerification = require("../models/PhotoVerification");
+const PhotoVerificationService = require("../services/photoVerificationService");
+const AgeAssuranceService = require("../services/ageAssuranceService");
 
 const router = express.Router();
 
@@ -94,20 +97,41 @@ const upload = multer({
   },
 });
 
+// Verification selfies are checked before they are uploaded, so they are
+// held in memory first
+const selfieUpload = multer({
+  storage: localStorage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1,
+  },
+});
+
+// Profile photos are cropped square; pass another transformation for
+// uploads that must stay legible (e.g. ID documents)
+const PHOTO_TRANSFORMATION = [
+  { width: 800, height: 800, crop: "fill", quality: "auto:good" },
+  { flags: "progressive" },
+];
+
 // Alternative upload function for when Cloudinary is not available
-const uploadToCloudinaryManually = async (buffer, filename, userId) => {
+const uploadToCloudinaryManually = async (
+  buffer,
+  filename,
+  userId,
+  folder = "habibi/users",
+  transformation = PHOTO_TRANSFORMATION
+) => {
   try {
     return new Promise((resolve, reject) => {
       const uploadStream = cloudinary.uploader.upload_stream(
         {
-          folder: "habibi/users",
+          folder,
           public_id: `user_${userId}_${Date.now()}_${Math.random()
             .toString(36)
             .substring(2, 15)}`,
-          transformation: [
-            { width: 800, height: 800, crop: "fill", quality: "auto:good" },
-            { flags: "progressive" },
-          ],
+          transformation,
           resource_type: "image",
         },
         (error, result) => {
@@ -347,6 +371,10 @@ router.post("/upload", authenticate, (req, res) => {
       user.photos.push(newPhoto);
       await user.save();
 
+      if (newPhoto.isPrimary) {
+        await PhotoVerificationService.onPrimaryPhotoChanged(user);
+      }
+
       console.log("✅ Photo saved to user profile");
       console.log("📊 User now has", user.photos.length, "photos");
 
@@ -496,6 +524,10 @@ router.delete("/:photoId", authenticate, async (req, res) => {
 
     await user.save();
 
+    if (wasPrimary) {
+      await PhotoVerificationService.onPrimaryPhotoChanged(user);
+    }
+
     console.log("✅ Photo deleted successfully");
 
     res.json({
@@ -551,6 +583,10 @@ router.put("/:photoId/primary", authenticate, async (req, res) => {
 
     await user.save();
 
+    // A verified badge only vouches for the photo the selfie was checked
+    // against
+    await PhotoVerificationService.onPrimaryPhotoChanged(user);
+
     console.log("✅ Primary photo updated successfully");
 
     res.json({
@@ -569,6 +605,211 @@ router.put("/:photoId/primary", authenticate, async (req, res) => {
   }
 });
 
+// Map service errors (AppError) onto responses for the verification routes
+const sendVerificationError = (res, error, label) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+    });
+  }
+
+  console.error(`❌ ${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Error processing photo verification",
+  });
+};
+
+// @route   GET /api/photos/verification
+// @desc    Current photo verification status
+// @access  Private
+router.get("/verification", authenticate, async (req, res) => {
+  try {
+    const latest = await PhotoVerification.findLatestForUser(req.user._id);
+
+    res.json({
+      success: true,
+      photoVerified: !!req.user.verification?.photoVerified,
+      verificationDate: req.user.verification?.verificationDate,
+      latest: latest && {
+        _id: latest._id,
+        status: latest.status,
+        trigger: latest.trigger,
+        // The pose is only useful while the challenge can be answered
+        pose: latest.isChallengeOpen ? latest.pose : undefined,
+        challengeExpiresAt: latest.isChallengeOpen
+          ? latest.challengeExpiresAt
+          : undefined,
+        submittedAt: latest.submittedAt,
+        reviewedAt: latest.reviewedAt,
+        rejectionReason: latest.rejectionReason,
+      },
+    });
+  } catch (error) {
+    sendVerificationError(res, error, "Get verification");
+  }
+});
+
+// @route   POST /api/photos/verification/challenge
+// @desc    Get a random pose to copy in a verification selfie
+// @access  Private
+router.post("/verification/challenge", authenticate, async (req, res) => {
+  try {
+    const verification = await PhotoVerificationService.issueChallenge(
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      verificationId: verification._id,
+      pose: verification.pose,
+      expiresAt: verification.challengeExpiresAt,
+    });
+  } catch (error) {
+    sendVerificationError(res, error, "Verification challenge");
+  }
+});
+
+// @route   POST /api/photos/verification/selfie
+// @desc    Submit a selfie (field "selfie") for a challenge (field
+//          "verificationId")
+// @access  Private
+router.post("/verification/selfie", authenticate, (req, res) => {
+  if (!cloudinaryConfigured) {
+    return res.status(500).json({
+      success: false,
+      message: "Photo upload service is not properly configured",
+      error: "CLOUDINARY_NOT_CONFIGURED",
+    });
+  }
+
+  selfieUpload.single("selfie")(req, res, async (err) => {
+    try {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message:
+            err.code === "LIMIT_FILE_SIZE"
+              ? "File too large. Maximum size is 5MB."
+              : err.message,
+          error: "INVALID_SELFIE",
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "No selfie provided",
+          error: "NO_FILE_PROVIDED",
+        });
+      }
+
+      if (!/^[a-f\d]{24}$/i.test(req.body.verificationId || "")) {
+        return res.status(400).json({
+          success: false,
+          message: "Valid verification ID required",
+          error: "INVALID_VERIFICATION_ID",
+        });
+      }
+
+      const verification = await PhotoVerificationService.findOpenChallenge(
+        req.user,
+        req.body.verificationId
+      );
+
+      const result = await uploadToCloudinaryManually(
+        req.file.buffer,
+        req.file.originalname,
+        req.user._id,
+        "habibi/verifications"
+      );
+
+      await PhotoVerificationService.submitSelfie(req.user, verification, {
+        url: result.secure_url,
+        public_id: result.public_id,
+      });
+
+      res.json({
+        success: true,
+        message:
+          "Thanks! Your selfie is being reviewed. We'll let you know when you're verified.",
+        status: verification.status,
+      });
+    } catch (error) {
+      sendVerificationError(res, error, "Verification selfie");
+    }
+  });
+});
+
+// @route   POST /api/photos/age-review/id-document
+// @desc    Upload a photo of an ID (field "document") for a pending age review
+// @access  Private
+router.post("/age-review/id-document", authenticate, (req, res) => {
+  if (!cloudinaryConfigured) {
+    return res.status(500).json({
+      success: false,
+      message: "Photo upload service is not properly configured",
+      error: "CLOUDINARY_NOT_CONFIGURED",
+    });
+  }
+
+  if (req.user.ageReview?.status !== "pending") {
+    return res.status(409).json({
+      success: false,
+      message: "Your account is not awaiting an age check",
+      code: "AGE_REVIEW_NOT_PENDING",
+    });
+  }
+
+  // Held in memory like selfies, so nothing is stored for a rejected upload
+  selfieUpload.single("document")(req, res, async (err) => {
+    try {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message:
+            err.code === "LIMIT_FILE_SIZE"
+              ? "File too large. Maximum size is 5MB."
+              : err.message,
+          error: "INVALID_DOCUMENT",
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "No document provided",
+          error: "NO_FILE_PROVIDED",
+        });
+      }
+
+      const result = await uploadToCloudinaryManually(
+        req.file.buffer,
+        req.file.originalname,
+        req.user._id,
+        "habibi/id-documents",
+        [{ width: 1600, crop: "limit", quality: "auto:good" }]
+      );
+
+      await AgeAssuranceService.submitIdDocument(req.user, {
+        url: result.secure_url,
+        public_id: result.public_id,
+      });
+
+      res.json({
+        success: true,
+        message:
+          "Thanks! We'll check your ID and let you know once your account is back to normal.",
+        status: req.user.ageReview.status,
+      });
+    } catch (error) {
+      sendVerificationError(res, error, "Age review document");
+    }
+  });
+});
+
 // @route   GET /api/photos
 // @desc    Get user's photos
 // @access  Private
@@ -1,10 +1,43 @@
 const express = require("express");
-const { body, validationResult } = require("express-validator");
+const rateLimit = require("express-rate-limit");
+const { body, query, validationResult } = require("express-validator");
 const { authenticate } = require("../middleware/auth");
 const User = require("../models/User");
+const smsService = require("../services/smsService");
+const AccountDeletionService = require("../services/accountDeletionService");
+const AccountDeactivationService = require("../services/accountDeactivationService");
+const DataExportService = require("../services/dataExportService");
+const DataExport = require("../models/DataExport");
+const ModerationService = require("../services/moderationService");
+const AgeAssuranceService = require("../services/ageAssuranceService");
+const DiscoveryDeckService = require("../services/discoveryDeckService");
 
 const router = express.Router();
 
+// Minimum time between verification codes for one account
+const PHONE_OTP_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Verification codes are also throttled per phone number, so one account
+// can't send texts to any number of phones
+const phoneOtpLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // codes per phone number per window
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `phone:${req.body.phoneNumber}`,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: "Too many codes sent to this number. Please try again later.",
+      code: "PHONE_OTP_THROTTLED",
+      retryAfter: 60 * 60,
+    });
+  },
+});
+
+// One data export per account per day
+const DATA_EXPORT_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
 // @route   GET /api/profile
 // @desc    Get current user's detailed profile
 // @access  Private
@@ -87,7 +120,8 @@ router.put(
         }
       });
 
-      // Age validation if dateOfBirth is being updated
+      // Age validation if dateOfBirth is being updated. It can only be set
+      // once; after that support changes it (PUT /api/admin/users/:id/date-of-birth).
       if (updates.dateOfBirth) {
         const birthDate = new Date(updates.dateOfBirth);
         const today = new Date();
@@ -101,12 +135,46 @@ router.put(
           age--;
         }
 
+        const currentDate = req.user.dateOfBirth;
+        const isChange =
+          currentDate &&
+          currentDate.toISOString().slice(0, 10) !==
+            birthDate.toISOString().slice(0, 10);
+
+        // Saying you are under 18 puts the account under age review
+        if (age < 18) {
+          await AgeAssuranceService.flag(req.user._id, {
+            trigger: "date_of_birth_change",
+            req,
+          });
+        }
+
+        if (isChange) {
+          await ModerationService.audit("dob_change_blocked", {
+            actor: req.user,
+            target: req.user,
+            metadata: { from: currentDate, to: birthDate },
+            req,
+          });
+
+          return res.status(403).json({
+            success: false,
+            message:
+              "Your date of birth can't be changed. Please contact support if it is wrong.",
+            code: "DOB_LOCKED",
+          });
+        }
+
         if (age < 18) {
           return res.status(400).json({
             success: false,
             message: "You must be at least 18 years old",
           });
         }
+
+        if (currentDate) {
+          delete updates.dateOfBirth;
+        }
       }
 
       // Update user
@@ -115,6 +183,11 @@ router.put(
         runValidators: true,
       });
 
+      // Gender decides who sees this user and who they see
+      if (updates.gender && updates.gender !== req.user.gender) {
+        await DiscoveryDeckService.invalidate(user._id);
+      }
+
       // Calculate profile completion
       const completionData = calculateProfileCompletion(user);
 
@@ -192,6 +265,8 @@ router.put(
         { new: true, runValidators: true }
       );
 
+      await DiscoveryDeckService.invalidate(user._id);
+
       res.json({
         success: true,
         message: "Preferences updated successfully",
@@ -247,6 +322,8 @@ router.put(
         { new: true, runValidators: true }
       );
 
+      await DiscoveryDeckService.invalidate(user._id);
+
       res.json({
         success: true,
         message: "Location updated successfully",
@@ -262,30 +339,435 @@ router.put(
   }
 );
 
+// @route   POST /api/profile/phone
+// @desc    Add or change phone number and send a verification code
+// @access  Private
+router.post(
+  "/phone",
+  authenticate,
+  [
+    body("phoneNumber")
+      .trim()
+      .matches(/^\+[1-9]\d{7,14}$/)
+      .withMessage(
+        "Phone number must be in international format, e.g. +15551234567"
+      ),
+  ],
+  phoneOtpLimiter,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { phoneNumber } = req.body;
+      const user = await User.findById(req.user._id).select(
+        "+phoneVerification.lastSentAt"
+      );
+
+      if (
+        user.phoneNumber === phoneNumber &&
+        user.verification?.phoneVerified
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "This phone number is already verified",
+          code: "PHONE_ALREADY_VERIFIED",
+        });
+      }
+
+      // One verified phone number per account
+      const existingOwner = await User.findByVerifiedPhone(
+        phoneNumber,
+        user._id
+      );
+      if (existingOwner) {
+        return res.status(409).json({
+          success: false,
+          message: "This phone number is already linked to another account",
+          code: "PHONE_IN_USE",
+        });
+      }
+
+      // Throttle code requests per account
+      const lastSentAt = user.phoneVerification?.lastSentAt?.getTime() || 0;
+      const retryAfterMs =
+        lastSentAt + PHONE_OTP_RESEND_COOLDOWN_MS - Date.now();
+      if (retryAfterMs > 0) {
+        return res.status(429).json({
+          success: false,
+          message: "Please wait before requesting another code",
+          code: "RESEND_THROTTLED",
+          retryAfter: Math.ceil(retryAfterMs / 1000),
+        });
+      }
+
+      // Changing the number drops any previous verification
+      if (user.phoneNumber !== phoneNumber) {
+        user.phoneNumber = phoneNumber;
+        user.verification.phoneVerified = false;
+      }
+
+      const code = user.createPhoneOtp();
+      await user.save();
+
+      const result = await smsService.sendVerificationCode(phoneNumber, code);
+      if (!result.success) {
+        return res.status(502).json({
+          success: false,
+          message: "Could not send verification code. Please try again later.",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Verification code sent",
+        phoneNumber,
+        expiresIn: 10 * 60,
+      });
+    } catch (error) {
+      console.error("Phone number update error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error sending verification code",
+      });
+    }
+  }
+);
+
+// @route   POST /api/profile/phone/verify
+// @desc    Confirm phone number with the verification code
+// @access  Private
+router.post(
+  "/phone/verify",
+  authenticate,
+  [
+    body("code")
+      .trim()
+      .matches(/^\d{6}$/)
+      .withMessage("Verification code must be 6 digits"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findById(req.user._id).select(
+        "+phoneVerification.codeHash +phoneVerification.expiresAt +phoneVerification.attempts +phoneVerification.lastSentAt"
+      );
+
+      const result = user.checkPhoneOtp(req.body.code);
+      if (!result.valid) {
+        // Persist the attempt counter
+        await user.save();
+
+        const messages = {
+          NO_PENDING_CODE: "No verification code requested",
+          CODE_EXPIRED:
+            "Verification code has expired. Please request a new one.",
+          TOO_MANY_ATTEMPTS:
+            "Too many incorrect attempts. Please request a new code.",
+          INVALID_CODE: "Incorrect verification code",
+        };
+
+        return res.status(400).json({
+          success: false,
+          message: messages[result.reason],
+          code: result.reason,
+          attemptsRemaining: result.attemptsRemaining,
+        });
+      }
+
+      // Another account may have verified the number in the meantime
+      const existingOwner = await User.findByVerifiedPhone(
+        user.phoneNumber,
+        user._id
+      );
+      if (existingOwner) {
+        return res.status(409).json({
+          success: false,
+          message: "This phone number is already linked to another account",
+          code: "PHONE_IN_USE",
+        });
+      }
+
+      user.verification.phoneVerified = true;
+      user.phoneVerification = {
+        codeHash: undefined,
+        expiresAt: undefined,
+        attempts: 0,
+        lastSentAt: user.phoneVerification.lastSentAt,
+      };
+      await user.save();
+
+      console.log(`📱 Phone verified for user ${user._id}`);
+
+      res.json({
+        success: true,
+        message: "Phone number verified successfully",
+        user: user.toSafeObject(),
+      });
+    } catch (error) {
+      // Lost a race with another account verifying the same number
+      if (error.code === 11000 && error.keyPattern?.phoneNumber) {
+        return res.status(409).json({
+          success: false,
+          message: "This phone number is already linked to another account",
+          code: "PHONE_IN_USE",
+        });
+      }
+
+      console.error("Phone verification error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error verifying phone number",
+      });
+    }
+  }
+);
+
 // @route   DELETE /api/profile
-// @desc    Deactivate user account
+// @desc    Deactivate user account (signing in again offers reactivation)
+// @access  Private
+router.delete(
+  "/",
+  authenticate,
+  [
+    body("reason")
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage("Reason cannot exceed 500 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const deletionAfter = await AccountDeactivationService.deactivate(
+        req.user,
+        req,
+        req.body?.reason || ""
+      );
+
+      res.json({
+        success: true,
+        message:
+          "Account deactivated successfully. Sign in again any time to reactivate it.",
+        reactivationWindowDays:
+          AccountDeactivationService.reactivationWindowDays,
+        deletionAfter,
+      });
+    } catch (error) {
+      console.error("Account deactivation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error deactivating account",
+      });
+    }
+  }
+);
+
+// @route   POST /api/profile/export
+// @desc    Queue a download-my-data export
+// @access  Private
+router.post("/export", authenticate, async (req, res) => {
+  try {
+    const inProgress = await DataExport.findInProgress(req.user._id);
+    if (inProgress) {
+      return res.status(409).json({
+        success: false,
+        message: "An export is already being prepared",
+        code: "EXPORT_IN_PROGRESS",
+        exportId: inProgress._id,
+      });
+    }
+
+    const lastExport = await DataExport.findOne({ user: req.user._id }).sort({
+      createdAt: -1,
+    });
+    if (
+      lastExport &&
+      lastExport.status !== "failed" &&
+      Date.now() - lastExport.createdAt.getTime() < DATA_EXPORT_COOLDOWN_MS
+    ) {
+      return res.status(429).json({
+        success: false,
+        message: "You can request one data export per day",
+        code: "EXPORT_THROTTLED",
+        retryAfter: Math.ceil(
+          (lastExport.createdAt.getTime() +
+            DATA_EXPORT_COOLDOWN_MS -
+            Date.now()) /
+            1000
+        ),
+      });
+    }
+
+    const dataExport = await DataExportService.requestExport(req.user._id);
+
+    res.status(202).json({
+      success: true,
+      message:
+        "Your export is being prepared. We'll email you a download link.",
+      exportId: dataExport._id,
+      status: dataExport.status,
+    });
+  } catch (error) {
+    console.error("Data export request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error requesting data export",
+    });
+  }
+});
+
+// @route   GET /api/profile/export
+// @desc    List the user's recent data exports
 // @access  Private
-router.delete("/", authenticate, async (req, res) => {
+router.get("/export", authenticate, async (req, res) => {
   try {
-    await User.findByIdAndUpdate(
-      req.user._id,
-      { isActive: false },
-      { new: true }
-    );
+    const exports = await DataExport.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(5);
 
     res.json({
       success: true,
-      message: "Account deactivated successfully",
+      exports: exports.map((dataExport) => ({
+        _id: dataExport._id,
+        status: dataExport.status,
+        requestedAt: dataExport.createdAt,
+        completedAt: dataExport.completedAt,
+        expiresAt: dataExport.expiresAt,
+        fileSize: dataExport.fileSize,
+      })),
     });
   } catch (error) {
-    console.error("Account deactivation error:", error);
+    console.error("Data export list error:", error);
     res.status(500).json({
       success: false,
-      message: "Error deactivating account",
+      message: "Error fetching data exports",
     });
   }
 });
 
+// @route   GET /api/profile/export/download
+// @desc    Download an export archive with the emailed token
+// @access  Public (token)
+router.get(
+  "/export/download",
+  [query("token").isHexadecimal().isLength({ min: 64, max: 64 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      const dataExport =
+        errors.isEmpty() &&
+        (await DataExport.findByDownloadToken(req.query.token));
+
+      if (!dataExport) {
+        return res.status(404).json({
+          success: false,
+          message: "Download link is invalid or has expired",
+          code: "INVALID_EXPORT_LINK",
+        });
+      }
+
+      await DataExport.updateOne(
+        { _id: dataExport._id },
+        { $inc: { downloadCount: 1 } }
+      );
+
+      res.download(
+        dataExport.filePath,
+        `habibi-data-${dataExport.createdAt.toISOString().slice(0, 10)}.json.gz`
+      );
+    } catch (error) {
+      console.error("Data export download error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error downloading data export",
+      });
+    }
+  }
+);
+
+// @route   POST /api/profile/deletion
+// @desc    Schedule permanent account deletion after a grace period
+// @access  Private
+router.post(
+  "/deletion",
+  authenticate,
+  [
+    body("password")
+      .optional()
+      .isString()
+      .withMessage("Password must be a string"),
+    body("reason")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Reason cannot exceed 500 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findById(req.user._id).select("+password");
+
+      // Re-authenticate, unless the account only signs in through a provider
+      if (user.password && !(await user.comparePassword(req.body.password))) {
+        return res.status(400).json({
+          success: false,
+          message: "Password is incorrect",
+          code: "INVALID_PASSWORD",
+        });
+      }
+
+      const scheduledFor = await AccountDeletionService.scheduleDeletion(
+        user,
+        req,
+        req.body.reason
+      );
+
+      res.json({
+        success: true,
+        message: `Your account will be permanently deleted in ${AccountDeletionService.gracePeriodDays} days. Log in again before then to cancel.`,
+        scheduledFor,
+      });
+    } catch (error) {
+      console.error("Account deletion request error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error scheduling account deletion",
+      });
+    }
+  }
+);
+
 // Helper function to calculate profile completion
 function calculateProfileCompletion(user) {
   const fields = [
@@ -1,9 +1,97 @@
 const express = require("express");
-const { body, validationResult } = require("express-validator");
+const { body, query, validationResult } = require("express-validator");
 const { authenticate } = require("../middleware/auth");
 const User = require("../models/User");
 const Match = require("../models/Match");
 const Message = require("../models/Message");
+const SecurityEvent = require("../models/SecurityEvent");
+const Report = require("../models/Report");
+const SessionService = require("../services/sessionService");
+const SecurityEventService = require("../services/securityEventService");
+const ReportService = require("../services/reportService");
+const loginRiskService = require("../services/loginRiskService");
+const { requireCaptcha } = require("../middleware/captcha");
+
+// Reports filed within the last hour before a CAPTCHA is required
+const REPORT_CAPTCHA_THRESHOLD =
+  parseInt(process.env.REPORT_CAPTCHA_THRESHOLD) || 3;
+const NEW_ACCOUNT_MS = 24 * 60 * 60 * 1000;
+
+// Mass-reporting looks like a burst of reports, usually from fresh accounts
+// or from networks the login risk engine already flagged
+const reportNeedsCaptcha = async (req) => {
+  const recentReports = await Report.countFiledSince(
+    req.user._id,
+    new Date(Date.now() - 60 * 60 * 1000)
+  );
+
+  if (recentReports >= REPORT_CAPTCHA_THRESHOLD) return true;
+  if (Date.now() - new Date(req.user.createdAt).getTime() < NEW_ACCOUNT_MS) {
+    return true;
+  }
+
+  return loginRiskService.assess({ ip: req.ip }).captchaRequired;
+};
+
+// Report reasons and evidence kinds a user can submit
+const REPORT_REASONS = Report.schema.path("reason").enumValues;
+const EVIDENCE_TYPES = Report.schema
+  .path("evidence")
+  .schema.path("type").enumValues;
+
+// Event types the activity log can be filtered by
+const SECURITY_EVENT_TYPES = SecurityEvent.schema.path("type").enumValues;
+
+// Human-readable descriptions for the activity log
+const EVENT_DESCRIPTIONS = {
+  login_success: "Signed in",
+  login_failed: "Failed sign-in attempt",
+  account_locked: "Account temporarily locked",
+  password_changed: "Password changed",
+  password_reset: "Password reset",
+  two_factor_enabled: "Two-factor authentication enabled",
+  two_factor_disabled: "Two-factor authentication disabled",
+  device_registered: "Device registered for notifications",
+  session_revoked: "Signed out a session",
+  user_blocked: "Blocked a user",
+  user_reported: "Reported a user",
+  emergency_logout: "Emergency logout from all devices",
+  account_deletion_requested: "Account deletion requested",
+  account_deletion_cancelled: "Account deletion cancelled by signing in",
+  account_deactivated: "Account deactivated",
+  account_reactivated: "Account reactivated",
+  role_changed: "Account role changed",
+};
+
+// Metadata fields each event type may show the user; anything else recorded
+// on the event (report ids, who ran a bootstrap script) stays internal
+const EVENT_DETAIL_FIELDS = {
+  login_success: ["method", "newDevice"],
+  login_failed: ["reason"],
+  account_locked: ["lockUntil"],
+  password_changed: ["revokedSessions"],
+  password_reset: ["revokedSessions"],
+  device_registered: ["platform"],
+  session_revoked: ["isCurrent"],
+  user_blocked: ["reason"],
+  user_reported: ["reason"],
+  emergency_logout: ["revokedSessions", "disconnectedSockets"],
+  account_deletion_requested: ["scheduledFor"],
+  account_deactivated: ["reason"],
+  account_reactivated: ["resumedMatches"],
+  role_changed: ["from", "to"],
+};
+
+const pickEventDetails = (event) => {
+  const fields = EVENT_DETAIL_FIELDS[event.type] || [];
+  const details = {};
+  for (const field of fields) {
+    if (event.metadata?.[field] !== undefined) {
+      details[field] = event.metadata[field];
+    }
+  }
+  return details;
+};
 
 const router = express.Router();
 
@@ -121,6 +209,12 @@ router.post(
         }
       );
 
+      await SecurityEventService.record("user_blocked", {
+        user: currentUser,
+        req,
+        metadata: { targetUser: userToBlock._id, reason },
+      });
+
       console.log(
         `🚫 User ${currentUser.firstName} blocked user ${userToBlock.firstName} for: ${reason}`
       );
@@ -221,28 +315,33 @@ router.post(
   authenticate,
   [
     body("userId").isMongoId().withMessage("Valid user ID is required"),
-    body("reason")
-      .isIn([
-        "inappropriate_content",
-        "fake_profile",
-        "harassment",
-        "spam",
-        "underage",
-        "violence",
-        "hate_speech",
-        "scam",
-        "other",
-      ])
-      .withMessage("Invalid report reason"),
+    body("reason").isIn(REPORT_REASONS).withMessage("Invalid report reason"),
     body("details")
       .optional()
       .isLength({ max: 500 })
       .withMessage("Details cannot exceed 500 characters"),
     body("evidence")
       .optional()
-      .isArray()
-      .withMessage("Evidence must be an array"),
+      .isArray({ max: 10 })
+      .withMessage("Evidence must be an array of up to 10 items"),
+    body("evidence.*.type")
+      .isIn(EVIDENCE_TYPES)
+      .withMessage("Invalid evidence type"),
+    body("evidence.*.messageId")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid message ID"),
+    body("evidence.*.url")
+      .optional()
+      .isURL()
+      .withMessage("Evidence URL must be a valid URL"),
+    body("evidence.*.description")
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage("Evidence description cannot exceed 500 characters"),
   ],
+  requireCaptcha({ when: reportNeedsCaptcha }),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -273,45 +372,31 @@ router.post(
         });
       }
 
-      // Get reporter
-      const reporter = await User.findById(reporterId);
-
-      // Check if user has already reported this person
-      const existingReport = reporter.safety.reportedUsers.find(
-        (report) => report.user.toString() === userId
-      );
-
-      if (existingReport) {
-        return res.status(400).json({
-          success: false,
-          message: "You have already reported this user",
-        });
-      }
-
-      // Add to reporter's reported users list
-      await reporter.reportUser(userId, reason, details);
-
-      // TODO: In a production app, you'd want to:
-      // 1. Create a separate Report model for admin review
-      // 2. Implement admin dashboard for reviewing reports
-      // 3. Set up automatic actions for multiple reports
-      // 4. Send notifications to admins for serious reports
-
-      console.log(
-        `🚨 REPORT: ${reporter.firstName} reported ${reportedUser.firstName}`
-      );
-      console.log(`   Reason: ${reason}`);
-      if (details) console.log(`   Details: ${details}`);
-      if (evidence.length > 0)
-        console.log(`   Evidence: ${evidence.length} items`);
+      const report = await ReportService.fileReport({
+        reporter: req.user,
+        reportedUser,
+        reason,
+        details,
+        evidence,
+        source: "safety",
+        req,
+      });
 
       res.json({
         success: true,
         message:
           "Report submitted successfully. Thank you for helping keep Habibi safe.",
-        reportId: new Date().toISOString(), // In production, use actual report ID
+        reportId: report._id,
       });
     } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+        });
+      }
+
       console.error("Report user error:", error);
       res.status(500).json({
         success: false,
@@ -326,27 +411,26 @@ router.post(
 // @access  Private
 router.get("/reports", authenticate, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id)
-      .populate("safety.reportedUsers.user", "firstName lastName photos")
-      .select("safety.reportedUsers");
-
-    const reports = user.safety?.reportedUsers || [];
+    const reports = await Report.find({ reporter: req.user._id })
+      .populate("reportedUser", "firstName lastName photos")
+      .sort({ createdAt: -1 });
 
     res.json({
       success: true,
       reports: reports.map((report) => ({
         _id: report._id,
-        user: {
-          _id: report.user._id,
-          firstName: report.user.firstName,
-          lastName: report.user.lastName,
+        user: report.reportedUser && {
+          _id: report.reportedUser._id,
+          firstName: report.reportedUser.firstName,
+          lastName: report.reportedUser.lastName,
           primaryPhoto:
-            report.user.photos?.find((p) => p.isPrimary) ||
-            report.user.photos?.[0],
+            report.reportedUser.photos?.find((p) => p.isPrimary) ||
+            report.reportedUser.photos?.[0],
         },
         reason: report.reason,
         details: report.details,
-        reportedAt: report.reportedAt,
+        status: report.status,
+        reportedAt: report.createdAt,
       })),
     });
   } catch (error) {
@@ -472,14 +556,25 @@ router.post("/emergency-logout", authenticate, async (req, res) => {
     await User.findByIdAndUpdate(userId, {
       $set: {
         deviceTokens: [],
-        lastLogout: new Date(),
       },
     });
 
-    // TODO: In a production app with session management:
-    // - Invalidate all JWT tokens by updating user secret
-    // - Clear all Redis sessions
-    // - Log security event
+    // Invalidate every issued JWT and refresh session
+    const { revokedSessions } = await SessionService.invalidateAllTokens(
+      userId,
+      "security"
+    );
+
+    // Drop any live socket connections
+    const disconnectedSockets = req.io?.disconnectUser
+      ? req.io.disconnectUser(userId.toString(), "emergency_logout")
+      : 0;
+
+    await SecurityEventService.record("emergency_logout", {
+      user: req.user,
+      req,
+      metadata: { revokedSessions, disconnectedSockets },
+    });
 
     console.log(`🚨 Emergency logout performed for user ${userId}`);
 
@@ -487,6 +582,8 @@ router.post("/emergency-logout", authenticate, async (req, res) => {
       success: true,
       message:
         "Emergency logout completed. Please log in again on all devices.",
+      revokedSessions,
+      disconnectedSockets,
     });
   } catch (error) {
     console.error("Emergency logout error:", error);
@@ -498,60 +595,87 @@ router.post("/emergency-logout", authenticate, async (req, res) => {
 });
 
 // @route   GET /api/safety/activity-log
-// @desc    Get user's recent activity log (simplified version)
+// @desc    Page through the user's security event history
 // @access  Private
-router.get("/activity-log", authenticate, async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const { limit = 50 } = req.query;
-
-    // In a production app, you'd have a separate ActivityLog model
-    // For now, we'll return basic info from existing data
-    const user = await User.findById(userId).select(
-      "lastActive createdAt deviceTokens"
-    );
+router.get(
+  "/activity-log",
+  authenticate,
+  [
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+    query("type")
+      .optional()
+      .custom((value) =>
+        String(value)
+          .split(",")
+          .every((type) => SECURITY_EVENT_TYPES.includes(type.trim()))
+      )
+      .withMessage(`Type must be one of: ${SECURITY_EVENT_TYPES.join(", ")}`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
 
-    const activities = [
-      {
-        type: "account_created",
-        description: "Account created",
-        timestamp: user.createdAt,
-        details: "Welcome to Habibi!",
-      },
-      {
-        type: "last_active",
-        description: "Last active",
-        timestamp: user.lastActive,
-        details: "App usage",
-      },
-    ];
-
-    // Add device registrations
-    user.deviceTokens?.forEach((device) => {
-      activities.push({
-        type: "device_registered",
-        description: `${device.platform} device registered`,
-        timestamp: device.registeredAt,
-        details: `${device.deviceInfo?.browser || "Unknown"} on ${
-          device.deviceInfo?.os || "Unknown"
-        }`,
-      });
-    });
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      // Accepts ?type=a,b as well as repeated ?type=a&type=b
+      const types = req.query.type
+        ? []
+            .concat(req.query.type)
+            .join(",")
+            .split(",")
+            .map((t) => t.trim())
+        : [];
+
+      const { events, pagination } = await SecurityEvent.getUserEvents(
+        req.user._id,
+        { page, limit, types }
+      );
 
-    // Sort by timestamp
-    activities.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+      const activities = events.map((event) => ({
+        _id: event._id,
+        type: event.type,
+        description: EVENT_DESCRIPTIONS[event.type] || event.type,
+        timestamp: event.createdAt,
+        ip: event.ip,
+        device: event.device
+          ? {
+              browser: event.device.browser,
+              os: event.device.os,
+              deviceType: event.device.deviceType,
+              platform: event.device.platform,
+              name: event.device.name,
+            }
+          : null,
+        details: pickEventDetails(event),
+      }));
 
-    res.json({
-      success: true,
-      activities: activities.slice(0, parseInt(limit)),
-    });
-  } catch (error) {
-    console.error("Get activity log error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Error fetching activity log",
-    });
+      res.json({
+        success: true,
+        activities,
+        pagination,
+      });
+    } catch (error) {
+      console.error("Get activity log error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching activity log",
+      });
+    }
   }
-});
+);
 
 module.exports = router;
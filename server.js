@@ -77,9 +77,11 @@ const generalLimiter = createRateLimit(
   "Too many requests from this IP, please try again later."
 );
 
+// Failed sign-ins are policed by the login risk engine, so this is only a
+// coarse per-IP ceiling that shared NATs won't hit in normal use
 const authLimiter = createRateLimit(
   15 * 60 * 1000, // 15 minutes
-  5, // requests per window
+  parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 50, // requests per window
   "Too many authentication attempts, please try again later."
 );
 
@@ -259,6 +261,77 @@ const startCleanupJobs = () => {
     }
   });
 
+  // Purge accounts whose deletion grace period has ended, every hour
+  cron.schedule("30 * * * *", async () => {
+    try {
+      const AccountDeletionService = require("./services/accountDeletionService");
+      const { due, purged } = await AccountDeletionService.purgeDueAccounts();
+      if (due > 0) {
+        console.log(`🧹 Purged ${purged}/${due} deleted accounts`);
+      }
+    } catch (error) {
+      console.error("❌ Error in account purge job:", error);
+    }
+  });
+
+  // Lift suspensions that have run their course every 10 minutes
+  cron.schedule("*/10 * * * *", async () => {
+    try {
+      const ModerationService = require("./services/moderationService");
+      const lifted = await ModerationService.liftExpiredSuspensions();
+      if (lifted > 0) {
+        console.log(`🔓 Lifted ${lifted} expired suspensions`);
+      }
+    } catch (error) {
+      console.error("❌ Error in suspension expiry job:", error);
+    }
+  });
+
+  // Hand accounts deactivated past the reactivation window to the deletion
+  // pipeline, daily at 3:30 AM
+  cron.schedule("30 3 * * *", async () => {
+    try {
+      const AccountDeactivationService = require("./services/accountDeactivationService");
+      const { due, scheduled } =
+        await AccountDeactivationService.scheduleExpiredDeactivations();
+      if (due > 0) {
+        console.log(
+          `🗓️ Scheduled ${scheduled}/${due} long-deactivated accounts for deletion`
+        );
+      }
+    } catch (error) {
+      console.error("❌ Error in deactivated account job:", error);
+    }
+  });
+
+  // Build queued data exports and expire old download links every 5 minutes
+  cron.schedule("*/5 * * * *", async () => {
+    try {
+      const DataExportService = require("./services/dataExportService");
+      await DataExportService.runMaintenance();
+    } catch (error) {
+      console.error("❌ Error in data export job:", error);
+    }
+  });
+
+  // Report on finished profile boosts every 5 minutes
+  cron.schedule("*/5 * * * *", async () => {
+    try {
+      const BoostService = require("./services/boostService");
+      const reported = await BoostService.reportFinishedBoosts();
+      if (reported > 0) {
+        console.log(`🚀 Reported on ${reported} finished boosts`);
+      }
+    } catch (error) {
+      console.error("❌ Error in boost report job:", error);
+    }
+  });
+
+  // Drop expired login risk windows every 5 minutes
+  cron.schedule("*/5 * * * *", () => {
+    require("./services/loginRiskService").prune();
+  });
+
   console.log("✅ Cleanup jobs scheduled");
 };
 
@@ -324,6 +397,7 @@ const io = new Server(server, {
 
 // Initialize socket handler
 socketHandler(io);
+require("./services/moderationService").attachSocketServer(io);
 
 // ===== MIDDLEWARE TO ATTACH IO TO REQUESTS =====
 app.use((req, res, next) => {
@@ -367,6 +441,8 @@ app.use("/api/chat", require("./routes/chat"));
 app.use("/api/notifications", require("./routes/notifications").router);
 app.use("/api/safety", require("./routes/safety"));
 app.use("/api/debug", require("./routes/debug"));
+app.use("/api/admin", require("./routes/admin"));
+app.use("/api/appeals", require("./routes/appeals"));
 
 // Backward compatibility routes (without /api prefix)
 app.use("/auth", require("./routes/auth"));
@@ -395,6 +471,8 @@ app.use("*", (req, res) => {
       "/api/notifications/*",
       "/api/safety/*",
       "/api/debug/*",
+      "/api/admin/*",
+      "/api/appeals/*",
       "/auth/*",
       "/photos/*",
       "/profile/*",
@@ -445,6 +523,8 @@ const startServer = async () => {
       console.log("  • /api/notifications/* - Push notifications");
       console.log("  • /api/safety/* - Safety & blocking features");
       console.log("  • /api/debug/* - Debug endpoints");
+      console.log("  • /api/admin/* - Staff user management");
+      console.log("  • /api/appeals/* - Appeals for restricted accounts");
       console.log("");
       console.log("🔥 Features Status:");
       console.log(
@@ -0,0 +1,94 @@
+// services/accountDeactivationService.js - Deactivation and reactivation
+//
+// A deactivated account is hidden from discovery and its matches are paused.
+// Signing in again offers reactivation; accounts left deactivated for longer
+// than the reactivation window are handed to the deletion pipeline.
+const User = require("../models/User");
+const Match = require("../models/Match");
+const SessionService = require("./sessionService");
+const SecurityEventService = require("./securityEventService");
+const AccountDeletionService = require("./accountDeletionService");
+
+const REACTIVATION_WINDOW_DAYS =
+  parseInt(process.env.ACCOUNT_REACTIVATION_WINDOW_DAYS) || 180;
+
+class AccountDeactivationService {
+  static get reactivationWindowDays() {
+    return REACTIVATION_WINDOW_DAYS;
+  }
+
+  /**
+   * Hide the account, pause its matches and sign it out everywhere. Returns
+   * the date after which the account will be scheduled for deletion.
+   */
+  static async deactivate(user, req, reason = "") {
+    user.deactivate(reason);
+    await user.save();
+
+    await Match.pauseForUser(user._id);
+    await SessionService.invalidateAllTokens(user._id, "security");
+    req?.io?.disconnectUser?.(user._id.toString(), "account_deactivated");
+
+    await SecurityEventService.record("account_deactivated", {
+      user,
+      req,
+      metadata: { reason },
+    });
+
+    return new Date(
+      user.deactivation.deactivatedAt.getTime() +
+        REACTIVATION_WINDOW_DAYS * 24 * 60 * 60 * 1000
+    );
+  }
+
+  /**
+   * Bring a deactivated account back and resume its matches
+   */
+  static async reactivate(user, req) {
+    user.reactivate();
+    await user.save();
+
+    const resumedMatches = await Match.resumeForUser(user._id);
+
+    await SecurityEventService.record("account_reactivated", {
+      user,
+      req,
+      metadata: { resumedMatches },
+    });
+
+    console.log(`♻️ Account ${user._id} reactivated`);
+    return resumedMatches;
+  }
+
+  /**
+   * Schedule deletion of accounts deactivated for longer than the window
+   * (run from cron)
+   */
+  static async scheduleExpiredDeactivations(limit = 50) {
+    const cutoff = new Date(
+      Date.now() - REACTIVATION_WINDOW_DAYS * 24 * 60 * 60 * 1000
+    );
+    const users = await User.findDeactivatedBefore(cutoff, limit);
+    let scheduled = 0;
+
+    for (const user of users) {
+      try {
+        await AccountDeletionService.scheduleDeletion(
+          user,
+          null,
+          `Deactivated for more than ${REACTIVATION_WINDOW_DAYS} days`
+        );
+        scheduled += 1;
+      } catch (error) {
+        console.error(
+          `❌ Error scheduling deletion of deactivated account ${user._id}:`,
+          error.message
+        );
+      }
+    }
+
+    return { due: users.length, scheduled };
+  }
+}
+
+module.exports = AccountDeactivationService;
@@ -0,0 +1,232 @@
+// services/accountDeletionService.js - Scheduled account deletion and purge
+const fs = require("fs");
+const crypto = require("crypto");
+const { v2: cloudinary } = require("cloudinary");
+const User = require("../models/User");
+const Swipe = require("../models/Swipe");
+const Match = require("../models/Match");
+const Message = require("../models/Message");
+const Notification = require("../models/Notification");
+const Session = require("../models/Session");
+const SecurityEvent = require("../models/SecurityEvent");
+const AccountTombstone = require("../models/AccountTombstone");
+const DataExport = require("../models/DataExport");
+const Report = require("../models/Report");
+const Appeal = require("../models/Appeal");
+const PhotoVerification = require("../models/PhotoVerification");
+const DiscoveryDeck = require("../models/DiscoveryDeck");
+const DiscoveryImpression = require("../models/DiscoveryImpression");
+const Boost = require("../models/Boost");
+const SessionService = require("./sessionService");
+const SecurityEventService = require("./securityEventService");
+const mailService = require("./mailService");
+
+const GRACE_PERIOD_DAYS =
+  parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+const hashIdentifier = (value) =>
+  value
+    ? crypto
+        .createHash("sha256")
+        .update(String(value).trim().toLowerCase())
+        .digest("hex")
+    : undefined;
+
+class AccountDeletionService {
+  static get gracePeriodDays() {
+    return GRACE_PERIOD_DAYS;
+  }
+
+  /**
+   * Hide the account, sign it out everywhere and schedule the purge
+   */
+  static async scheduleDeletion(user, req, reason = "") {
+    user.scheduleDeletion(GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000, reason);
+    user.deviceTokens = [];
+    await user.save();
+
+    await Match.pauseForUser(user._id);
+    await SessionService.invalidateAllTokens(user._id, "security");
+    req?.io?.disconnectUser?.(user._id.toString(), "account_deleted");
+
+    await SecurityEventService.record("account_deletion_requested", {
+      user,
+      req,
+      metadata: { scheduledFor: user.deletion.scheduledFor },
+    });
+    await mailService.sendAccountDeletionScheduledEmail(
+      user,
+      user.deletion.scheduledFor
+    );
+
+    console.log(
+      `🗓️ Account ${
+        user._id
+      } scheduled for deletion on ${user.deletion.scheduledFor.toISOString()}`
+    );
+
+    return user.deletion.scheduledFor;
+  }
+
+  /**
+   * Destroy a user's Cloudinary assets. Returns the ids that failed.
+   */
+  static async destroyAssets(publicIds) {
+    if (publicIds.length === 0 || !cloudinary.config().cloud_name) {
+      return [];
+    }
+
+    const failed = [];
+    for (const publicId of publicIds) {
+      try {
+        const result = await cloudinary.uploader.destroy(publicId);
+        if (result.result !== "ok" && result.result !== "not found") {
+          failed.push(publicId);
+        }
+      } catch (error) {
+        console.error(`Cloudinary destroy error (${publicId}):`, error.message);
+        failed.push(publicId);
+      }
+    }
+
+    return failed;
+  }
+
+  /**
+   * Permanently remove a user's data, leaving only a tombstone
+   */
+  static async purgeUser(user) {
+    const userId = user._id;
+
+    // A login may have cancelled the deletion since the account was picked up
+    const stillDue = await User.exists({
+      _id: userId,
+      "deletion.scheduledFor": { $lte: new Date() },
+    });
+    if (!stillDue) {
+      return null;
+    }
+
+    // Assets go first: if they can't be destroyed the purge is retried later
+    const selfieIds = await PhotoVerification.find({ user: userId }).distinct(
+      "selfie.public_id"
+    );
+    const publicIds = [
+      ...(user.photos || []).map((photo) => photo.public_id),
+      ...selfieIds,
+      user.ageReview?.idDocument?.public_id,
+    ].filter(Boolean);
+    const failedAssets = await this.destroyAssets(publicIds);
+    if (failedAssets.length > 0) {
+      throw new Error(
+        `Could not destroy ${failedAssets.length} Cloudinary asset(s)`
+      );
+    }
+
+    const [reasonsAgainst, reportsAgainst, reportsFiled] = await Promise.all([
+      Report.find({ reportedUser: userId }).distinct("reason"),
+      Report.countDocuments({ reportedUser: userId }),
+      Report.countDocuments({ reporter: userId }),
+    ]);
+
+    await AccountTombstone.findOneAndUpdate(
+      { userId },
+      {
+        userId,
+        emailHash: hashIdentifier(user.email),
+        phoneHash: hashIdentifier(user.phoneNumber),
+        accountCreatedAt: user.createdAt,
+        deletionRequestedAt: user.deletion?.requestedAt,
+        purgedAt: new Date(),
+        reportsAgainst: {
+          count: reportsAgainst,
+          reasons: reasonsAgainst,
+        },
+        reportsFiled,
+      },
+      { upsert: true }
+    );
+
+    const matchIds = await Match.find({ users: userId }).distinct("_id");
+
+    // Data export archives are copies of everything below
+    const exports = await DataExport.find({ user: userId }).select("+filePath");
+    await Promise.all(
+      exports
+        .filter((dataExport) => dataExport.filePath)
+        .map((dataExport) =>
+          fs.promises.rm(dataExport.filePath, { force: true })
+        )
+    );
+
+    const [swipes, messages, matches, notifications] = await Promise.all([
+      Swipe.deleteMany({ $or: [{ swiper: userId }, { swiped: userId }] }),
+      Message.deleteMany({
+        $or: [
+          { sender: userId },
+          { receiver: userId },
+          { match: { $in: matchIds } },
+        ],
+      }),
+      Match.deleteMany({ _id: { $in: matchIds } }),
+      Notification.deleteMany({
+        $or: [
+          { user: userId },
+          { relatedUser: userId },
+          { relatedMatch: { $in: matchIds } },
+        ],
+      }),
+      Session.deleteMany({ user: userId }),
+      SecurityEvent.deleteMany({ user: userId }),
+      DataExport.deleteMany({ user: userId }),
+      Appeal.deleteMany({ user: userId }),
+      PhotoVerification.deleteMany({ user: userId }),
+      DiscoveryDeck.deleteOne({ user: userId }),
+      Boost.deleteMany({ user: userId }),
+      DiscoveryImpression.deleteMany({
+        $or: [{ user: userId }, { profile: userId }],
+      }),
+      // The tombstone keeps the summary of reports against the user; reports
+      // they filed stay in the queue without the reporter
+      Report.deleteMany({ reportedUser: userId }),
+      Report.updateMany({ reporter: userId }, { reporter: null }),
+    ]);
+
+    // Other users' block lists only need the id to stay meaningful, so they
+    // are left alone
+    await User.deleteOne({ _id: userId });
+
+    const summary = {
+      swipes: swipes.deletedCount,
+      messages: messages.deletedCount,
+      matches: matches.deletedCount,
+      notifications: notifications.deletedCount,
+      photos: publicIds.length,
+    };
+
+    console.log(`🗑️ Purged account ${userId}:`, summary);
+    return summary;
+  }
+
+  /**
+   * Purge every account whose grace period has ended (run from cron)
+   */
+  static async purgeDueAccounts(limit = 50) {
+    const users = await User.findDueForPurge(limit);
+    let purged = 0;
+
+    for (const user of users) {
+      try {
+        if (await this.purgeUser(user)) {
+          purged += 1;
+        }
+      } catch (error) {
+        console.error(`❌ Error purging account ${user._id}:`, error.message);
+      }
+    }
+
+    return { due: users.length, purged };
+  }
+}
+
+module.exports = AccountDeletionService;
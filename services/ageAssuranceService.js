@@ -0,0 +1,222 @@
+// services/ageAssuranceService.js - ID review of accounts suspected to be minors
+//
+// An underage report, a chat message where the user says they are under 18,
+// or an attempt to change their date of birth to one under 18 flags the
+// account. While the review is pending the account is hidden from discovery
+// and nobody can message it or be messaged by it. The user uploads an ID
+// document, and a moderator either clears the account or bans it.
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { AppError } = require("../middleware/errorHandler");
+const ModerationService = require("./moderationService");
+const AccountDeletionService = require("./accountDeletionService");
+const pushNotificationService = require("./pushNotificationService");
+const { detectAgeDisclosure } = require("../utils/ageDisclosure");
+
+class AgeAssuranceService {
+  /**
+   * Put an account under age review. Returns the updated user, or null if it
+   * was already pending or decided. Accounts a moderator has cleared are only
+   * flagged again by the user's own date of birth change.
+   */
+  static async flag(userId, { trigger, report, message, excerpt, req } = {}) {
+    const excluded =
+      trigger === "date_of_birth_change"
+        ? ["pending", "underage"]
+        : ["pending", "underage", "cleared"];
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, "ageReview.status": { $nin: excluded } },
+      {
+        $set: {
+          "ageReview.status": "pending",
+          "ageReview.trigger": trigger,
+          "ageReview.report": report?._id,
+          "ageReview.message": message?._id,
+          "ageReview.flaggedAt": new Date(),
+        },
+        $unset: {
+          "ageReview.reviewedAt": 1,
+          "ageReview.reviewedBy": 1,
+        },
+      },
+      { new: true }
+    );
+    if (!user) return null;
+
+    await ModerationService.audit("age_review_flagged", {
+      target: user,
+      reason: excerpt ? `Matched "${excerpt}"` : "",
+      metadata: {
+        trigger,
+        reportId: report?._id,
+        messageId: message?._id,
+      },
+      req,
+    });
+
+    console.log(`🔞 User ${user._id} flagged for age review (${trigger})`);
+
+    this.notifyFlagged(user).catch((error) =>
+      console.error("Age review notification error:", error.message)
+    );
+
+    return user;
+  }
+
+  /**
+   * Call after a report is filed
+   */
+  static async onReportFiled(report) {
+    if (report.reason !== "underage") return null;
+
+    return this.flag(report.reportedUser, { trigger: "report", report });
+  }
+
+  /**
+   * Call after a message is sent. Flags the sender if they said they are
+   * under 18.
+   */
+  static async checkMessage(message) {
+    const excerpt = detectAgeDisclosure(message.content);
+    if (!excerpt) return null;
+
+    return this.flag(message.sender._id || message.sender, {
+      trigger: "chat_disclosure",
+      message,
+      excerpt,
+    });
+  }
+
+  /**
+   * Whether either side of a conversation is waiting on an age check
+   */
+  static isMessagingBlocked(userIds) {
+    return User.hasPendingAgeReview(userIds);
+  }
+
+  static assertPending(user) {
+    if (user.ageReview?.status !== "pending") {
+      throw new AppError(
+        "This account is not awaiting an age review",
+        409,
+        "AGE_REVIEW_NOT_PENDING"
+      );
+    }
+  }
+
+  /**
+   * Store the ID document the user uploaded, replacing any earlier one
+   */
+  static async submitIdDocument(user, idDocument) {
+    this.assertPending(user);
+
+    const previous = user.ageReview.idDocument?.public_id;
+
+    user.ageReview.idDocument = { ...idDocument, submittedAt: new Date() };
+    await user.save();
+
+    if (previous) {
+      await AccountDeletionService.destroyAssets([previous]);
+    }
+
+    console.log(`🪪 ID document submitted by ${user._id} for age review`);
+    return user;
+  }
+
+  /**
+   * Record the moderator's decision and destroy the ID document, which is
+   * only kept for as long as the review needs it
+   */
+  static async decide(user, staff, status) {
+    this.assertPending(user);
+
+    const documentId = user.ageReview.idDocument?.public_id;
+
+    user.ageReview.status = status;
+    user.ageReview.idDocument = undefined;
+    user.ageReview.reviewedAt = new Date();
+    user.ageReview.reviewedBy = staff._id;
+    await user.save();
+
+    if (documentId) {
+      const failed = await AccountDeletionService.destroyAssets([documentId]);
+      if (failed.length > 0) {
+        console.error(`❌ ID document of ${user._id} could not be destroyed`);
+      }
+    }
+  }
+
+  /**
+   * The user is 18 or over: lift the discovery and messaging restrictions
+   */
+  static async clear(user, staff, { note, req }) {
+    await this.decide(user, staff, "cleared");
+
+    await ModerationService.audit("age_review_cleared", {
+      actor: staff,
+      target: user,
+      reason: note,
+      req,
+    });
+
+    this.notifyCleared(user).catch((error) =>
+      console.error("Age review notification error:", error.message)
+    );
+
+    return user;
+  }
+
+  /**
+   * The user is under 18: ban the account
+   */
+  static async confirmUnderage(user, staff, { note, req }) {
+    await this.decide(user, staff, "underage");
+
+    await ModerationService.audit("age_review_underage", {
+      actor: staff,
+      target: user,
+      reason: note,
+      req,
+    });
+
+    await ModerationService.ban(user, staff, {
+      reason: "Users must be 18 or older",
+      req,
+    });
+
+    return user;
+  }
+
+  static async notifyFlagged(user) {
+    const title = "Please confirm your age";
+    const message =
+      "To keep Habibi 18+, we need to check your age. Upload a photo of your ID to get your account back to normal. Until then your profile is hidden and messaging is paused.";
+    const data = { type: "age_review", status: "pending" };
+
+    await Notification.createSystemNotification(user._id, title, message, data);
+    await pushNotificationService.sendGenericNotification(
+      user._id,
+      title,
+      message,
+      data
+    );
+  }
+
+  static async notifyCleared(user) {
+    const title = "Thanks for confirming your age";
+    const message =
+      "Your profile is visible again and you can message your matches.";
+    const data = { type: "age_review", status: "cleared" };
+
+    await Notification.createSystemNotification(user._id, title, message, data);
+    await pushNotificationService.sendGenericNotification(
+      user._id,
+      title,
+      message,
+      data
+    );
+  }
+}
+
+module.exports = AgeAssuranceService;
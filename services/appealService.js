@@ -0,0 +1,239 @@
+// services/appealService.js - Appeals against suspensions and bans
+const User = require("../models/User");
+const Appeal = require("../models/Appeal");
+const AuditLog = require("../models/AuditLog");
+const EnforcementDecision = require("../models/EnforcementDecision");
+const Notification = require("../models/Notification");
+const { AppError } = require("../middleware/errorHandler");
+const ModerationService = require("./moderationService");
+const EnforcementService = require("./enforcementService");
+const mailService = require("./mailService");
+
+class AppealService {
+  /**
+   * Find the enforcement behind a user's current restriction: the audit entry
+   * of the suspension or ban, and the policy decision if it was automatic
+   */
+  static async findEnforcement(user) {
+    const banned = user.moderation.status === "banned";
+
+    const enforcement = await AuditLog.findOne({
+      target: user._id,
+      action: banned ? "user_banned" : "user_suspended",
+    }).sort({ createdAt: -1 });
+
+    if (!enforcement) {
+      return { enforcement: null, decision: null };
+    }
+
+    // The policy logs its decision straight after the restriction is applied
+    const decision = enforcement.actor
+      ? null
+      : await EnforcementDecision.findOne({
+          user: user._id,
+          decision: banned ? "ban" : "suspend",
+          createdAt: { $gte: enforcement.createdAt },
+        }).sort({ createdAt: 1 });
+
+    return { enforcement, decision };
+  }
+
+  /**
+   * File an appeal against the user's current restriction
+   */
+  static async fileAppeal(user, { statement }) {
+    if (!user.isRestricted) {
+      throw new AppError(
+        "This account has no restriction to appeal",
+        409,
+        "NOT_RESTRICTED"
+      );
+    }
+
+    const { enforcement, decision } = await this.findEnforcement(user);
+    if (!enforcement) {
+      throw new AppError(
+        "We couldn't find the decision behind this restriction. Please contact support.",
+        404,
+        "ENFORCEMENT_NOT_FOUND"
+      );
+    }
+
+    const alreadyOpen = () =>
+      new AppError(
+        "You already have an open appeal for this decision",
+        409,
+        "APPEAL_ALREADY_OPEN"
+      );
+
+    if (await Appeal.hasOpenAppeal(enforcement._id)) {
+      throw alreadyOpen();
+    }
+
+    let appeal;
+    try {
+      appeal = await Appeal.create({
+        user: user._id,
+        enforcement: enforcement._id,
+        decision: decision?._id,
+        restriction: {
+          status: user.moderation.status,
+          reason: user.moderation.reason,
+          suspendedUntil: user.moderation.suspendedUntil,
+          actionedBy: user.moderation.actionedBy,
+        },
+        statement,
+      });
+    } catch (error) {
+      // Lost a race with a second submission
+      if (error.code === 11000) throw alreadyOpen();
+      throw error;
+    }
+
+    console.log(
+      `📨 Appeal ${appeal._id}: ${user._id} contests ${enforcement.action}`
+    );
+
+    return appeal;
+  }
+
+  /**
+   * Whether a staff member may work an appeal. Nobody reviews a restriction
+   * they imposed themselves, except admins.
+   */
+  static canHandle(appeal, staff) {
+    if (staff.role === "admin") return true;
+    if (appeal.restriction?.actionedBy?.equals(staff._id)) return false;
+
+    return !appeal.assignee || appeal.assignee.equals(staff._id);
+  }
+
+  static assertWorkable(appeal, staff) {
+    if (!appeal.isOpen) {
+      throw new AppError("Appeal is already closed", 409, "APPEAL_CLOSED");
+    }
+
+    if (!this.canHandle(appeal, staff)) {
+      throw new AppError(
+        appeal.restriction?.actionedBy?.equals(staff._id)
+          ? "You can't review an appeal against your own decision"
+          : "Appeal is assigned to someone else",
+        403,
+        "APPEAL_NOT_ASSIGNED"
+      );
+    }
+  }
+
+  /**
+   * Assign an appeal to a staff member
+   */
+  static async claim(appeal, staff) {
+    this.assertWorkable(appeal, staff);
+
+    const claimed = await Appeal.findOneAndUpdate(
+      {
+        _id: appeal._id,
+        status: appeal.status,
+        assignee: appeal.assignee,
+      },
+      { status: "in_review", assignee: staff._id, claimedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new AppError(
+        "Appeal was just claimed by someone else",
+        409,
+        "APPEAL_ALREADY_CLAIMED"
+      );
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Uphold or overturn the restriction. Overturning lifts it and voids the
+   * strikes behind an automatic decision.
+   */
+  static async resolve(appeal, staff, { outcome, note, req }) {
+    this.assertWorkable(appeal, staff);
+
+    // Only close it if nobody else did in the meantime, so the unban and
+    // strike voiding run once per appeal
+    const resolved = await Appeal.findOneAndUpdate(
+      { _id: appeal._id, status: { $in: ["open", "in_review"] } },
+      {
+        status: outcome,
+        assignee: appeal.assignee || staff._id,
+        resolution: {
+          note,
+          resolvedBy: staff._id,
+          resolvedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (!resolved) {
+      throw new AppError("Appeal is already closed", 409, "APPEAL_CLOSED");
+    }
+
+    const user = await User.findById(resolved.user);
+
+    await ModerationService.audit("appeal_resolved", {
+      actor: staff,
+      target: resolved.user,
+      reason: note,
+      metadata: {
+        appealId: resolved._id,
+        enforcementId: resolved.enforcement,
+        outcome,
+      },
+      req,
+    });
+
+    if (outcome === "overturned" && user?.isRestricted) {
+      await ModerationService.unban(user, staff, {
+        reason: `Appeal overturned: ${note}`,
+        req,
+      });
+    }
+
+    // Strikes behind an overturned automatic decision no longer count
+    if (outcome === "overturned" && resolved.decision) {
+      const decision = await EnforcementDecision.findById(resolved.decision);
+      if (decision) {
+        await EnforcementService.onDecisionOverturned(decision, resolved);
+      }
+    }
+
+    if (user) {
+      this.notifyUser(resolved, user).catch((error) =>
+        console.error("Appeal outcome notification error:", error.message)
+      );
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Tell the user how their appeal went. Restricted accounts can't sign in,
+   * so email is the main channel.
+   */
+  static async notifyUser(appeal, user) {
+    const overturned = appeal.status === "overturned";
+    const title = overturned ? "Your appeal was accepted" : "Appeal decision";
+    const message = overturned
+      ? "We reviewed your appeal and lifted the restriction on your account."
+      : "We reviewed your appeal and the restriction on your account stays in place.";
+
+    await mailService.sendAppealOutcomeEmail(user, overturned);
+    await Notification.createSystemNotification(user._id, title, message, {
+      type: "appeal_resolved",
+      appealId: appeal._id,
+      outcome: appeal.status,
+    });
+
+    await Appeal.updateOne({ _id: appeal._id }, { userNotifiedAt: new Date() });
+  }
+}
+
+module.exports = AppealService;
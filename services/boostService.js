@@ -0,0 +1,271 @@
+// services/boostService.js - Profile boosts, their allowances and reports
+const Boost = require("../models/Boost");
+const Swipe = require("../models/Swipe");
+const DiscoveryImpression = require("../models/DiscoveryImpression");
+const Notification = require("../models/Notification");
+const { AppError } = require("../middleware/errorHandler");
+const policy = require("../config/boostPolicy");
+const pushNotificationService = require("./pushNotificationService");
+
+class BoostService {
+  /**
+   * The tier's allowance, or null if it gets no boosts
+   */
+  static allowanceFor(user) {
+    return policy.allowances[user.subscription?.type || "free"] || null;
+  }
+
+  /**
+   * When the current allowance period started and when it resets
+   */
+  static periodBounds(period, now = new Date()) {
+    const start = new Date(now);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
+
+    if (period === "month") {
+      start.setDate(1);
+      end.setTime(start.getTime());
+      end.setMonth(end.getMonth() + 1);
+    } else {
+      end.setDate(end.getDate() + 1);
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * How much of the allowance the user has left this period
+   */
+  static async getAllowance(user) {
+    const allowance = this.allowanceFor(user);
+    if (!allowance) return null;
+
+    const { start, end } = this.periodBounds(allowance.period);
+    const used = await Boost.countDocuments({
+      user: user._id,
+      startsAt: { $gte: start },
+    });
+
+    return {
+      limit: allowance.limit,
+      period: allowance.period,
+      used,
+      remaining: Math.max(0, allowance.limit - used),
+      resetsAt: end,
+    };
+  }
+
+  /**
+   * Start a boost now
+   */
+  static async activate(user) {
+    if (
+      !user.subscription?.features?.includes("boosts") ||
+      !this.allowanceFor(user)
+    ) {
+      throw new AppError(
+        "Boost feature requires premium subscription",
+        403,
+        "BOOST_NOT_AVAILABLE"
+      );
+    }
+
+    if (await Boost.findActive(user._id)) {
+      throw new AppError(
+        "Your profile is already boosted",
+        409,
+        "BOOST_ALREADY_ACTIVE"
+      );
+    }
+
+    const allowance = await this.getAllowance(user);
+    const limitReached = () =>
+      new AppError(
+        `You've used all ${allowance.limit} boosts for this ${allowance.period}`,
+        429,
+        "BOOST_LIMIT_REACHED"
+      );
+    if (allowance.remaining === 0) {
+      throw limitReached();
+    }
+
+    const startsAt = new Date();
+    const boost = await Boost.create({
+      user: user._id,
+      tier: user.subscription.type,
+      startsAt,
+      endsAt: new Date(startsAt.getTime() + policy.durationMinutes * 60 * 1000),
+    });
+
+    // Two requests at once could both have passed the checks above; the
+    // later boost gives way
+    const { start } = this.periodBounds(allowance.period, startsAt);
+    const [earlier, overlapping] = await Promise.all([
+      Boost.countDocuments({
+        user: user._id,
+        startsAt: { $gte: start },
+        _id: { $lt: boost._id },
+      }),
+      Boost.exists({
+        user: user._id,
+        _id: { $lt: boost._id },
+        endsAt: { $gt: startsAt },
+      }),
+    ]);
+    if (earlier >= allowance.limit || overlapping) {
+      await boost.deleteOne();
+      throw overlapping
+        ? new AppError(
+            "Your profile is already boosted",
+            409,
+            "BOOST_ALREADY_ACTIVE"
+          )
+        : limitReached();
+    }
+
+    console.log(
+      `🚀 Boost ${boost._id} for ${
+        user._id
+      } until ${boost.endsAt.toISOString()}`
+    );
+
+    return boost;
+  }
+
+  /**
+   * The running boost, the allowance and the most recent report
+   */
+  static async getStatus(user) {
+    const [active, allowance, lastReported] = await Promise.all([
+      Boost.findActive(user._id),
+      this.getAllowance(user),
+      Boost.findOne({
+        user: user._id,
+        "report.generatedAt": { $ne: null },
+      }).sort({ endsAt: -1 }),
+    ]);
+
+    return {
+      active: active && {
+        _id: active._id,
+        startsAt: active.startsAt,
+        endsAt: active.endsAt,
+        remainingSeconds: Math.max(
+          0,
+          Math.round((active.endsAt - Date.now()) / 1000)
+        ),
+      },
+      allowance,
+      lastReport: lastReported && {
+        boostId: lastReported._id,
+        startsAt: lastReported.startsAt,
+        endsAt: lastReported.endsAt,
+        ...lastReported.toObject().report,
+      },
+    };
+  }
+
+  /**
+   * Count the views (discovery impressions) and likes the user received in
+   * a window
+   */
+  static async countActivity(userId, from, to) {
+    const [views, likes] = await Promise.all([
+      DiscoveryImpression.countDocuments({
+        profile: userId,
+        servedAt: { $gte: from, $lt: to },
+      }),
+      Swipe.countDocuments({
+        swiped: userId,
+        action: { $in: ["like", "superlike"] },
+        swipedAt: { $gte: from, $lt: to },
+      }),
+    ]);
+
+    return { views, likes };
+  }
+
+  /**
+   * Compare the boost window with the same length of time before it
+   */
+  static async buildReport(boost) {
+    if (boost.endsAt > new Date()) {
+      throw new AppError(
+        "The boost is still running",
+        409,
+        "BOOST_NOT_FINISHED"
+      );
+    }
+
+    const duration = boost.endsAt - boost.startsAt;
+    const [during, before] = await Promise.all([
+      this.countActivity(boost.user, boost.startsAt, boost.endsAt),
+      this.countActivity(
+        boost.user,
+        new Date(boost.startsAt.getTime() - duration),
+        boost.startsAt
+      ),
+    ]);
+
+    boost.report = {
+      views: during.views,
+      likes: during.likes,
+      baselineViews: before.views,
+      baselineLikes: before.likes,
+      extraViews: Math.max(0, during.views - before.views),
+      extraLikes: Math.max(0, during.likes - before.likes),
+      generatedAt: new Date(),
+    };
+    await boost.save();
+
+    this.notifyReport(boost).catch((error) =>
+      console.error("Boost report notification error:", error.message)
+    );
+
+    return boost;
+  }
+
+  /**
+   * Report on every boost that has ended (run from cron)
+   */
+  static async reportFinishedBoosts() {
+    const boosts = await Boost.findDueForReport();
+    let reported = 0;
+
+    for (const boost of boosts) {
+      try {
+        await this.buildReport(boost);
+        reported += 1;
+      } catch (error) {
+        console.error(`❌ Error reporting boost ${boost._id}:`, error.message);
+      }
+    }
+
+    return reported;
+  }
+
+  static async notifyReport(boost) {
+    const { views, likes } = boost.report;
+    const title = "Your boost has ended 🚀";
+    const message = `Your profile was seen ${views} time${
+      views === 1 ? "" : "s"
+    } and got ${likes} like${likes === 1 ? "" : "s"} while boosted.`;
+    const data = { type: "boost_report", boostId: boost._id.toString() };
+
+    await Notification.createSystemNotification(
+      boost.user,
+      title,
+      message,
+      data
+    );
+    await pushNotificationService.sendGenericNotification(
+      boost.user,
+      title,
+      message,
+      data
+    );
+  }
+}
+
+module.exports = BoostService;
@@ -0,0 +1,150 @@
+// services/captchaService.js - CAPTCHA verification with pluggable providers
+const axios = require("axios");
+
+// Providers share one interface: async verify({ token, remoteIp })
+// resolving to { success, errorCodes, score? }
+const createSiteverifyProvider = (name, url) => () => {
+  const secret = process.env.CAPTCHA_SECRET;
+
+  return {
+    name,
+    verify: async ({ token, remoteIp }) => {
+      const response = await axios.post(
+        url,
+        new URLSearchParams({
+          secret,
+          response: token,
+          ...(remoteIp && { remoteip: remoteIp }),
+        }).toString(),
+        {
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          timeout: 10000,
+        }
+      );
+
+      return {
+        success: response.data.success === true,
+        errorCodes: response.data["error-codes"] || [],
+        score: response.data.score,
+      };
+    },
+  };
+};
+
+// Deterministic stub for local development and tests: only the configured
+// token passes. Used only when CAPTCHA_PROVIDER=stub, and never in production.
+const createStubProvider = () => {
+  const passToken = process.env.CAPTCHA_STUB_PASS_TOKEN || "captcha-pass";
+
+  return {
+    name: "stub",
+    verify: async ({ token }) => ({
+      success: token === passToken,
+      errorCodes: token === passToken ? [] : ["invalid-input-response"],
+    }),
+  };
+};
+
+// Stands in when no usable provider is configured. Every token is rejected,
+// so a misconfigured deploy blocks these routes rather than letting bots in.
+const createUnavailableProvider = () => ({
+  name: "unavailable",
+  verify: async () => ({
+    success: false,
+    errorCodes: ["captcha-not-configured"],
+  }),
+});
+
+const providers = {
+  hcaptcha: createSiteverifyProvider(
+    "hcaptcha",
+    "https://api.hcaptcha.com/siteverify"
+  ),
+  turnstile: createSiteverifyProvider(
+    "turnstile",
+    "https://challenges.cloudflare.com/turnstile/v0/siteverify"
+  ),
+  recaptcha: createSiteverifyProvider(
+    "recaptcha",
+    "https://www.google.com/recaptcha/api/siteverify"
+  ),
+  stub: createStubProvider,
+};
+
+class CaptchaService {
+  constructor() {
+    this.provider = null;
+    // reCAPTCHA v3 returns a score; anything below this is treated as a bot
+    this.minScore = parseFloat(process.env.CAPTCHA_MIN_SCORE) || 0.5;
+  }
+
+  getProvider() {
+    if (this.provider) {
+      return this.provider;
+    }
+
+    const type = process.env.CAPTCHA_PROVIDER;
+    let problem = null;
+
+    if (!type) {
+      problem = "CAPTCHA_PROVIDER not set";
+    } else if (!providers[type]) {
+      problem = `Unknown CAPTCHA_PROVIDER "${type}"`;
+    } else if (type === "stub" && process.env.NODE_ENV === "production") {
+      problem = "The CAPTCHA stub can't be used in production";
+    } else if (type !== "stub" && !process.env.CAPTCHA_SECRET) {
+      problem = "CAPTCHA_SECRET not set";
+    }
+
+    if (problem) {
+      console.error(`❌ ${problem}. Every CAPTCHA will be rejected.`);
+      this.provider = createUnavailableProvider();
+      return this.provider;
+    }
+
+    this.provider = providers[type]();
+    return this.provider;
+  }
+
+  // Swap the provider (used by scripts and local tooling)
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  // What clients need to render the challenge
+  getClientConfig() {
+    return {
+      provider: this.getProvider().name,
+      siteKey: process.env.CAPTCHA_SITE_KEY || null,
+    };
+  }
+
+  /**
+   * Verify a CAPTCHA response token with the configured provider
+   */
+  async verify(token, remoteIp) {
+    if (!token) {
+      return { success: false, errorCodes: ["missing-input-response"] };
+    }
+
+    try {
+      const provider = this.getProvider();
+      const result = await provider.verify({ token, remoteIp });
+
+      if (
+        result.success &&
+        typeof result.score === "number" &&
+        result.score < this.minScore
+      ) {
+        return { ...result, success: false, errorCodes: ["score-too-low"] };
+      }
+
+      return { ...result, provider: provider.name };
+    } catch (error) {
+      console.error("CAPTCHA verify error:", error.message);
+      return { success: false, errorCodes: ["verification-unavailable"] };
+    }
+  }
+}
+
+module.exports = new CaptchaService();
@@ -0,0 +1,291 @@
+// services/dataExportService.js - "Download my data" archives
+//
+// Exports are queued in the DataExport collection and built in-process; a
+// cron sweep picks up anything left queued by a restart. The archive is a
+// gzipped JSON document written to EXPORTS_DIR.
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { promisify } = require("util");
+const DataExport = require("../models/DataExport");
+const User = require("../models/User");
+const Swipe = require("../models/Swipe");
+const Match = require("../models/Match");
+const Message = require("../models/Message");
+const Notification = require("../models/Notification");
+const SecurityEvent = require("../models/SecurityEvent");
+const Report = require("../models/Report");
+const Appeal = require("../models/Appeal");
+const Boost = require("../models/Boost");
+const mailService = require("./mailService");
+
+const gzip = promisify(zlib.gzip);
+
+const EXPORTS_DIR =
+  process.env.EXPORTS_DIR || path.join(process.cwd(), "exports");
+const LINK_TTL_HOURS = parseInt(process.env.DATA_EXPORT_LINK_HOURS) || 48;
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+
+// Other users only ever appear as an id and first name
+const redactOtherUser = (id, usersById) => {
+  const other = usersById.get(id.toString());
+  return {
+    _id: id,
+    firstName: other ? other.firstName : "Deleted user",
+  };
+};
+
+class DataExportService {
+  static get linkTtlHours() {
+    return LINK_TTL_HOURS;
+  }
+
+  /**
+   * Queue an export for a user and start building it
+   */
+  static async requestExport(userId) {
+    const dataExport = await DataExport.create({ user: userId });
+
+    setImmediate(() => {
+      this.processExport(dataExport._id).catch((error) =>
+        console.error("Data export error:", error)
+      );
+    });
+
+    return dataExport;
+  }
+
+  /**
+   * Collect everything we hold about a user
+   */
+  static async buildArchive(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    const [
+      swipes,
+      matches,
+      messages,
+      notifications,
+      securityEvents,
+      reports,
+      appeals,
+      boosts,
+    ] = await Promise.all([
+      Swipe.find({ swiper: userId }).sort({ swipedAt: -1 }).lean(),
+      Match.find({ users: userId }).sort({ matchedAt: -1 }).lean(),
+      // Messages withheld from a shadowbanned sender were never delivered
+      Message.find({
+        $or: [
+          { sender: userId },
+          { receiver: userId, withheld: { $ne: true } },
+        ],
+      })
+        .sort({ createdAt: 1 })
+        .lean(),
+      Notification.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+      SecurityEvent.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+      Report.find({ reporter: userId }).sort({ createdAt: -1 }).lean(),
+      Appeal.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+      Boost.find({ user: userId }).sort({ startsAt: -1 }).lean(),
+    ]);
+
+    const blockedUsers = user.safety?.blockedUsers || [];
+
+    // Look up every other user referenced, once, with only the public field
+    const otherIds = new Set([
+      ...swipes.map((swipe) => swipe.swiped.toString()),
+      ...matches.flatMap((match) => match.users.map((id) => id.toString())),
+      ...blockedUsers.map((id) => id.toString()),
+      ...reports.map((report) => report.reportedUser.toString()),
+    ]);
+    otherIds.delete(userId.toString());
+
+    const others = await User.find({ _id: { $in: [...otherIds] } })
+      .select("firstName")
+      .lean();
+    const usersById = new Map(
+      others.map((other) => [other._id.toString(), other])
+    );
+
+    const profile = user.toSafeObject();
+    delete profile.safety;
+    delete profile.notificationSettings?.pushSubscription;
+    profile.deviceTokens = (profile.deviceTokens || []).map((device) => ({
+      platform: device.platform,
+      deviceInfo: device.deviceInfo,
+      registeredAt: device.registeredAt,
+      lastUsed: device.lastUsed,
+    }));
+
+    return {
+      exportedAt: new Date(),
+      profile,
+      photos: (user.photos || []).map((photo) => ({
+        url: photo.url,
+        isPrimary: photo.isPrimary,
+        uploadedAt: photo.uploadedAt,
+      })),
+      swipes: swipes.map((swipe) => ({
+        user: redactOtherUser(swipe.swiped, usersById),
+        action: swipe.action,
+        swipedAt: swipe.swipedAt,
+      })),
+      matches: matches.map((match) => {
+        const otherId = match.users.find(
+          (id) => id.toString() !== userId.toString()
+        );
+        return {
+          _id: match._id,
+          with: otherId ? redactOtherUser(otherId, usersById) : null,
+          status: match.status,
+          matchedAt: match.matchedAt,
+          matchType: match.matchType,
+        };
+      }),
+      messages: messages.map((message) => {
+        const sent = message.sender.toString() === userId.toString();
+        return {
+          _id: message._id,
+          match: message.match,
+          direction: sent ? "sent" : "received",
+          content: message.content,
+          messageType: message.messageType,
+          createdAt: message.createdAt,
+          readAt: message.readAt,
+          isDeleted: message.isDeleted,
+        };
+      }),
+      notifications: notifications.map((notification) => ({
+        type: notification.type,
+        title: notification.title,
+        message: notification.message,
+        isRead: notification.isRead,
+        createdAt: notification.createdAt,
+      })),
+      blocks: blockedUsers.map((id) => redactOtherUser(id, usersById)),
+      reportsFiled: reports.map((report) => ({
+        user: redactOtherUser(report.reportedUser, usersById),
+        reason: report.reason,
+        details: report.details,
+        status: report.status,
+        reportedAt: report.createdAt,
+      })),
+      appeals: appeals.map((appeal) => ({
+        restriction: appeal.restriction?.status,
+        statement: appeal.statement,
+        status: appeal.status,
+        filedAt: appeal.createdAt,
+        resolvedAt: appeal.resolution?.resolvedAt,
+      })),
+      boosts: boosts.map((boost) => ({
+        startsAt: boost.startsAt,
+        endsAt: boost.endsAt,
+        views: boost.report?.views,
+        likes: boost.report?.likes,
+      })),
+      securityEvents: securityEvents.map((event) => ({
+        type: event.type,
+        createdAt: event.createdAt,
+        ip: event.ip,
+        device: event.device && {
+          browser: event.device.browser,
+          os: event.device.os,
+          platform: event.device.platform,
+        },
+      })),
+    };
+  }
+
+  /**
+   * Build the archive for a queued export and email the download link
+   */
+  static async processExport(exportId) {
+    // Claim the job so two workers can't build the same export
+    const dataExport = await DataExport.findOneAndUpdate(
+      { _id: exportId, status: "queued" },
+      { status: "processing", startedAt: new Date() },
+      { new: true }
+    );
+    if (!dataExport) {
+      return null;
+    }
+
+    try {
+      const archive = await this.buildArchive(dataExport.user);
+      const compressed = await gzip(JSON.stringify(archive, null, 2));
+
+      await fs.promises.mkdir(EXPORTS_DIR, { recursive: true });
+      const filePath = path.join(EXPORTS_DIR, `${dataExport._id}.json.gz`);
+      await fs.promises.writeFile(filePath, compressed);
+
+      const token = dataExport.createDownloadToken(
+        LINK_TTL_HOURS * 60 * 60 * 1000
+      );
+      dataExport.status = "ready";
+      dataExport.completedAt = new Date();
+      dataExport.filePath = filePath;
+      dataExport.fileSize = compressed.length;
+      await dataExport.save();
+
+      const user = await User.findById(dataExport.user).select(
+        "email firstName"
+      );
+      await mailService.sendDataExportReadyEmail(user, token, LINK_TTL_HOURS);
+      await Notification.createSystemNotification(
+        dataExport.user,
+        "Your data export is ready",
+        `We've emailed you a download link. It expires in ${LINK_TTL_HOURS} hours.`,
+        { type: "data_export_ready", exportId: dataExport._id }
+      );
+
+      console.log(`📦 Data export ${dataExport._id} ready`);
+      return dataExport;
+    } catch (error) {
+      dataExport.status = "failed";
+      dataExport.error = error.message;
+      await dataExport.save();
+      throw error;
+    }
+  }
+
+  /**
+   * Pick up exports left queued (or stuck) by a restart, and expire old links
+   */
+  static async runMaintenance() {
+    await DataExport.updateMany(
+      {
+        status: "processing",
+        startedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) },
+      },
+      { status: "queued" }
+    );
+
+    const queued = await DataExport.find({ status: "queued" })
+      .select("_id")
+      .limit(10);
+    for (const { _id } of queued) {
+      await this.processExport(_id).catch((error) =>
+        console.error(`Data export ${_id} error:`, error.message)
+      );
+    }
+
+    const expired = await DataExport.find({
+      status: "ready",
+      expiresAt: { $lte: new Date() },
+    }).select("+filePath");
+    for (const dataExport of expired) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+      dataExport.status = "expired";
+      dataExport.filePath = undefined;
+      dataExport.downloadToken = undefined;
+      await dataExport.save();
+    }
+
+    return { processed: queued.length, expired: expired.length };
+  }
+}
+
+module.exports = DataExportService;
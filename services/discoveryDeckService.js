@@ -0,0 +1,297 @@
+// services/discoveryDeckService.js - Precomputed, cursor-paginated discovery
+//
+// Each user has a ranked deck built from User.findNearbyUsers. Requests page
+// through it with an opaque cursor; every profile served is recorded as a
+// DiscoveryImpression, and both deck builds and serving skip recorded ones,
+// so a profile is not shown to the same user twice. Swiped profiles stay out
+// for good; impressions of unswiped ones expire after a while, and rewinding
+// a swipe releases its impression, so those can come round again. Decks are
+// refreshed in the background when they run low or get old, and rebuilt on
+// the next request after a preference or location change. Nearby profiles
+// with a running boost are served ahead of the deck.
+const User = require("../models/User");
+const DiscoveryDeck = require("../models/DiscoveryDeck");
+const DiscoveryImpression = require("../models/DiscoveryImpression");
+const { AppError } = require("../middleware/errorHandler");
+const boostPolicy = require("../config/boostPolicy");
+
+const DECK_SIZE = parseInt(process.env.DISCOVERY_DECK_SIZE) || 200;
+const DECK_MAX_AGE_MINUTES =
+  parseInt(process.env.DISCOVERY_DECK_MAX_AGE_MINUTES) || 60;
+// Refresh in the background once fewer entries than this are left
+const LOW_WATER_MARK = 30;
+
+const RECENTLY_ACTIVE_MS = 15 * 60 * 1000;
+
+// Users whose deck is being rebuilt by this process
+const refreshing = new Set();
+
+const isRecentlyActive = (lastActive) =>
+  !!lastActive && Date.now() - new Date(lastActive) < RECENTLY_ACTIVE_MS;
+
+class DiscoveryDeckService {
+  static encodeCursor(deck, position) {
+    return Buffer.from(
+      JSON.stringify({ g: deck.generation, p: position })
+    ).toString("base64url");
+  }
+
+  static decodeCursor(cursor) {
+    try {
+      const { g, p } = JSON.parse(
+        Buffer.from(cursor, "base64url").toString("utf8")
+      );
+      if (Number.isInteger(g) && Number.isInteger(p) && p >= 0) {
+        return { generation: g, position: p };
+      }
+    } catch (error) {
+      // Fall through to the error below
+    }
+
+    throw new AppError("Invalid discovery cursor", 400, "INVALID_CURSOR");
+  }
+
+  /**
+   * How well a candidate suits the user, 0-100
+   */
+  static compatibilityScore(user, candidate) {
+    let score = 50; // Base score
+
+    // Age compatibility (closer ages = higher score)
+    const ageDiff = Math.abs(
+      User.schema.methods.getAge(user.dateOfBirth) -
+        User.schema.methods.getAge(candidate.dateOfBirth)
+    );
+    if (ageDiff <= 3) score += 20;
+    else if (ageDiff <= 5) score += 15;
+    else if (ageDiff <= 10) score += 10;
+
+    // Bio similarity (if both have bios)
+    if (
+      user.bio &&
+      candidate.bio &&
+      user.bio.length > 20 &&
+      candidate.bio.length > 20
+    ) {
+      score += 15;
+    }
+
+    // Photo count (more photos = more serious)
+    if (candidate.photos && candidate.photos.length >= 3) {
+      score += 10;
+    }
+
+    // Verification status
+    if (candidate.verification?.isVerified) {
+      score += 15;
+    }
+
+    // Recent activity
+    if (isRecentlyActive(candidate.lastActive)) {
+      score += 10;
+    }
+
+    return Math.min(100, score);
+  }
+
+  /**
+   * Rank candidates: verified first, then recently active, then by
+   * compatibility
+   */
+  static rank(user, candidates) {
+    return candidates
+      .map((candidate) => ({
+        candidate,
+        verified: !!candidate.verification?.isVerified,
+        active: isRecentlyActive(candidate.lastActive),
+        compatibilityScore: this.compatibilityScore(user, candidate),
+      }))
+      .sort((a, b) => {
+        if (a.verified !== b.verified) return a.verified ? -1 : 1;
+        if (a.active !== b.active) return a.active ? -1 : 1;
+        return b.compatibilityScore - a.compatibilityScore;
+      })
+      .map(({ candidate, compatibilityScore }) => ({
+        profile: candidate._id,
+        distance: candidate.distance,
+        compatibilityScore,
+      }));
+  }
+
+  /**
+   * Build (or rebuild) the user's deck
+   */
+  static async build(user) {
+    const candidates = await User.findNearbyUsers(
+      user,
+      user.preferences?.maxDistance,
+      DECK_SIZE
+    );
+
+    return DiscoveryDeck.findOneAndUpdate(
+      { user: user._id },
+      {
+        $set: {
+          entries: this.rank(user, candidates),
+          truncated: candidates.length === DECK_SIZE,
+          builtAt: new Date(),
+          stale: false,
+        },
+        $inc: { generation: 1 },
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Rebuild the deck without holding up the request
+   */
+  static refreshInBackground(user) {
+    const key = user._id.toString();
+    if (refreshing.has(key)) return;
+
+    refreshing.add(key);
+    this.build(user)
+      .catch((error) =>
+        console.error(`❌ Deck refresh error for ${key}:`, error.message)
+      )
+      .finally(() => refreshing.delete(key));
+  }
+
+  /**
+   * Make the next request rebuild the deck. Call after anything that
+   * changes who the user should see.
+   */
+  static async invalidate(userId) {
+    await DiscoveryDeck.updateOne({ user: userId }, { stale: true });
+  }
+
+  /**
+   * Let a profile be served to the user again, e.g. after a rewound swipe
+   */
+  static async release(userId, profileId) {
+    await DiscoveryImpression.deleteOne({ user: userId, profile: profileId });
+    await this.invalidate(userId);
+  }
+
+  static isOld(deck) {
+    return (
+      !deck.builtAt ||
+      Date.now() - deck.builtAt > DECK_MAX_AGE_MINUTES * 60 * 1000
+    );
+  }
+
+  /**
+   * Claim up to max boosted profiles near the user that they haven't seen
+   */
+  static async takeBoosted(user, max) {
+    if (max <= 0) return [];
+
+    const candidates = await User.findNearbyUsers(
+      user,
+      user.preferences?.maxDistance,
+      max,
+      { boostedOnly: true }
+    );
+    const claimed = new Set(
+      (
+        await DiscoveryImpression.claim(
+          user._id,
+          candidates.map((candidate) => candidate._id)
+        )
+      ).map((id) => id.toString())
+    );
+
+    return candidates
+      .filter((candidate) => claimed.has(candidate._id.toString()))
+      .map((candidate) => ({
+        ...candidate,
+        compatibilityScore: this.compatibilityScore(user, candidate),
+      }));
+  }
+
+  /**
+   * Serve the next page of the user's deck. Returns the profiles with their
+   * deck data, the cursor for the following page and whether there may be
+   * more.
+   */
+  static async getPage(user, { cursor, limit = 10 } = {}) {
+    const requested = cursor ? this.decodeCursor(cursor) : null;
+
+    let deck = await DiscoveryDeck.findOne({ user: user._id });
+    if (!deck || deck.stale) {
+      deck = await this.build(user);
+    }
+
+    let position =
+      requested?.generation === deck.generation ? requested.position : 0;
+    let rebuilt = false;
+    const profiles = await this.takeBoosted(
+      user,
+      Math.min(limit, boostPolicy.maxBoostedPerPage)
+    );
+
+    while (profiles.length < limit) {
+      if (position >= deck.entries.length) {
+        // Only rebuild mid-request once, and only if there may be more
+        if (rebuilt || !deck.truncated) break;
+        deck = await this.build(user);
+        position = 0;
+        rebuilt = true;
+        continue;
+      }
+
+      const chunk = deck.entries.slice(
+        position,
+        position + limit - profiles.length
+      );
+      position += chunk.length;
+
+      // Profiles can become unavailable after the deck was built (blocked,
+      // hidden, deleted...), and another request may have served some
+      const available = await User.findDiscoverable(
+        user,
+        chunk.map((entry) => entry.profile)
+      );
+      const byId = new Map(
+        available.map((profile) => [profile._id.toString(), profile])
+      );
+      const claimed = new Set(
+        (
+          await DiscoveryImpression.claim(
+            user._id,
+            chunk
+              .map((entry) => entry.profile)
+              .filter((id) => byId.has(id.toString()))
+          )
+        ).map((id) => id.toString())
+      );
+
+      chunk
+        .filter((entry) => claimed.has(entry.profile.toString()))
+        .forEach((entry) =>
+          profiles.push({
+            ...byId.get(entry.profile.toString()),
+            distance: entry.distance,
+            compatibilityScore: entry.compatibilityScore,
+          })
+        );
+    }
+
+    const remaining = deck.entries.length - position;
+    if (
+      !rebuilt &&
+      ((deck.truncated && remaining < LOW_WATER_MARK) || this.isOld(deck))
+    ) {
+      this.refreshInBackground(user);
+    }
+
+    return {
+      profiles,
+      nextCursor: this.encodeCursor(deck, position),
+      hasMore: remaining > 0 || deck.truncated,
+    };
+  }
+}
+
+module.exports = DiscoveryDeckService;
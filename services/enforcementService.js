@@ -0,0 +1,254 @@
+// services/enforcementService.js - Applies config/enforcementPolicy.js to reports
+//
+// Runs when a report is filed (auto-hide), when one is resolved (strikes,
+// then suspensions and bans) and when an automatic decision is overturned on
+// appeal. Every outcome, including "none", is written to the
+// EnforcementDecision log; account actions also go to the audit trail.
+const User = require("../models/User");
+const Report = require("../models/Report");
+const EnforcementDecision = require("../models/EnforcementDecision");
+const ModerationService = require("./moderationService");
+const policy = require("../config/enforcementPolicy");
+
+class EnforcementService {
+  static async log(decision, { user, trigger, report, details = {} }) {
+    if (decision !== "none") {
+      console.log(
+        `⚖️ Enforcement: ${decision} for user ${user._id} (${trigger})`,
+        details
+      );
+    }
+
+    return EnforcementDecision.create({
+      user: user._id,
+      trigger,
+      report: report?._id,
+      decision,
+      details,
+    });
+  }
+
+  /**
+   * Hide the reported user from discovery once enough distinct people have
+   * reported them within the window
+   */
+  static async onReportFiled(report) {
+    const trigger = "report_filed";
+    const user = await User.findById(report.reportedUser);
+    if (!user) return [];
+
+    if (user.isRestricted || user.moderation?.hiddenFromDiscovery) {
+      return [
+        await this.log("none", {
+          user,
+          trigger,
+          report,
+          details: {
+            skipped: user.isRestricted
+              ? "already_restricted"
+              : "already_hidden",
+          },
+        }),
+      ];
+    }
+
+    const { distinctReporters: threshold, windowHours } = policy.autoHide;
+    const reporters = await Report.distinct("reporter", {
+      reportedUser: user._id,
+      reporter: { $ne: null },
+      status: { $ne: "dismissed" },
+      createdAt: { $gte: new Date(Date.now() - windowHours * 60 * 60 * 1000) },
+    });
+    const details = {
+      distinctReporters: reporters.length,
+      threshold,
+      windowHours,
+    };
+
+    if (reporters.length < threshold) {
+      return [await this.log("none", { user, trigger, report, details })];
+    }
+
+    user.moderation.hiddenFromDiscovery = true;
+    user.moderation.hiddenAt = new Date();
+    await user.save();
+
+    await ModerationService.audit("user_auto_hidden", {
+      target: user,
+      reason: `Reported by ${reporters.length} people within ${windowHours} hours`,
+      metadata: { reportId: report._id, ...details },
+    });
+
+    return [await this.log("auto_hide", { user, trigger, report, details })];
+  }
+
+  /**
+   * Turn an actioned report into strikes, climb the ladder, and lift the
+   * auto-hide once nothing is left to review
+   */
+  static async onReportResolved(report) {
+    const trigger = "report_resolved";
+    const user = await User.findById(report.reportedUser);
+    if (!user) return [];
+
+    const decisions = [];
+
+    if (report.status === "actioned") {
+      const { expireAfterDays, defaultWeight, weightByReason } = policy.strikes;
+      const weight = weightByReason[report.reason] || defaultWeight;
+
+      // Steps reached only through strikes that have since expired can be
+      // reached, and applied, again
+      user.moderation.enforcementLevel = Math.min(
+        user.moderation.enforcementLevel || 0,
+        this.ladderLevel(user.activeStrikes)
+      );
+      user.addStrike(
+        report,
+        weight,
+        new Date(Date.now() + expireAfterDays * 24 * 60 * 60 * 1000)
+      );
+      await user.save();
+
+      const activeStrikes = user.activeStrikes;
+      decisions.push(
+        await this.log("strike", {
+          user,
+          trigger,
+          report,
+          details: { weight, activeStrikes },
+        })
+      );
+
+      decisions.push(...(await this.applyLadder(user, report, activeStrikes)));
+    }
+
+    if (user.moderation?.hiddenFromDiscovery) {
+      const stillOpen = await Report.exists({
+        reportedUser: user._id,
+        status: { $in: ["open", "in_review"] },
+      });
+
+      if (!stillOpen) {
+        await ModerationService.unhide(user, null, {
+          reason: "All reports reviewed",
+          metadata: { reportId: report._id },
+        });
+        decisions.push(
+          await this.log("unhide", {
+            user,
+            trigger,
+            report,
+            details: { reason: "all_reports_reviewed" },
+          })
+        );
+      }
+    }
+
+    if (decisions.length === 0) {
+      decisions.push(
+        await this.log("none", {
+          user,
+          trigger,
+          report,
+          details: { outcome: report.status },
+        })
+      );
+    }
+
+    return decisions;
+  }
+
+  /**
+   * How many ladder steps a strike count reaches
+   */
+  static ladderLevel(activeStrikes) {
+    return policy.ladder.filter((step) => activeStrikes >= step.strikes).length;
+  }
+
+  /**
+   * Apply the highest ladder step the strikes reach, if it hasn't been yet
+   */
+  static async applyLadder(user, report, activeStrikes) {
+    const trigger = "report_resolved";
+    const stepIndex = this.ladderLevel(activeStrikes) - 1;
+
+    const level = user.moderation.enforcementLevel || 0;
+    if (stepIndex < level || stepIndex === -1) {
+      return [];
+    }
+
+    const step = policy.ladder[stepIndex];
+    const details = { activeStrikes, step: stepIndex + 1, ...step };
+
+    if (user.moderation.status === "banned") {
+      return [
+        await this.log("none", {
+          user,
+          trigger,
+          report,
+          details: { ...details, skipped: "already_banned" },
+        }),
+      ];
+    }
+
+    user.moderation.enforcementLevel = stepIndex + 1;
+    const reason = `Automatic: ${activeStrikes} active strikes`;
+
+    if (step.action === "ban") {
+      await ModerationService.ban(user, null, { reason });
+      return [await this.log("ban", { user, trigger, report, details })];
+    }
+
+    await ModerationService.suspend(user, null, {
+      reason,
+      durationHours: step.durationHours,
+    });
+    return [await this.log("suspend", { user, trigger, report, details })];
+  }
+
+  /**
+   * An automatic suspension or ban was overturned on appeal: expire the
+   * strikes from the report behind it and bring the ladder back down to what
+   * the remaining strikes reach, so later reports are judged without them
+   */
+  static async onDecisionOverturned(decision, appeal) {
+    const trigger = "appeal_overturned";
+    const user = await User.findById(decision.user);
+    if (!user) return null;
+
+    const now = new Date();
+    let voidedStrikes = 0;
+    for (const strike of user.moderation.strikes) {
+      if (
+        decision.report &&
+        strike.report?.equals(decision.report) &&
+        (!strike.expiresAt || strike.expiresAt > now)
+      ) {
+        strike.expiresAt = now;
+        voidedStrikes += 1;
+      }
+    }
+
+    const previousLevel = user.moderation.enforcementLevel || 0;
+    const activeStrikes = user.activeStrikes;
+    user.moderation.enforcementLevel = this.ladderLevel(activeStrikes);
+    await user.save();
+
+    return this.log("strikes_voided", {
+      user,
+      trigger,
+      report: decision.report && { _id: decision.report },
+      details: {
+        appealId: appeal._id,
+        overturnedDecision: decision._id,
+        voidedStrikes,
+        activeStrikes,
+        previousLevel,
+        enforcementLevel: user.moderation.enforcementLevel,
+      },
+    });
+  }
+}
+
+module.exports = EnforcementService;
@@ -0,0 +1,95 @@
+// services/faceMatchService.js - Automated selfie vs. profile photo comparison
+const axios = require("axios");
+
+// Providers share one interface:
+//   async compare({ selfieUrl, photoUrl, pose }) -> { matched, score, details }
+// matched/score are null when the provider made no judgement. The result only
+// informs the human reviewer; it never approves or rejects on its own.
+const createHttpProvider = () => ({
+  name: "http",
+  compare: async ({ selfieUrl, photoUrl, pose }) => {
+    const response = await axios.post(
+      process.env.FACE_MATCH_URL,
+      { selfieUrl, photoUrl, pose },
+      {
+        headers: process.env.FACE_MATCH_API_KEY
+          ? { Authorization: `Bearer ${process.env.FACE_MATCH_API_KEY}` }
+          : {},
+        timeout: 15000,
+      }
+    );
+
+    return {
+      matched: response.data.matched ?? null,
+      score: response.data.score ?? null,
+      details: response.data.details,
+    };
+  },
+});
+
+// No-op stub for local development: every submission goes to manual review
+const createLocalProvider = () => ({
+  name: "local",
+  compare: async () => ({ matched: null, score: null }),
+});
+
+const providers = {
+  http: createHttpProvider,
+  local: createLocalProvider,
+};
+
+class FaceMatchService {
+  constructor() {
+    this.provider = null;
+  }
+
+  getProvider() {
+    if (this.provider) {
+      return this.provider;
+    }
+
+    let type = process.env.FACE_MATCH_PROVIDER || "local";
+
+    if (type === "http" && !process.env.FACE_MATCH_URL) {
+      console.log("⚠️  FACE_MATCH_URL not set. Face matching is disabled.");
+      type = "local";
+    }
+
+    if (!providers[type]) {
+      console.log(`⚠️  Unknown FACE_MATCH_PROVIDER "${type}", using local`);
+      type = "local";
+    }
+
+    this.provider = providers[type]();
+    return this.provider;
+  }
+
+  // Swap the provider (used by scripts and local tooling)
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Compare a selfie to a profile photo. Provider failures are reported in
+   * the result instead of thrown, so a submission always reaches the queue.
+   */
+  async compare({ selfieUrl, photoUrl, pose }) {
+    const provider = this.getProvider();
+
+    try {
+      const result = await provider.compare({ selfieUrl, photoUrl, pose });
+      return { provider: provider.name, checkedAt: new Date(), ...result };
+    } catch (error) {
+      console.error("Face match error:", error.message);
+      return {
+        provider: provider.name,
+        checkedAt: new Date(),
+        matched: null,
+        score: null,
+        error: error.message,
+      };
+    }
+  }
+}
+
+module.exports = new FaceMatchService();
@@ -0,0 +1,264 @@
+// services/loginRiskService.js - Credential-stuffing detection for sign-in
+//
+// Failures are tracked per IP, per email and per device fingerprint over a
+// sliding window. Each dimension escalates independently and the strictest
+// level wins: allow -> delay -> captcha -> block (IP only, temporary).
+const SecurityEventService = require("./securityEventService");
+
+const WINDOW_MS =
+  (parseInt(process.env.LOGIN_RISK_WINDOW_MINUTES) || 15) * 60 * 1000;
+const IP_BLOCK_MS =
+  (parseInt(process.env.LOGIN_RISK_IP_BLOCK_MINUTES) || 30) * 60 * 1000;
+const MAX_DELAY_MS = 8000;
+
+// Failure counts within the window at which each level starts
+const THRESHOLDS = {
+  ip: { delay: 5, captcha: 10, block: 30 },
+  // One IP trying many different accounts is the stuffing signature, so a
+  // busy shared NAT failing on a few accounts stays well below this
+  ipDistinctEmails: { captcha: 5, block: 15 },
+  email: { delay: 3, captcha: 5 },
+  device: { delay: 5, captcha: 10 },
+};
+
+const LEVELS = ["allow", "delay", "captcha", "block"];
+
+const levelFor = (count, thresholds) => {
+  if (thresholds.block && count >= thresholds.block) return "block";
+  if (thresholds.captcha && count >= thresholds.captcha) return "captcha";
+  if (thresholds.delay && count >= thresholds.delay) return "delay";
+  return "allow";
+};
+
+const stricter = (a, b) => (LEVELS.indexOf(a) >= LEVELS.indexOf(b) ? a : b);
+
+class LoginRiskService {
+  constructor() {
+    this.failures = {
+      ip: new Map(), // ip -> [{ at, email }]
+      email: new Map(), // email -> [at]
+      device: new Map(), // fingerprint -> [at]
+    };
+    this.blockedIps = new Map(); // ip -> blockedUntil
+    this.totals = {
+      failures: 0,
+      successes: 0,
+      delayed: 0,
+      captchaRequired: 0,
+      blocked: 0,
+      ipBlocks: 0,
+    };
+  }
+
+  /**
+   * Build the risk context for a sign-in request
+   */
+  contextFromRequest(req, email) {
+    const headerFingerprint = req.get("X-Device-Fingerprint");
+
+    // Without a client fingerprint, fall back to the parsed User-Agent scoped
+    // to the IP - on its own it's shared by every user of the same browser
+    const fingerprint = headerFingerprint
+      ? headerFingerprint.slice(0, 128)
+      : `${req.ip}|${
+          SecurityEventService.buildContext(req).device.fingerprint
+        }`;
+
+    return {
+      ip: req.ip,
+      email: email ? String(email).toLowerCase() : null,
+      fingerprint,
+    };
+  }
+
+  recent(map, key, now = Date.now()) {
+    const entries = (map.get(key) || []).filter(
+      (entry) => (entry.at || entry) > now - WINDOW_MS
+    );
+
+    if (entries.length > 0) {
+      map.set(key, entries);
+    } else {
+      map.delete(key);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Work out the current level for a context without recording anything
+   */
+  assess({ ip, email, fingerprint }) {
+    const now = Date.now();
+    const reasons = [];
+    let level = "allow";
+
+    const blockedUntil = this.blockedIps.get(ip);
+    if (blockedUntil && blockedUntil > now) {
+      return {
+        level: "block",
+        blocked: true,
+        captchaRequired: true,
+        delayMs: 0,
+        retryAfter: Math.ceil((blockedUntil - now) / 1000),
+        reasons: ["ip_blocked"],
+      };
+    }
+    if (blockedUntil) {
+      this.blockedIps.delete(ip);
+    }
+
+    const ipEntries = this.recent(this.failures.ip, ip, now);
+    const counts = {
+      ip: ipEntries.length,
+      ipDistinctEmails: new Set(ipEntries.map((e) => e.email).filter(Boolean))
+        .size,
+      email: email ? this.recent(this.failures.email, email, now).length : 0,
+      device: fingerprint
+        ? this.recent(this.failures.device, fingerprint, now).length
+        : 0,
+    };
+
+    let delayOver = 0;
+    Object.entries(counts).forEach(([dimension, count]) => {
+      const thresholds = THRESHOLDS[dimension];
+      const dimensionLevel = levelFor(count, thresholds);
+
+      if (dimensionLevel !== "allow") {
+        reasons.push(`${dimension}_${dimensionLevel}`);
+        level = stricter(level, dimensionLevel);
+      }
+      if (thresholds.delay && count >= thresholds.delay) {
+        delayOver = Math.max(delayOver, count - thresholds.delay + 1);
+      }
+    });
+
+    return {
+      level,
+      blocked: false,
+      captchaRequired: level === "captcha" || level === "block",
+      // Exponential back-off once any dimension passes its delay threshold
+      delayMs: delayOver
+        ? Math.min(250 * 2 ** (delayOver - 1), MAX_DELAY_MS)
+        : 0,
+      retryAfter: 0,
+      reasons,
+      counts,
+    };
+  }
+
+  /**
+   * Count a failed sign-in and return the resulting assessment
+   */
+  recordFailure(context) {
+    const now = Date.now();
+    const { ip, email, fingerprint } = context;
+
+    this.totals.failures += 1;
+    this.failures.ip.set(ip, [
+      ...this.recent(this.failures.ip, ip, now),
+      { at: now, email },
+    ]);
+    if (email) {
+      this.failures.email.set(email, [
+        ...this.recent(this.failures.email, email, now),
+        now,
+      ]);
+    }
+    if (fingerprint) {
+      this.failures.device.set(fingerprint, [
+        ...this.recent(this.failures.device, fingerprint, now),
+        now,
+      ]);
+    }
+
+    const assessment = this.assess(context);
+
+    // Reaching the block level turns into a temporary IP block
+    if (assessment.level === "block" && !assessment.blocked) {
+      this.blockedIps.set(ip, now + IP_BLOCK_MS);
+      this.totals.ipBlocks += 1;
+      console.log(
+        `🚫 Login risk: blocked IP ${ip} for ${
+          IP_BLOCK_MS / 60000
+        } minutes (${assessment.reasons.join(", ")})`
+      );
+      return this.assess(context);
+    }
+
+    return assessment;
+  }
+
+  /**
+   * A successful sign-in clears the account and device history, but not the
+   * IP's - other accounts behind it may still be under attack
+   */
+  recordSuccess({ email, fingerprint }) {
+    this.totals.successes += 1;
+    if (email) this.failures.email.delete(email);
+    if (fingerprint) this.failures.device.delete(fingerprint);
+  }
+
+  // Track how often each escalation was applied (reported in getStats)
+  recordOutcome(assessment) {
+    if (assessment.blocked) this.totals.blocked += 1;
+    else if (assessment.captchaRequired) this.totals.captchaRequired += 1;
+    else if (assessment.delayMs > 0) this.totals.delayed += 1;
+  }
+
+  // Lift a temporary IP block early (ops tooling)
+  unblockIp(ip) {
+    this.failures.ip.delete(ip);
+    return this.blockedIps.delete(ip);
+  }
+
+  /**
+   * Drop expired windows and blocks
+   */
+  prune() {
+    const now = Date.now();
+
+    Object.values(this.failures).forEach((map) => {
+      [...map.keys()].forEach((key) => this.recent(map, key, now));
+    });
+    [...this.blockedIps.entries()].forEach(([ip, until]) => {
+      if (until <= now) this.blockedIps.delete(ip);
+    });
+  }
+
+  /**
+   * Counters for ops dashboards
+   */
+  getStats() {
+    this.prune();
+
+    const topIps = [...this.failures.ip.entries()]
+      .map(([ip, entries]) => ({
+        ip,
+        failures: entries.length,
+        distinctEmails: new Set(entries.map((e) => e.email).filter(Boolean))
+          .size,
+      }))
+      .sort((a, b) => b.failures - a.failures)
+      .slice(0, 10);
+
+    return {
+      windowMinutes: WINDOW_MS / 60000,
+      ipBlockMinutes: IP_BLOCK_MS / 60000,
+      thresholds: THRESHOLDS,
+      tracked: {
+        ips: this.failures.ip.size,
+        emails: this.failures.email.size,
+        devices: this.failures.device.size,
+      },
+      blockedIps: [...this.blockedIps.entries()].map(([ip, until]) => ({
+        ip,
+        blockedUntil: new Date(until),
+      })),
+      topIps,
+      totals: { ...this.totals },
+    };
+  }
+}
+
+module.exports = new LoginRiskService();
@@ -0,0 +1,226 @@
+// services/mailService.js - Transactional email with pluggable transports
+const fs = require("fs");
+const path = require("path");
+
+// Transports share one interface: async send({ to, subject, text, html })
+const createSmtpTransport = () => {
+  const nodemailer = require("nodemailer");
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: async (mail) => {
+      const info = await transporter.sendMail(mail);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+const createFileTransport = () => {
+  const outboxDir =
+    process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "outbox");
+
+  return {
+    name: "file",
+    send: async (mail) => {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+
+      const messageId = `${Date.now()}_${Math.random()
+        .toString(36)
+        .substring(2, 9)}`;
+      const filePath = path.join(outboxDir, `${messageId}.json`);
+
+      await fs.promises.writeFile(
+        filePath,
+        JSON.stringify({ ...mail, sentAt: new Date() }, null, 2)
+      );
+
+      console.log(`📬 Email written to outbox: ${filePath}`);
+      return { messageId, filePath };
+    },
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: "console",
+  send: async (mail) => {
+    console.log("📧 SIMULATED EMAIL");
+    console.log("==============================");
+    console.log(`📨 To: ${mail.to}`);
+    console.log(`🏷️  Subject: ${mail.subject}`);
+    console.log(mail.text);
+    console.log("==============================\n");
+
+    return { messageId: `console_${Date.now()}` };
+  },
+});
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+class MailService {
+  constructor() {
+    this.transport = null;
+    this.from = process.env.MAIL_FROM || "Habibi <no-reply@habibi.app>";
+  }
+
+  getTransport() {
+    if (this.transport) {
+      return this.transport;
+    }
+
+    let type = process.env.MAIL_TRANSPORT || "console";
+
+    if (type === "smtp" && !process.env.SMTP_HOST) {
+      console.log("⚠️  SMTP_HOST not set. Emails will be logged to console.");
+      type = "console";
+    }
+
+    if (!transports[type]) {
+      console.log(`⚠️  Unknown MAIL_TRANSPORT "${type}", using console`);
+      type = "console";
+    }
+
+    this.transport = transports[type]();
+    return this.transport;
+  }
+
+  // Swap the transport (used by scripts and local tooling)
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Send an email through the configured transport
+   */
+  async send({ to, subject, text, html }) {
+    try {
+      const transport = this.getTransport();
+      const result = await transport.send({
+        from: this.from,
+        to,
+        subject,
+        text,
+        html: html || text,
+      });
+
+      return { success: true, transport: transport.name, ...result };
+    } catch (error) {
+      console.error("Mail send error:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  buildLink(pathname, token) {
+    const baseUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+    return `${baseUrl}${pathname}?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Send the email address verification link
+   */
+  async sendVerificationEmail(user, token) {
+    const link = this.buildLink("/verify-email", token);
+
+    return this.send({
+      to: user.email,
+      subject: "Verify your Habibi email address",
+      text: `Hi ${user.firstName},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThis link expires in 24 hours. If you didn't create a Habibi account, you can ignore this email.`,
+      html: `<p>Hi ${user.firstName},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${link}">Verify my email</a></p><p>This link expires in 24 hours. If you didn't create a Habibi account, you can ignore this email.</p>`,
+    });
+  }
+
+  /**
+   * Send the password reset link
+   */
+  async sendPasswordResetEmail(user, token) {
+    const link = this.buildLink("/reset-password", token);
+
+    return this.send({
+      to: user.email,
+      subject: "Reset your Habibi password",
+      text: `Hi ${user.firstName},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThis link expires in 1 hour and can only be used once. If you didn't request a reset, you can ignore this email.`,
+      html: `<p>Hi ${user.firstName},</p><p>We received a request to reset your password. Click the link below to choose a new one:</p><p><a href="${link}">Reset my password</a></p><p>This link expires in 1 hour and can only be used once. If you didn't request a reset, you can ignore this email.</p>`,
+    });
+  }
+
+  /**
+   * Send a one-time sign-in link
+   */
+  async sendMagicLinkEmail(user, token, expiresInMinutes) {
+    const link = this.buildLink("/magic-link", token);
+
+    return this.send({
+      to: user.email,
+      subject: "Your Habibi sign-in link",
+      text: `Hi ${user.firstName},\n\nOpen the link below to sign in to Habibi:\n\n${link}\n\nThis link expires in ${expiresInMinutes} minutes and can only be used once. If you didn't ask to sign in, you can ignore this email.`,
+      html: `<p>Hi ${user.firstName},</p><p>Click the link below to sign in to Habibi:</p><p><a href="${link}">Sign in</a></p><p>This link expires in ${expiresInMinutes} minutes and can only be used once. If you didn't ask to sign in, you can ignore this email.</p>`,
+    });
+  }
+
+  /**
+   * Send the personal data export download link
+   */
+  async sendDataExportReadyEmail(user, token, expiresInHours) {
+    const link = this.buildLink("/data-export", token);
+
+    return this.send({
+      to: user.email,
+      subject: "Your Habibi data export is ready",
+      text: `Hi ${user.firstName},\n\nThe copy of your Habibi data you asked for is ready. Download it here:\n\n${link}\n\nThis link expires in ${expiresInHours} hours. If you didn't request an export, please change your password.`,
+      html: `<p>Hi ${user.firstName},</p><p>The copy of your Habibi data you asked for is ready.</p><p><a href="${link}">Download my data</a></p><p>This link expires in ${expiresInHours} hours. If you didn't request an export, please change your password.</p>`,
+    });
+  }
+
+  /**
+   * Confirm a deletion request and explain how to cancel it
+   */
+  async sendAccountDeletionScheduledEmail(user, scheduledFor) {
+    const date = scheduledFor.toDateString();
+
+    return this.send({
+      to: user.email,
+      subject: "Your Habibi account is scheduled for deletion",
+      text: `Hi ${user.firstName},\n\nYour Habibi account and all of its data will be permanently deleted on ${date}. Until then your profile is hidden from other users.\n\nChanged your mind? Just log in again before ${date} and the deletion will be cancelled.`,
+    });
+  }
+
+  /**
+   * Tell a suspended or banned user the outcome of their appeal
+   */
+  async sendAppealOutcomeEmail(user, overturned) {
+    return this.send({
+      to: user.email,
+      subject: overturned
+        ? "Your Habibi appeal was accepted"
+        : "Your Habibi appeal was reviewed",
+      text: overturned
+        ? `Hi ${user.firstName},\n\nWe reviewed your appeal and lifted the restriction on your account. You can log in again.`
+        : `Hi ${user.firstName},\n\nWe reviewed your appeal carefully and decided to keep the restriction on your account in place.`,
+    });
+  }
+
+  /**
+   * Let the user know their password was changed
+   */
+  async sendPasswordChangedEmail(user) {
+    return this.send({
+      to: user.email,
+      subject: "Your Habibi password was changed",
+      text: `Hi ${user.firstName},\n\nYour password was just changed and all other devices have been signed out. If this wasn't you, reset your password immediately and contact support.`,
+    });
+  }
+}
+
+module.exports = new MailService();
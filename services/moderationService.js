@@ -0,0 +1,327 @@
+// services/moderationService.js - Staff actions on accounts, with an audit trail
+const User = require("../models/User");
+const Match = require("../models/Match");
+const AuditLog = require("../models/AuditLog");
+const PhotoVerification = require("../models/PhotoVerification");
+const SessionService = require("./sessionService");
+const SecurityEventService = require("./securityEventService");
+const AccountDeletionService = require("./accountDeletionService");
+
+// Socket.io server, for dropping connections when an action isn't made
+// during a request (automatic enforcement, scheduled jobs)
+let socketServer = null;
+
+class ModerationService {
+  static attachSocketServer(io) {
+    socketServer = io;
+  }
+
+  /**
+   * Write an audit trail entry. A missing actor means an automated action.
+   */
+  static async audit(action, options = {}) {
+    const {
+      actor = null,
+      target = null,
+      reason = "",
+      metadata = {},
+      req,
+    } = options;
+
+    return AuditLog.create({
+      actor: actor?._id || null,
+      actorRole: actor?.role || "system",
+      action,
+      target: target?._id || target,
+      reason,
+      metadata,
+      ip: req?.ip,
+      userAgent: req ? (req.get("User-Agent") || "").slice(0, 500) : undefined,
+    });
+  }
+
+  /**
+   * Staff can't act on themselves, and only admins can act on other staff
+   */
+  static canActOn(actor, target) {
+    if (actor._id.toString() === target._id.toString()) {
+      return false;
+    }
+
+    return actor.role === "admin" || target.role === "user";
+  }
+
+  /**
+   * Only admins hand out staff roles; anyone else can only pass on
+   * permissions they hold themselves
+   */
+  static canGrant(actor, role, permissions = []) {
+    if (actor.role === "admin") {
+      return true;
+    }
+
+    return (
+      role === "user" &&
+      permissions.every((permission) => actor.hasPermission(permission))
+    );
+  }
+
+  /**
+   * Revoke every session and drop live sockets
+   */
+  static async signOutEverywhere(user, req, reason) {
+    const { revokedSessions } = await SessionService.invalidateAllTokens(
+      user._id,
+      "security"
+    );
+    (req?.io || socketServer)?.disconnectUser?.(user._id.toString(), reason);
+
+    return revokedSessions;
+  }
+
+  /**
+   * Hide the account and block sign-in until the suspension ends
+   */
+  static async suspend(user, actor, { reason, durationHours, req }) {
+    const until = new Date(Date.now() + durationHours * 60 * 60 * 1000);
+
+    user.restrict("suspended", { reason, until, actorId: actor?._id });
+    await user.save();
+
+    await Match.pauseForUser(user._id);
+    await this.signOutEverywhere(user, req, "account_suspended");
+    await this.audit("user_suspended", {
+      actor,
+      target: user,
+      reason,
+      metadata: { durationHours, suspendedUntil: until },
+      req,
+    });
+
+    console.log(`⛔ User ${user._id} suspended until ${until.toISOString()}`);
+    return until;
+  }
+
+  /**
+   * Hide the account and block sign-in indefinitely
+   */
+  static async ban(user, actor, { reason, req }) {
+    user.restrict("banned", { reason, actorId: actor?._id });
+    await user.save();
+
+    await Match.pauseForUser(user._id);
+    await this.signOutEverywhere(user, req, "account_banned");
+    await this.audit("user_banned", { actor, target: user, reason, req });
+
+    console.log(`⛔ User ${user._id} banned`);
+  }
+
+  /**
+   * Quietly cut a suspected spammer off from everyone else. Nothing changes
+   * from their side, so they aren't signed out or told.
+   */
+  static async shadowban(user, actor, { reason, req }) {
+    user.moderation.shadowbanned = true;
+    user.moderation.shadowbannedAt = new Date();
+    await user.save();
+
+    await this.audit("user_shadowbanned", { actor, target: user, reason, req });
+
+    console.log(`👻 User ${user._id} shadowbanned`);
+  }
+
+  /**
+   * Lift a shadowban. Messages withheld while it was active stay withheld.
+   */
+  static async unshadowban(user, actor, { reason = "", req } = {}) {
+    user.moderation.shadowbanned = false;
+    user.moderation.shadowbannedAt = undefined;
+    await user.save();
+
+    await this.audit("user_unshadowbanned", {
+      actor,
+      target: user,
+      reason,
+      req,
+    });
+  }
+
+  /**
+   * Lift a suspension or ban and resume the account's matches
+   */
+  static async unban(user, actor, { reason = "", req } = {}) {
+    const previousStatus = user.moderation?.status;
+
+    user.liftRestriction(actor?._id);
+    await user.save();
+
+    // Still hidden if the owner had deactivated it or asked for deletion
+    if (user.isActive) {
+      await Match.resumeForUser(user._id);
+    }
+
+    await this.audit("user_unbanned", {
+      actor,
+      target: user,
+      reason,
+      metadata: { previousStatus },
+      req,
+    });
+  }
+
+  /**
+   * Sign the user out of every device
+   */
+  static async forceLogout(user, actor, { reason = "", req } = {}) {
+    const revokedSessions = await this.signOutEverywhere(
+      user,
+      req,
+      "admin_logout"
+    );
+
+    await this.audit("user_force_logout", {
+      actor,
+      target: user,
+      reason,
+      metadata: { revokedSessions },
+      req,
+    });
+
+    return revokedSessions;
+  }
+
+  /**
+   * Remove every photo, including the Cloudinary assets
+   */
+  static async resetPhotos(user, actor, { reason, req }) {
+    const publicIds = (user.photos || [])
+      .map((photo) => photo.public_id)
+      .filter(Boolean);
+    const failedAssets = await AccountDeletionService.destroyAssets(publicIds);
+
+    const removed = user.photos.length;
+    user.photos = [];
+    // Nothing is left for a verification selfie to vouch for
+    user.verification.photoVerified = false;
+    await user.save();
+
+    await PhotoVerification.updateMany(
+      { user: user._id, status: { $in: ["challenge_issued", "pending"] } },
+      { status: "superseded" }
+    );
+
+    await this.audit("user_photos_reset", {
+      actor,
+      target: user,
+      reason,
+      metadata: { removed, failedAssets },
+      req,
+    });
+
+    return { removed, failedAssets };
+  }
+
+  /**
+   * Clear the bio (the old text is kept in the audit entry)
+   */
+  static async resetBio(user, actor, { reason, req }) {
+    const previousBio = user.bio;
+
+    user.bio = "";
+    await user.save();
+
+    await this.audit("user_bio_reset", {
+      actor,
+      target: user,
+      reason,
+      metadata: { previousBio },
+      req,
+    });
+  }
+
+  /**
+   * Change a user's role and individually granted permissions
+   */
+  static async changeRole(user, actor, { role, permissions, reason, req }) {
+    const previous = { role: user.role, permissions: [...user.permissions] };
+
+    user.role = role;
+    if (permissions) {
+      user.permissions = permissions;
+    }
+    await user.save();
+
+    await SecurityEventService.record("role_changed", {
+      user,
+      req,
+      metadata: { from: previous.role, to: role },
+    });
+    await this.audit("user_role_changed", {
+      actor,
+      target: user,
+      reason,
+      metadata: {
+        from: previous,
+        to: { role: user.role, permissions: user.permissions },
+      },
+      req,
+    });
+  }
+
+  /**
+   * Show a user hidden by the enforcement policy in discovery again
+   */
+  static async unhide(user, actor, { reason = "", metadata = {}, req } = {}) {
+    user.moderation.hiddenFromDiscovery = false;
+    user.moderation.hiddenAt = undefined;
+    await user.save();
+
+    await this.audit("user_unhidden", {
+      actor,
+      target: user,
+      reason,
+      metadata,
+      req,
+    });
+  }
+
+  /**
+   * Lift a suspension whose end date has passed. Returns whether it did.
+   */
+  static async liftIfExpired(user) {
+    if (
+      user.moderation?.status !== "suspended" ||
+      user.moderation.suspendedUntil > new Date()
+    ) {
+      return false;
+    }
+
+    await this.unban(user, null, { reason: "Suspension ended" });
+    return true;
+  }
+
+  /**
+   * Lift every suspension that has run its course (run from cron)
+   */
+  static async liftExpiredSuspensions() {
+    const users = await User.findExpiredSuspensions();
+    let lifted = 0;
+
+    for (const user of users) {
+      try {
+        if (await this.liftIfExpired(user)) {
+          lifted += 1;
+        }
+      } catch (error) {
+        console.error(
+          `❌ Error lifting suspension of ${user._id}:`,
+          error.message
+        );
+      }
+    }
+
+    return lifted;
+  }
+}
+
+module.exports = ModerationService;
@@ -0,0 +1,170 @@
+// services/oauthService.js - Google / Apple ID-token verification
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+const { AppError } = require("../middleware/errorHandler");
+
+// Key sets are re-fetched after this long, or sooner for an unknown kid
+const JWKS_CACHE_TTL_MS =
+  parseInt(process.env.OAUTH_JWKS_CACHE_TTL_MS) || 60 * 60 * 1000;
+const JWKS_MIN_REFRESH_MS = 60 * 1000;
+
+// JWKS sources can be an https URL or a local JSON file (used for tests)
+const providers = {
+  google: {
+    issuers: ["https://accounts.google.com", "accounts.google.com"],
+    jwksUri: () =>
+      process.env.GOOGLE_JWKS_URI ||
+      "https://www.googleapis.com/oauth2/v3/certs",
+    clientIds: () => process.env.GOOGLE_CLIENT_ID,
+  },
+  apple: {
+    issuers: ["https://appleid.apple.com"],
+    jwksUri: () =>
+      process.env.APPLE_JWKS_URI || "https://appleid.apple.com/auth/keys",
+    clientIds: () => process.env.APPLE_CLIENT_ID,
+  },
+};
+
+const invalidToken = () =>
+  new AppError("Invalid sign-in token", 401, "INVALID_ID_TOKEN");
+
+class OAuthService {
+  constructor() {
+    this.keySets = new Map(); // provider -> { keys, fetchedAt, pinned }
+  }
+
+  isSupported(provider) {
+    return Object.prototype.hasOwnProperty.call(providers, provider);
+  }
+
+  // Pin a key set in memory (used by scripts and local tooling)
+  setKeySet(provider, jwks) {
+    this.keySets.set(provider, {
+      keys: jwks.keys || [],
+      fetchedAt: Date.now(),
+      pinned: true,
+    });
+  }
+
+  async loadKeySet(provider) {
+    const source = providers[provider].jwksUri();
+
+    let jwks;
+    if (/^https?:\/\//.test(source)) {
+      const response = await axios.get(source, { timeout: 10000 });
+      jwks = response.data;
+    } else {
+      const filePath = path.resolve(process.cwd(), source);
+      jwks = JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+    }
+
+    const keySet = { keys: jwks.keys || [], fetchedAt: Date.now() };
+    this.keySets.set(provider, keySet);
+    return keySet;
+  }
+
+  /**
+   * Find the signing key for a kid, refreshing the cached key set if needed
+   */
+  async getSigningKey(provider, kid) {
+    let keySet = this.keySets.get(provider);
+    const age = keySet ? Date.now() - keySet.fetchedAt : Infinity;
+
+    if (!keySet || (!keySet.pinned && age > JWKS_CACHE_TTL_MS)) {
+      keySet = await this.loadKeySet(provider);
+    }
+
+    let jwk = keySet.keys.find((key) => key.kid === kid);
+
+    // Providers rotate keys; allow an early refresh for an unknown kid
+    if (!jwk && !keySet.pinned && age > JWKS_MIN_REFRESH_MS) {
+      keySet = await this.loadKeySet(provider);
+      jwk = keySet.keys.find((key) => key.kid === kid);
+    }
+
+    if (!jwk) {
+      throw invalidToken();
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+  }
+
+  /**
+   * Verify a provider ID token and return the normalized identity
+   */
+  async verifyIdToken(provider, idToken, { nonce } = {}) {
+    if (!this.isSupported(provider)) {
+      throw new AppError(
+        "Unsupported sign-in provider",
+        400,
+        "UNSUPPORTED_PROVIDER"
+      );
+    }
+
+    const config = providers[provider];
+    const audience = (config.clientIds() || "")
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean);
+
+    if (audience.length === 0) {
+      throw new AppError(
+        `${provider} sign-in is not configured`,
+        503,
+        "PROVIDER_NOT_CONFIGURED"
+      );
+    }
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded?.header?.kid) {
+      throw invalidToken();
+    }
+
+    let publicKey;
+    try {
+      publicKey = await this.getSigningKey(provider, decoded.header.kid);
+    } catch (error) {
+      if (error.isOperational) throw error;
+      console.error(`${provider} JWKS fetch error:`, error.message);
+      throw new AppError(
+        "Sign-in provider is unavailable. Please try again.",
+        503,
+        "PROVIDER_UNAVAILABLE"
+      );
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, publicKey, {
+        algorithms: ["RS256"],
+        issuer: config.issuers,
+        audience,
+      });
+    } catch (error) {
+      if (error.name === "TokenExpiredError") {
+        throw new AppError("Sign-in token expired", 401, "ID_TOKEN_EXPIRED");
+      }
+      throw invalidToken();
+    }
+
+    if (nonce && claims.nonce !== nonce) {
+      throw invalidToken();
+    }
+
+    return {
+      provider,
+      subject: String(claims.sub),
+      email: claims.email ? String(claims.email).toLowerCase() : null,
+      // Apple sends email_verified as a string
+      emailVerified:
+        claims.email_verified === true || claims.email_verified === "true",
+      firstName: claims.given_name || null,
+      lastName: claims.family_name || null,
+    };
+  }
+}
+
+module.exports = new OAuthService();
@@ -0,0 +1,296 @@
+// services/photoVerificationService.js - Selfie verification of profile photos
+//
+// The user is given a random pose, takes a selfie doing it, and the selfie is
+// queued for a moderator together with an automated face-match opinion
+// (services/faceMatchService.js). Approval marks the profile photo verified
+// until the primary photo changes, which re-queues the same selfie against
+// the new photo.
+const crypto = require("crypto");
+const PhotoVerification = require("../models/PhotoVerification");
+const Notification = require("../models/Notification");
+const { AppError } = require("../middleware/errorHandler");
+const ModerationService = require("./moderationService");
+const faceMatchService = require("./faceMatchService");
+const pushNotificationService = require("./pushNotificationService");
+
+const POSES = [
+  { code: "thumbs_up", instruction: "Give a thumbs up next to your face" },
+  { code: "peace_sign", instruction: "Make a peace sign next to your face" },
+  { code: "touch_nose", instruction: "Touch your nose with one finger" },
+  { code: "hand_on_head", instruction: "Put one hand on top of your head" },
+  { code: "three_fingers", instruction: "Hold up three fingers by your chin" },
+  { code: "look_left", instruction: "Turn your head to your left" },
+  { code: "open_palm", instruction: "Show an open palm beside your face" },
+];
+
+const CHALLENGE_TTL_MINUTES =
+  parseInt(process.env.PHOTO_VERIFICATION_CHALLENGE_MINUTES) || 10;
+const MAX_CHALLENGES_PER_DAY = 5;
+
+class PhotoVerificationService {
+  static primaryPhoto(user) {
+    return (user.photos || []).find((photo) => photo.isPrimary) || null;
+  }
+
+  /**
+   * Start an attempt with a random pose the selfie must show
+   */
+  static async issueChallenge(user) {
+    if (user.verification?.photoVerified) {
+      throw new AppError(
+        "Your photo is already verified",
+        409,
+        "ALREADY_VERIFIED"
+      );
+    }
+
+    if (!this.primaryPhoto(user)) {
+      throw new AppError(
+        "Add a profile photo before verifying it",
+        400,
+        "PHOTO_REQUIRED"
+      );
+    }
+
+    const pending = await PhotoVerification.exists({
+      user: user._id,
+      status: "pending",
+    });
+    if (pending) {
+      throw new AppError(
+        "Your verification is already being reviewed",
+        409,
+        "VERIFICATION_PENDING"
+      );
+    }
+
+    const issuedToday = await PhotoVerification.countDocuments({
+      user: user._id,
+      trigger: "user",
+      createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+    });
+    if (issuedToday >= MAX_CHALLENGES_PER_DAY) {
+      throw new AppError(
+        "Too many verification attempts. Please try again tomorrow.",
+        429,
+        "VERIFICATION_THROTTLED"
+      );
+    }
+
+    // Only the newest challenge can be answered
+    await PhotoVerification.updateMany(
+      { user: user._id, status: "challenge_issued" },
+      { status: "superseded" }
+    );
+
+    const pose = POSES[crypto.randomInt(POSES.length)];
+    return PhotoVerification.create({
+      user: user._id,
+      pose,
+      challengeExpiresAt: new Date(
+        Date.now() + CHALLENGE_TTL_MINUTES * 60 * 1000
+      ),
+    });
+  }
+
+  /**
+   * Find the user's challenge that a selfie is being submitted for
+   */
+  static async findOpenChallenge(user, verificationId) {
+    const verification = await PhotoVerification.findOne({
+      _id: verificationId,
+      user: user._id,
+    });
+
+    if (!verification || verification.status !== "challenge_issued") {
+      throw new AppError(
+        "Verification challenge not found",
+        404,
+        "CHALLENGE_NOT_FOUND"
+      );
+    }
+
+    if (!verification.isChallengeOpen) {
+      verification.status = "expired";
+      await verification.save();
+      throw new AppError(
+        "This challenge has expired. Please start again.",
+        410,
+        "CHALLENGE_EXPIRED"
+      );
+    }
+
+    return verification;
+  }
+
+  /**
+   * Attach the uploaded selfie and send the attempt to the review queue
+   */
+  static async submitSelfie(user, verification, selfie) {
+    const primary = this.primaryPhoto(user);
+    if (!primary) {
+      throw new AppError(
+        "Add a profile photo before verifying it",
+        400,
+        "PHOTO_REQUIRED"
+      );
+    }
+
+    verification.selfie = selfie;
+    verification.referencePhoto = { photoId: primary._id, url: primary.url };
+    verification.submittedAt = new Date();
+    verification.status = "pending";
+    verification.faceMatch = await faceMatchService.compare({
+      selfieUrl: selfie.url,
+      photoUrl: primary.url,
+      pose: verification.pose.code,
+    });
+    await verification.save();
+
+    console.log(
+      `🤳 Photo verification ${verification._id} queued for ${user._id} (face match: ${verification.faceMatch.provider})`
+    );
+
+    return verification;
+  }
+
+  static assertPending(verification) {
+    if (verification.status !== "pending") {
+      throw new AppError(
+        "This verification is not awaiting review",
+        409,
+        "VERIFICATION_NOT_PENDING"
+      );
+    }
+  }
+
+  /**
+   * Approve an attempt and mark the user's photo verified
+   */
+  static async approve(verification, user, staff, { req } = {}) {
+    this.assertPending(verification);
+
+    verification.status = "approved";
+    verification.reviewedBy = staff._id;
+    verification.reviewedAt = new Date();
+    await verification.save();
+
+    user.verification.photoVerified = true;
+    user.verification.verificationDate = new Date();
+    await user.save();
+
+    await ModerationService.audit("photo_verification_approved", {
+      actor: staff,
+      target: user,
+      metadata: { verificationId: verification._id },
+      req,
+    });
+
+    this.notifyUser(user, true).catch((error) =>
+      console.error("Verification notification error:", error.message)
+    );
+
+    return verification;
+  }
+
+  /**
+   * Reject an attempt. The user can start a new one.
+   */
+  static async reject(verification, user, staff, { reason, req }) {
+    this.assertPending(verification);
+
+    verification.status = "rejected";
+    verification.rejectionReason = reason;
+    verification.reviewedBy = staff._id;
+    verification.reviewedAt = new Date();
+    await verification.save();
+
+    await ModerationService.audit("photo_verification_rejected", {
+      actor: staff,
+      target: user,
+      reason,
+      metadata: { verificationId: verification._id },
+      req,
+    });
+
+    this.notifyUser(user, false, reason).catch((error) =>
+      console.error("Verification notification error:", error.message)
+    );
+
+    return verification;
+  }
+
+  /**
+   * Call after anything that may have changed the primary photo. A verified
+   * (or pending) selfie no longer vouches for the new photo, so the badge is
+   * removed and the same selfie is queued against the new primary photo.
+   */
+  static async onPrimaryPhotoChanged(user) {
+    const primary = this.primaryPhoto(user);
+    const latest = await PhotoVerification.findOne({
+      user: user._id,
+      status: { $in: ["pending", "approved"] },
+    }).sort({ createdAt: -1 });
+
+    // Never verified, or still the photo that was checked
+    if (!latest) return null;
+    if (primary && latest.referencePhoto?.photoId?.equals(primary._id)) {
+      return null;
+    }
+
+    await PhotoVerification.updateMany(
+      { user: user._id, status: { $in: ["challenge_issued", "pending"] } },
+      { status: "superseded" }
+    );
+
+    if (user.verification?.photoVerified) {
+      user.verification.photoVerified = false;
+      await user.save();
+    }
+
+    if (!primary || !latest.selfie?.url) return null;
+
+    const verification = await PhotoVerification.create({
+      user: user._id,
+      pose: latest.pose,
+      trigger: "primary_photo_changed",
+      status: "pending",
+      selfie: latest.selfie,
+      referencePhoto: { photoId: primary._id, url: primary.url },
+      submittedAt: new Date(),
+      faceMatch: await faceMatchService.compare({
+        selfieUrl: latest.selfie.url,
+        photoUrl: primary.url,
+        pose: latest.pose.code,
+      }),
+    });
+
+    console.log(
+      `🤳 Primary photo changed for ${user._id}; verification ${verification._id} re-queued`
+    );
+
+    return verification;
+  }
+
+  static async notifyUser(user, approved, reason) {
+    const title = approved
+      ? "You're verified! ✅"
+      : "Verification unsuccessful";
+    const message = approved
+      ? "Your photo has been verified. Your profile now shows the verified badge."
+      : `We couldn't verify your photo${
+          reason ? `: ${reason}` : ""
+        }. You can try again with a new selfie.`;
+    const data = { type: "photo_verification", approved };
+
+    await Notification.createSystemNotification(user._id, title, message, data);
+    await pushNotificationService.sendGenericNotification(
+      user._id,
+      title,
+      message,
+      data
+    );
+  }
+}
+
+module.exports = PhotoVerificationService;
@@ -13,6 +13,10 @@ class PushNotificationService {
    */
   async sendMessageNotification(userId, notificationData) {
     try {
+      if (await User.isShadowbanned(notificationData.senderId)) {
+        return { success: false, error: "Sender is shadowbanned" };
+      }
+
       const user = await User.findById(userId)
         .select("firstName lastName deviceTokens settings notificationStats")
         .lean();
@@ -114,6 +118,10 @@ class PushNotificationService {
    */
   async sendMatchNotification(userId, matchData) {
     try {
+      if (await User.isShadowbanned(matchData.matchedUserId)) {
+        return { success: false, error: "Matched user is shadowbanned" };
+      }
+
       const user = await User.findById(userId)
         .select("firstName lastName deviceTokens settings notificationStats")
         .lean();
@@ -209,6 +217,10 @@ class PushNotificationService {
    */
   async sendLikeNotification(userId, likeData) {
     try {
+      if (await User.isShadowbanned(likeData.likerId)) {
+        return { success: false, error: "Liker is shadowbanned" };
+      }
+
       const user = await User.findById(userId)
         .select("firstName lastName deviceTokens settings notificationStats")
         .lean();
@@ -0,0 +1,336 @@
+// services/reportService.js - Filing user reports and working the moderation queue
+const Report = require("../models/Report");
+const User = require("../models/User");
+const Message = require("../models/Message");
+const Notification = require("../models/Notification");
+const { AppError } = require("../middleware/errorHandler");
+const SecurityEventService = require("./securityEventService");
+const ModerationService = require("./moderationService");
+const EnforcementService = require("./enforcementService");
+const AgeAssuranceService = require("./ageAssuranceService");
+const pushNotificationService = require("./pushNotificationService");
+
+const MAX_EVIDENCE_ITEMS = 10;
+
+class ReportService {
+  /**
+   * Turn client-supplied evidence into stored items. Messages are only linked
+   * if they were exchanged between the two users, and their content is copied
+   * in case it is later deleted.
+   */
+  static async buildEvidence(items, reporterId, reportedUserId) {
+    const evidence = (items || []).slice(0, MAX_EVIDENCE_ITEMS);
+
+    const messageIds = evidence
+      .filter((item) => item.type === "message" && item.messageId)
+      .map((item) => item.messageId);
+    const messages = messageIds.length
+      ? await Message.find({
+          _id: { $in: messageIds },
+          $or: [
+            { sender: reportedUserId, receiver: reporterId },
+            { sender: reporterId, receiver: reportedUserId },
+          ],
+        }).lean()
+      : [];
+    const messagesById = new Map(
+      messages.map((message) => [message._id.toString(), message])
+    );
+
+    return evidence
+      .map((item) => {
+        if (item.type !== "message") {
+          return {
+            type: item.type,
+            url: item.url,
+            description: item.description,
+          };
+        }
+
+        const message = messagesById.get(String(item.messageId));
+        if (!message) return null;
+
+        return {
+          type: "message",
+          message: message._id,
+          description: item.description,
+          snapshot: {
+            sender: message.sender,
+            content: message.content,
+            messageType: message.messageType,
+            sentAt: message.createdAt,
+          },
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * File a report. Each user can report another only once.
+   */
+  static async fileReport(options) {
+    const {
+      reporter,
+      reportedUser,
+      reason,
+      details,
+      evidence,
+      source = "safety",
+      req,
+    } = options;
+
+    const alreadyReported = () =>
+      new AppError(
+        "You have already reported this user",
+        400,
+        "ALREADY_REPORTED"
+      );
+
+    if (
+      await Report.exists({
+        reporter: reporter._id,
+        reportedUser: reportedUser._id,
+      })
+    ) {
+      throw alreadyReported();
+    }
+
+    let report;
+    try {
+      report = await Report.create({
+        reporter: reporter._id,
+        reportedUser: reportedUser._id,
+        reason,
+        details,
+        evidence: await this.buildEvidence(
+          evidence,
+          reporter._id,
+          reportedUser._id
+        ),
+        source,
+        priority: Report.priorityFor(reason),
+      });
+    } catch (error) {
+      // Lost a race with a second submission
+      if (error.code === 11000) throw alreadyReported();
+      throw error;
+    }
+
+    await SecurityEventService.record("user_reported", {
+      user: reporter,
+      req,
+      metadata: { targetUser: reportedUser._id, reason, reportId: report._id },
+    });
+
+    console.log(
+      `🚨 Report ${report._id}: ${reportedUser._id} for ${reason} (${report.priorityLabel} priority)`
+    );
+
+    await EnforcementService.onReportFiled(report).catch((error) =>
+      console.error("Enforcement error:", error)
+    );
+    await AgeAssuranceService.onReportFiled(report).catch((error) =>
+      console.error("Age review error:", error)
+    );
+
+    return report;
+  }
+
+  /**
+   * Whether a staff member may work a report. Nobody handles a report
+   * against themselves, admins included. Escalated reports are admin only;
+   * claimed ones belong to their assignee unless an admin takes over.
+   */
+  static canHandle(report, staff) {
+    if (report.reportedUser?.equals(staff._id)) return false;
+    if (staff.role === "admin") return true;
+    if (report.escalation?.escalatedAt) return false;
+
+    return !report.assignee || report.assignee.equals(staff._id);
+  }
+
+  static async assertWorkable(report, staff) {
+    if (!report.isOpen) {
+      throw new AppError("Report is already closed", 409, "REPORT_CLOSED");
+    }
+
+    if (!this.canHandle(report, staff)) {
+      throw new AppError(
+        report.reportedUser?.equals(staff._id)
+          ? "You can't handle a report against yourself"
+          : report.escalation?.escalatedAt
+          ? "Escalated reports can only be handled by an admin"
+          : "Report is assigned to someone else",
+        403,
+        "REPORT_NOT_ASSIGNED"
+      );
+    }
+
+    // Reports against staff follow the same rules as other actions on staff
+    const reportedUser = await User.findById(report.reportedUser).select(
+      "role"
+    );
+    if (reportedUser && !ModerationService.canActOn(staff, reportedUser)) {
+      throw new AppError(
+        "Only admins can handle reports against staff",
+        403,
+        "REPORT_NOT_ASSIGNED"
+      );
+    }
+  }
+
+  /**
+   * Assign a report to a staff member
+   */
+  static async claim(report, staff) {
+    await this.assertWorkable(report, staff);
+
+    // Guard against two moderators claiming the same report at once
+    const claimed = await Report.findOneAndUpdate(
+      {
+        _id: report._id,
+        status: report.status,
+        assignee: report.assignee,
+      },
+      { status: "in_review", assignee: staff._id, claimedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new AppError(
+        "Report was just claimed by someone else",
+        409,
+        "REPORT_ALREADY_CLAIMED"
+      );
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Close a report as actioned or dismissed
+   */
+  static async resolve(report, staff, { outcome, action, note, req }) {
+    await this.assertWorkable(report, staff);
+
+    // Only close it if nobody else did in the meantime, so enforcement
+    // runs once per report
+    const resolved = await Report.findOneAndUpdate(
+      { _id: report._id, status: { $in: ["open", "in_review"] } },
+      {
+        status: outcome,
+        assignee: report.assignee || staff._id,
+        resolution: {
+          action: outcome === "actioned" ? action || "other" : "none",
+          note,
+          resolvedBy: staff._id,
+          resolvedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (!resolved) {
+      throw new AppError("Report is already closed", 409, "REPORT_CLOSED");
+    }
+
+    await ModerationService.audit("report_resolved", {
+      actor: staff,
+      target: resolved.reportedUser,
+      reason: note,
+      metadata: {
+        reportId: resolved._id,
+        outcome,
+        action: resolved.resolution.action,
+      },
+      req,
+    });
+
+    await EnforcementService.onReportResolved(resolved).catch((error) =>
+      console.error("Enforcement error:", error)
+    );
+
+    if (outcome === "actioned") {
+      this.notifyReporter(resolved).catch((error) =>
+        console.error("Report outcome notification error:", error.message)
+      );
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Hand a report up to the admins at the highest priority
+   */
+  static async escalate(report, staff, { reason, req }) {
+    await this.assertWorkable(report, staff);
+
+    if (report.escalation?.escalatedAt) {
+      throw new AppError(
+        "Report is already escalated",
+        409,
+        "REPORT_ALREADY_ESCALATED"
+      );
+    }
+
+    report.status = "open";
+    report.assignee = null;
+    report.priority = 4;
+    report.escalation = {
+      escalatedAt: new Date(),
+      escalatedBy: staff._id,
+      reason,
+    };
+    await report.save();
+
+    await ModerationService.audit("report_escalated", {
+      actor: staff,
+      target: report.reportedUser,
+      reason,
+      metadata: { reportId: report._id },
+      req,
+    });
+
+    return report;
+  }
+
+  /**
+   * Add an internal moderator note
+   */
+  static async addNote(report, staff, body) {
+    report.notes.push({ author: staff._id, body });
+    await report.save();
+
+    return report.notes[report.notes.length - 1];
+  }
+
+  /**
+   * Let the reporter know action was taken, without saying what
+   */
+  static async notifyReporter(report) {
+    if (!report.reporter) return;
+
+    const title = "Thanks for your report";
+    const message =
+      "We reviewed the account you reported and took action. Reports like yours help keep Habibi safe.";
+    const data = { type: "report_actioned", reportId: report._id };
+
+    await Notification.createSystemNotification(
+      report.reporter,
+      title,
+      message,
+      data
+    );
+    await pushNotificationService.sendGenericNotification(
+      report.reporter,
+      title,
+      message,
+      data
+    );
+
+    await Report.updateOne(
+      { _id: report._id },
+      { reporterNotifiedAt: new Date() }
+    );
+  }
+}
+
+module.exports = ReportService;
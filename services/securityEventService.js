@@ -0,0 +1,133 @@
+// services/securityEventService.js - Persistent account security history
+const crypto = require("crypto");
+const SecurityEvent = require("../models/SecurityEvent");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const pushNotificationService = require("./pushNotificationService");
+const { parseUserAgent } = require("../utils/userAgent");
+
+const PLATFORMS = ["web", "android", "ios"];
+
+class SecurityEventService {
+  /**
+   * Capture IP and parsed device details from a request
+   */
+  static buildContext(req) {
+    if (!req) return {};
+
+    const userAgent = (req.get("User-Agent") || "").slice(0, 500);
+    const { deviceName, platform } = req.body || {};
+
+    const device = {
+      ...parseUserAgent(userAgent),
+      platform: PLATFORMS.includes(platform) ? platform : "unknown",
+      name: typeof deviceName === "string" ? deviceName.slice(0, 100) : "",
+    };
+    device.fingerprint = crypto
+      .createHash("sha256")
+      .update(
+        [device.browser, device.os, device.deviceType, device.platform]
+          .join("|")
+          .toLowerCase()
+      )
+      .digest("hex");
+
+    return { ip: req.ip, userAgent, device };
+  }
+
+  /**
+   * Record an event. Never throws - a logging failure must not fail the
+   * request that triggered it.
+   */
+  static async record(type, { user = null, email, req, metadata = {} } = {}) {
+    try {
+      return await SecurityEvent.create({
+        type,
+        user: user?._id || user,
+        email: email || user?.email,
+        metadata,
+        ...this.buildContext(req),
+      });
+    } catch (error) {
+      console.error(`Security event (${type}) error:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record a successful login and alert the user when it's from a new device
+   */
+  static async recordLogin(user, req, method = "password") {
+    const { device } = this.buildContext(req);
+
+    const [hasPriorLogin, isKnownDevice] = await Promise.all([
+      SecurityEvent.exists({ user: user._id, type: "login_success" }),
+      SecurityEvent.hasLoggedInFrom(user._id, device.fingerprint),
+    ]);
+
+    const event = await this.record("login_success", {
+      user,
+      req,
+      metadata: { method, newDevice: !!hasPriorLogin && !isKnownDevice },
+    });
+
+    // A user's very first login isn't worth an alert
+    if (event && hasPriorLogin && !isKnownDevice) {
+      this.notifyNewDevice(user, event).catch((error) =>
+        console.error("New device notification error:", error.message)
+      );
+    }
+
+    return event;
+  }
+
+  /**
+   * Count a failed login or re-authentication against the account lock,
+   * recording the failure and any lockout it causes
+   */
+  static async recordFailedLogin(user, req, reason = "invalid_password") {
+    const wasLocked = user.isLocked;
+    await user.incLoginAttempts();
+
+    await this.record("login_failed", { user, req, metadata: { reason } });
+
+    if (!wasLocked) {
+      const updated = await User.findById(user._id).select("lockUntil");
+      if (updated?.isLocked) {
+        await this.record("account_locked", {
+          user,
+          req,
+          metadata: { lockUntil: updated.lockUntil },
+        });
+      }
+    }
+  }
+
+  /**
+   * Send an in-app and push alert about a login from an unrecognised device
+   */
+  static async notifyNewDevice(user, event) {
+    const { browser, os } = event.device;
+    const title = "New sign-in to your account";
+    const message = `We noticed a sign-in from ${browser} on ${os}. If this wasn't you, change your password and use emergency logout.`;
+    const data = { type: "new_device_login", eventId: event._id };
+
+    await Notification.createSystemNotification(
+      user._id,
+      title,
+      message,
+      data,
+      "high"
+    );
+    await pushNotificationService.sendGenericNotification(
+      user._id,
+      title,
+      message,
+      data
+    );
+
+    console.log(`🔔 New device login alert sent to user ${user._id}`);
+  }
+}
+
+module.exports = SecurityEventService;
@@ -0,0 +1,205 @@
+// services/sessionService.js - Access/refresh token pairs backed by Session
+const crypto = require("crypto");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const Match = require("../models/Match");
+const {
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+} = require("../middleware/auth");
+const { AppError } = require("../middleware/errorHandler");
+const SecurityEventService = require("./securityEventService");
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_EXPIRES_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+const PLATFORMS = ["web", "android", "ios"];
+
+// Only a hash of the refresh token id is stored
+const hashTokenId = (tokenId) =>
+  crypto.createHash("sha256").update(tokenId).digest("hex");
+
+const newTokenId = () => crypto.randomBytes(32).toString("hex");
+
+class SessionService {
+  /**
+   * Start a new session for a user and return its token pair
+   */
+  static async createSession(user, req) {
+    const tokenId = newTokenId();
+    const { deviceName, platform } = req.body || {};
+
+    const session = await Session.create({
+      user: user._id,
+      tokenId: hashTokenId(tokenId),
+      device: {
+        name: typeof deviceName === "string" ? deviceName.slice(0, 100) : "",
+        platform: PLATFORMS.includes(platform) ? platform : "unknown",
+      },
+      ip: req.ip,
+      userAgent: (req.get("User-Agent") || "").slice(0, 500),
+      expiresAt: new Date(
+        Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000
+      ),
+    });
+
+    return this.buildTokenPair(user, session, tokenId);
+  }
+
+  /**
+   * Record a successful login and start its session. Logging in during the
+   * deletion grace period cancels the deletion.
+   */
+  static async completeLogin(user, req, method = "password") {
+    const deletionCancelled = user.isPendingDeletion;
+    if (deletionCancelled) {
+      user.cancelDeletion();
+    }
+
+    user.lastActive = new Date();
+    user.lastLoginIP = req.ip;
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    const tokens = await this.createSession(user, req);
+    await SecurityEventService.recordLogin(user, req, method);
+
+    if (deletionCancelled) {
+      await Match.resumeForUser(user._id);
+      await SecurityEventService.record("account_deletion_cancelled", {
+        user,
+        req,
+      });
+      console.log(`♻️ Deletion of account ${user._id} cancelled by login`);
+      return { ...tokens, deletionCancelled: true };
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Exchange a refresh token for a new pair, revoking the family on reuse
+   */
+  static async rotateSession(refreshToken, req) {
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      if (error.name === "TokenExpiredError") {
+        throw new AppError("Refresh token expired", 401, "REFRESH_EXPIRED");
+      }
+      throw new AppError("Invalid refresh token", 401, "INVALID_REFRESH");
+    }
+
+    if (!decoded.sid || !decoded.jti) {
+      throw new AppError("Invalid refresh token", 401, "INVALID_REFRESH");
+    }
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || session.user.toString() !== decoded.userId) {
+      throw new AppError("Invalid refresh token", 401, "INVALID_REFRESH");
+    }
+
+    if (!session.isActive) {
+      throw new AppError("Session has been revoked", 401, "SESSION_REVOKED");
+    }
+
+    // Check the account before rotating, so a refused refresh leaves the
+    // presented token usable instead of turning its next use into reuse
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.isActive) {
+      await session.revoke("security");
+      throw new AppError("Account is deactivated", 401, "ACCOUNT_DEACTIVATED");
+    }
+
+    if (user.isLocked) {
+      throw new AppError(
+        "Account is temporarily locked",
+        423,
+        "ACCOUNT_LOCKED"
+      );
+    }
+
+    // Atomically swap the token id so concurrent refreshes can't both win
+    const tokenId = newTokenId();
+    const rotated = await Session.findOneAndUpdate(
+      {
+        _id: session._id,
+        tokenId: hashTokenId(decoded.jti),
+        revokedAt: null,
+      },
+      {
+        $set: {
+          tokenId: hashTokenId(tokenId),
+          lastUsed: new Date(),
+          ip: req.ip,
+          userAgent: (req.get("User-Agent") || "").slice(0, 500),
+        },
+        $inc: { rotationCount: 1 },
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      // A superseded token was presented - assume the family is compromised
+      await session.revoke("token_reuse");
+      req.io?.disconnectSession?.(session._id.toString(), "token_reuse");
+      console.log(
+        `🚨 Refresh token reuse detected for user ${decoded.userId}, session ${session._id} revoked`
+      );
+      throw new AppError(
+        "Refresh token has already been used. Please log in again.",
+        401,
+        "TOKEN_REUSE_DETECTED"
+      );
+    }
+
+    return {
+      user,
+      tokens: this.buildTokenPair(user, rotated, tokenId),
+    };
+  }
+
+  /**
+   * Invalidate every access token and refresh session a user holds
+   */
+  static async invalidateAllTokens(userId, reason = "security") {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      {
+        $inc: { tokenVersion: 1 },
+        $set: { lastLogout: new Date() },
+      },
+      { new: true }
+    );
+
+    const revokedSessions = await Session.revokeAllForUser(userId, reason);
+
+    return { tokenVersion: user?.tokenVersion, revokedSessions };
+  }
+
+  /**
+   * Sign the access and refresh tokens for a session
+   */
+  static buildTokenPair(user, session, tokenId) {
+    return {
+      token: generateToken(user._id, {
+        sessionId: session._id,
+        tokenVersion: user.tokenVersion,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      }),
+      refreshToken: generateRefreshToken(user._id, {
+        sessionId: session._id,
+        tokenId,
+        expiresIn: `${REFRESH_TOKEN_EXPIRES_DAYS}d`,
+      }),
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      sessionId: session._id,
+    };
+  }
+}
+
+module.exports = SessionService;
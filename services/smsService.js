@@ -0,0 +1,134 @@
+// services/smsService.js - SMS delivery with pluggable providers
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+// Providers share one interface: async send({ to, body })
+const createTwilioProvider = () => {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+  return {
+    name: "twilio",
+    send: async ({ to, body }) => {
+      const response = await axios.post(
+        `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+        new URLSearchParams({
+          To: to,
+          From: process.env.TWILIO_FROM_NUMBER,
+          Body: body,
+        }).toString(),
+        {
+          auth: { username: accountSid, password: authToken },
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          timeout: 10000,
+        }
+      );
+
+      return { messageId: response.data.sid };
+    },
+  };
+};
+
+const createFileProvider = () => {
+  const outboxDir =
+    process.env.SMS_OUTBOX_DIR || path.join(process.cwd(), "outbox", "sms");
+
+  return {
+    name: "file",
+    send: async (sms) => {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+
+      const messageId = `${Date.now()}_${Math.random()
+        .toString(36)
+        .substring(2, 9)}`;
+      const filePath = path.join(outboxDir, `${messageId}.json`);
+
+      await fs.promises.writeFile(
+        filePath,
+        JSON.stringify({ ...sms, sentAt: new Date() }, null, 2)
+      );
+
+      console.log(`📬 SMS written to outbox: ${filePath}`);
+      return { messageId, filePath };
+    },
+  };
+};
+
+const createConsoleProvider = () => ({
+  name: "console",
+  send: async (sms) => {
+    console.log("📱 SIMULATED SMS");
+    console.log("==============================");
+    console.log(`📨 To: ${sms.to}`);
+    console.log(`💬 ${sms.body}`);
+    console.log("==============================\n");
+
+    return { messageId: `console_${Date.now()}` };
+  },
+});
+
+const providers = {
+  twilio: createTwilioProvider,
+  file: createFileProvider,
+  console: createConsoleProvider,
+};
+
+class SmsService {
+  constructor() {
+    this.provider = null;
+  }
+
+  getProvider() {
+    if (this.provider) {
+      return this.provider;
+    }
+
+    let type = process.env.SMS_PROVIDER || "console";
+
+    if (type === "twilio" && !process.env.TWILIO_ACCOUNT_SID) {
+      console.log("⚠️  Twilio credentials not set. SMS will be logged.");
+      type = "console";
+    }
+
+    if (!providers[type]) {
+      console.log(`⚠️  Unknown SMS_PROVIDER "${type}", using console`);
+      type = "console";
+    }
+
+    this.provider = providers[type]();
+    return this.provider;
+  }
+
+  // Swap the provider (used by scripts and local tooling)
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Send a text message through the configured provider
+   */
+  async send(to, body) {
+    try {
+      const provider = this.getProvider();
+      const result = await provider.send({ to, body });
+
+      return { success: true, provider: provider.name, ...result };
+    } catch (error) {
+      console.error("SMS send error:", error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send a phone verification code
+   */
+  async sendVerificationCode(phoneNumber, code) {
+    return this.send(
+      phoneNumber,
+      `Your Habibi verification code is ${code}. It expires in 10 minutes.`
+    );
+  }
+}
+
+module.exports = new SmsService();
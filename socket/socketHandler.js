@@ -2,6 +2,9 @@ const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 const Match = require("../models/Match");
 const Message = require("../models/Message");
+const Session = require("../models/Session");
+const { isEmailVerificationRequired } = require("../middleware/auth");
+const AgeAssuranceService = require("../services/ageAssuranceService");
 
 // Enhanced tracking with better performance
 const onlineUsers = new Map(); // userId -> { socketId, user, connectedAt, lastSeen, rooms }
@@ -38,6 +41,11 @@ const socketHandler = (io) => {
         process.env.JWT_SECRET || "your-secret-key"
       );
 
+      // Scoped tokens (2FA challenges etc.) are not access tokens
+      if (decoded.type) {
+        return next(new Error("Invalid token"));
+      }
+
       const userId = decoded.userId;
 
       // Check if user is blocked
@@ -123,6 +131,30 @@ const socketHandler = (io) => {
         return next(new Error("User not found or inactive"));
       }
 
+      // Suspended and banned accounts can't connect, as over HTTP
+      if (user.isRestricted) {
+        console.log("❌ Socket auth failed: Account restricted:", userId);
+        return next(
+          new Error(
+            user.moderation.status === "banned"
+              ? "This account has been banned"
+              : "This account is suspended"
+          )
+        );
+      }
+
+      // Reject tokens issued before the last forced logout
+      if (!user.isTokenCurrent(decoded)) {
+        console.log("❌ Socket auth failed: Token revoked for user", userId);
+        return next(new Error("Token revoked"));
+      }
+
+      // Reject tokens whose session has been signed out
+      if (decoded.sid && (await Session.isRevoked(decoded.sid))) {
+        console.log("❌ Socket auth failed: Session revoked for user", userId);
+        return next(new Error("Session revoked"));
+      }
+
       // Check for account lockout
       if (user.isLocked) {
         return next(new Error("Account is temporarily locked"));
@@ -130,6 +162,7 @@ const socketHandler = (io) => {
 
       // Attach user data to socket
       socket.userId = user._id.toString();
+      socket.sessionId = decoded.sid || null;
       socket.user = {
         _id: user._id,
         firstName: user.firstName,
@@ -137,6 +170,7 @@ const socketHandler = (io) => {
         photos: user.photos,
         safety: user.safety,
         settings: user.settings,
+        verification: user.verification,
       };
 
       console.log(`✅ Socket authenticated: ${user.firstName} (${user._id})`);
@@ -358,6 +392,19 @@ const socketHandler = (io) => {
           return;
         }
 
+        // Gate messaging on a verified email when configured
+        if (
+          isEmailVerificationRequired() &&
+          !user.verification?.emailVerified
+        ) {
+          socket.emit("error", {
+            message: "Please verify your email address to send messages",
+            code: "EMAIL_NOT_VERIFIED",
+            tempId,
+          });
+          return;
+        }
+
         console.log(`💬 Message from ${user.firstName} in match ${matchId}`);
 
         // Rate limiting check
@@ -405,6 +452,18 @@ const socketHandler = (io) => {
           return;
         }
 
+        // Nobody messages, or is messaged by, an account under age review
+        if (
+          await AgeAssuranceService.isMessagingBlocked([userId, otherUser._id])
+        ) {
+          socket.emit("error", {
+            message: "Messaging is paused while an age check is pending",
+            code: "AGE_REVIEW_PENDING",
+            tempId,
+          });
+          return;
+        }
+
         // Check match status
         if (match.status === "expired") {
           socket.emit("error", {
@@ -414,6 +473,15 @@ const socketHandler = (io) => {
           return;
         }
 
+        // Paused matches belong to a deactivated or restricted account
+        if (match.status !== "active") {
+          socket.emit("error", {
+            message: "Cannot send message to inactive match",
+            tempId,
+          });
+          return;
+        }
+
         // Content filtering for safety
         const filteredContent = content
           .trim()
@@ -421,17 +489,23 @@ const socketHandler = (io) => {
           .replace(/javascript:/gi, "")
           .replace(/on\w+\s*=/gi, "");
 
-        // Create and save message
+        // Create and save message. A shadowbanned sender's messages are
+        // stored but only echoed back to their own devices.
         const message = new Message({
           match: matchId,
           sender: userId,
           receiver: otherUser._id,
           content: filteredContent,
           messageType,
+          withheld: await User.isShadowbanned(userId),
         });
 
         await message.save();
 
+        AgeAssuranceService.checkMessage(message).catch((error) =>
+          console.error("Age review error:", error)
+        );
+
         // Update match activity
         const isFirstMessage = !match.firstMessageSentAt;
         if (isFirstMessage) {
@@ -461,7 +535,12 @@ const socketHandler = (io) => {
 
         // Send to all users in the match room
         const roomName = `match_${matchId}`;
-        io.to(roomName).emit("new_message", formattedMessage);
+        const emitToConversation = (event, payload) =>
+          message.withheld
+            ? io.sendToUser(userId, event, payload)
+            : io.to(roomName).emit(event, payload);
+
+        emitToConversation("new_message", formattedMessage);
 
         // Clear typing indicator
         clearTypingIndicator(userId, matchId, roomName);
@@ -471,7 +550,11 @@ const socketHandler = (io) => {
 
         // Send push notification if other user is offline
         const isOtherUserOnline = onlineUsers.has(otherUser._id.toString());
-        if (!isOtherUserOnline && otherUser.settings?.notifications?.messages) {
+        if (
+          !message.withheld &&
+          !isOtherUserOnline &&
+          otherUser.settings?.notifications?.messages
+        ) {
           const pushNotificationService = require("../services/pushNotificationService");
 
           const senderPhoto =
@@ -493,7 +576,7 @@ const socketHandler = (io) => {
 
         // Emit conversation started event if first message
         if (isFirstMessage) {
-          io.to(roomName).emit("conversation_started", {
+          emitToConversation("conversation_started", {
             matchId,
             startedBy: userId,
             startedAt: new Date(),
@@ -823,6 +906,46 @@ const socketHandler = (io) => {
     return 0;
   };
 
+  io.disconnectUser = (userId, reason = "logout") => {
+    const socketIds = userSockets.get(userId.toString());
+    if (!socketIds) {
+      return 0;
+    }
+
+    let disconnected = 0;
+    for (const socketId of Array.from(socketIds)) {
+      const socket = io.sockets.sockets.get(socketId);
+      if (socket) {
+        socket.emit("force_logout", { reason, timestamp: new Date() });
+        socket.disconnect(true);
+        disconnected++;
+      }
+    }
+
+    console.log(
+      `🔌 Force-disconnected ${disconnected} socket(s) for user ${userId}: ${reason}`
+    );
+    return disconnected;
+  };
+
+  io.disconnectSession = (sessionId, reason = "logout") => {
+    let disconnected = 0;
+    for (const socket of io.sockets.sockets.values()) {
+      if (socket.sessionId === sessionId.toString()) {
+        socket.emit("force_logout", { reason, timestamp: new Date() });
+        socket.disconnect(true);
+        disconnected++;
+      }
+    }
+
+    if (disconnected > 0) {
+      console.log(
+        `🔌 Force-disconnected ${disconnected} socket(s) for session ${sessionId}: ${reason}`
+      );
+    }
+    return disconnected;
+  };
+
   // Clean up old connection attempts and blocked users periodically
   setInterval(() => {
     const now = Date.now();
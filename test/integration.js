@@ -1,7 +1,10 @@
 // test/integration.js - Basic integration tests for Habibi
 
+const fs = require("fs");
+const path = require("path");
 const axios = require("axios");
 const io = require("socket.io-client");
+const TotpService = require("../services/totpService");
 
 const API_URL = "http://localhost:5000";
 const SOCKET_URL = "http://localhost:5000";
@@ -11,6 +14,11 @@ const testConfig = {
   timeout: 10000,
   apiUrl: API_URL,
   socketUrl: SOCKET_URL,
+  // Matches the server's CAPTCHA stub; run the server with CAPTCHA_PROVIDER=stub
+  captchaToken: process.env.CAPTCHA_STUB_PASS_TOKEN || "captcha-pass",
+  // Staff account for moderation checks (promote it with bootstrap-admin.js)
+  adminEmail: process.env.TEST_ADMIN_EMAIL,
+  adminPassword: process.env.TEST_ADMIN_PASSWORD,
 };
 
 // Test users
@@ -72,6 +80,48 @@ const apiCall = async (method, endpoint, data = null, token = null) => {
   }
 };
 
+// Register a throwaway copy of the first test user, for checks that change
+// account state
+const registerFreshUser = async (label, profile = testUsers[0]) => {
+  const email = `${label}.${Date.now()}@test.com`;
+  const result = await apiCall("POST", "/api/auth/register", {
+    ...profile,
+    email,
+    captchaToken: testConfig.captchaToken,
+  });
+
+  return result.success ? { ...result.data, email } : null;
+};
+
+// Upload test-image.png as the user's photo (needs Cloudinary on the server)
+const uploadTestPhoto = async (token) => {
+  const form = new FormData();
+  form.append(
+    "photo",
+    new Blob([fs.readFileSync(path.join(__dirname, "..", "test-image.png"))], {
+      type: "image/png",
+    }),
+    "test-image.png"
+  );
+
+  try {
+    const response = await axios.post(
+      `${testConfig.apiUrl}/api/photos/upload`,
+      form,
+      {
+        timeout: testConfig.timeout,
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return { success: true, data: response.data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.response?.data || { message: error.message },
+    };
+  }
+};
+
 // Test functions
 async function testServerHealth() {
   logTest("Testing server health...");
@@ -92,7 +142,10 @@ async function testUserRegistration() {
 
   for (let i = 0; i < testUsers.length; i++) {
     const userData = testUsers[i];
-    const result = await apiCall("POST", "/api/auth/register", userData);
+    const result = await apiCall("POST", "/api/auth/register", {
+      ...userData,
+      captchaToken: testConfig.captchaToken,
+    });
 
     if (result.success && result.data.success) {
       testState.users.push(result.data.user);
@@ -129,6 +182,403 @@ async function testUserLogin() {
   }
 }
 
+async function testRefreshTokenRotation() {
+  logTest("Testing refresh token rotation and reuse detection...");
+
+  const account = await registerFreshUser("rotation");
+  if (!account?.refreshToken) {
+    logTest("Registration did not return a refresh token", "error");
+    return false;
+  }
+
+  const rotated = await apiCall("POST", "/api/auth/refresh", {
+    refreshToken: account.refreshToken,
+  });
+  if (!rotated.success || rotated.data.refreshToken === account.refreshToken) {
+    logTest("Refresh did not rotate the token", "error");
+    return false;
+  }
+
+  // Presenting the superseded token again must revoke the whole session
+  const reused = await apiCall("POST", "/api/auth/refresh", {
+    refreshToken: account.refreshToken,
+  });
+  if (reused.success || reused.error.code !== "TOKEN_REUSE_DETECTED") {
+    logTest("Reused refresh token was not rejected", "error");
+    return false;
+  }
+
+  const afterReuse = await apiCall("POST", "/api/auth/refresh", {
+    refreshToken: rotated.data.refreshToken,
+  });
+  if (afterReuse.success || afterReuse.error.code !== "SESSION_REVOKED") {
+    logTest("Session survived refresh token reuse", "error");
+    return false;
+  }
+
+  logTest("Refresh tokens rotate and reuse revokes the session", "success");
+  return true;
+}
+
+async function testSessionRevocation() {
+  logTest("Testing remote session sign-out...");
+
+  const account = await registerFreshUser("sessions");
+  if (!account) {
+    logTest("Failed to register user for session test", "error");
+    return false;
+  }
+
+  const revoked = await apiCall(
+    "DELETE",
+    `/api/auth/sessions/${account.sessionId}`,
+    null,
+    account.token
+  );
+  if (!revoked.success) {
+    logTest(`Failed to revoke session: ${revoked.error.message}`, "error");
+    return false;
+  }
+
+  // The access token belongs to the revoked session, so it stops working now
+  // rather than when it expires
+  const profile = await apiCall("GET", "/api/profile", null, account.token);
+  if (profile.success || profile.error.code !== "SESSION_REVOKED") {
+    logTest("Access token still works after its session was revoked", "error");
+    return false;
+  }
+
+  logTest("Revoked session's access token is rejected", "success");
+  return true;
+}
+
+async function testEmergencyLogout() {
+  logTest("Testing emergency logout token invalidation...");
+
+  const account = await registerFreshUser("emergency");
+  if (!account) {
+    logTest("Failed to register user for emergency logout test", "error");
+    return false;
+  }
+
+  const logout = await apiCall(
+    "POST",
+    "/api/safety/emergency-logout",
+    null,
+    account.token
+  );
+  if (!logout.success) {
+    logTest(`Emergency logout failed: ${logout.error.message}`, "error");
+    return false;
+  }
+
+  // Bumping tokenVersion invalidates every access token issued before it
+  const profile = await apiCall("GET", "/api/profile", null, account.token);
+  if (profile.success || profile.error.code !== "TOKEN_REVOKED") {
+    logTest("Access token still works after emergency logout", "error");
+    return false;
+  }
+
+  const socketRejected = await new Promise((resolve) => {
+    const socket = io(testConfig.socketUrl, {
+      auth: { token: account.token },
+      transports: ["polling", "websocket"],
+      reconnection: false,
+    });
+    const timeout = setTimeout(() => {
+      socket.disconnect();
+      resolve(false);
+    }, 5000);
+
+    socket.on("connect", () => {
+      clearTimeout(timeout);
+      socket.disconnect();
+      resolve(false);
+    });
+    socket.on("connect_error", () => {
+      clearTimeout(timeout);
+      resolve(true);
+    });
+  });
+  if (!socketRejected) {
+    logTest("Socket accepted a token revoked by emergency logout", "error");
+    return false;
+  }
+
+  logTest("Emergency logout revoked issued tokens", "success");
+  return true;
+}
+
+async function testTotpReplay() {
+  logTest("Testing TOTP replay protection...");
+
+  const account = await registerFreshUser("totp");
+  if (!account) {
+    logTest("Failed to register user for 2FA test", "error");
+    return false;
+  }
+
+  const setup = await apiCall(
+    "POST",
+    "/api/auth/2fa/setup",
+    null,
+    account.token
+  );
+  if (!setup.success) {
+    logTest(`2FA setup failed: ${setup.error.message}`, "error");
+    return false;
+  }
+
+  const code = TotpService.generateCode(setup.data.secret);
+  const confirm = await apiCall(
+    "POST",
+    "/api/auth/2fa/confirm",
+    { code },
+    account.token
+  );
+  if (!confirm.success) {
+    logTest(`2FA confirm failed: ${confirm.error.message}`, "error");
+    return false;
+  }
+
+  const login = await apiCall("POST", "/api/auth/login", {
+    email: account.email,
+    password: testUsers[0].password,
+    captchaToken: testConfig.captchaToken,
+  });
+  if (!login.success || !login.data.challengeToken) {
+    logTest("Login did not ask for the second factor", "error");
+    return false;
+  }
+
+  // The code that confirmed enrollment has been used and must not log in
+  const replay = await apiCall("POST", "/api/auth/2fa/verify", {
+    challengeToken: login.data.challengeToken,
+    code,
+  });
+  if (replay.success || replay.error.code !== "INVALID_MFA_CODE") {
+    logTest("A used TOTP code was accepted again", "error");
+    return false;
+  }
+
+  logTest("Used TOTP codes are rejected", "success");
+  return true;
+}
+
+async function testRegistrationCaptcha() {
+  logTest("Testing CAPTCHA on registration...");
+
+  const userData = {
+    ...testUsers[0],
+    email: `captcha.${Date.now()}@test.com`,
+  };
+
+  const missing = await apiCall("POST", "/api/auth/register", userData);
+  if (missing.success || missing.error.code !== "CAPTCHA_REQUIRED") {
+    logTest("Registration without a CAPTCHA was not refused", "error");
+    return false;
+  }
+
+  const invalid = await apiCall("POST", "/api/auth/register", {
+    ...userData,
+    captchaToken: "not-the-pass-token",
+  });
+  if (invalid.success || invalid.error.code !== "CAPTCHA_INVALID") {
+    logTest("Registration with a wrong CAPTCHA was not refused", "error");
+    return false;
+  }
+
+  logTest("Registration requires a solved CAPTCHA", "success");
+  return true;
+}
+
+// Register two users and match them
+// Log in as the configured staff account, or explain how to set one up
+const loginAdmin = async () => {
+  if (!testConfig.adminEmail || !testConfig.adminPassword) {
+    logTest(
+      "Set TEST_ADMIN_EMAIL and TEST_ADMIN_PASSWORD to run this check",
+      "error"
+    );
+    return null;
+  }
+
+  const admin = await apiCall("POST", "/api/auth/login", {
+    email: testConfig.adminEmail,
+    password: testConfig.adminPassword,
+    captchaToken: testConfig.captchaToken,
+  });
+  if (!admin.success || !admin.data.token) {
+    logTest("Admin login failed", "error");
+    return null;
+  }
+
+  return admin.data.token;
+};
+
+const createMatchedPair = async (label) => {
+  const first = await registerFreshUser(`${label}-a`, testUsers[0]);
+  const second = await registerFreshUser(`${label}-b`, testUsers[1]);
+  if (!first || !second) return null;
+
+  await apiCall(
+    "POST",
+    "/api/matching/swipe",
+    { userId: second.user._id, action: "like" },
+    first.token
+  );
+  const swipe = await apiCall(
+    "POST",
+    "/api/matching/swipe",
+    { userId: first.user._id, action: "like" },
+    second.token
+  );
+  if (!swipe.success || !swipe.data.match) return null;
+
+  return { first, second, matchId: swipe.data.match._id };
+};
+
+async function testWithheldMessages() {
+  logTest("Testing messages withheld from a shadowbanned sender...");
+
+  const adminToken = await loginAdmin();
+  if (!adminToken) {
+    return false;
+  }
+
+  const pair = await createMatchedPair("withheld");
+  if (!pair) {
+    logTest("Failed to create a match for the shadowban test", "error");
+    return false;
+  }
+  const { first: recipient, second: sender, matchId } = pair;
+
+  const shadowban = await apiCall(
+    "POST",
+    `/api/admin/users/${sender.user._id}/shadowban`,
+    { reason: "Integration test" },
+    adminToken
+  );
+  if (!shadowban.success) {
+    logTest(`Shadowban failed: ${shadowban.error.message}`, "error");
+    return false;
+  }
+
+  const content = `Withheld message ${Date.now()}`;
+  const sent = await apiCall(
+    "POST",
+    `/api/chat/${matchId}/messages`,
+    { content },
+    sender.token
+  );
+  if (!sent.success) {
+    logTest(`Shadowbanned user could not send: ${sent.error.message}`, "error");
+    return false;
+  }
+
+  // The sender sees their message as usual
+  const senderView = await apiCall(
+    "GET",
+    `/api/chat/${matchId}/messages`,
+    null,
+    sender.token
+  );
+  if (!senderView.data?.messages?.some((m) => m.content === content)) {
+    logTest("Sender can't see their own withheld message", "error");
+    return false;
+  }
+
+  // The recipient sees no trace of it anywhere
+  const [conversation, matches, unread] = await Promise.all([
+    apiCall("GET", `/api/chat/${matchId}/messages`, null, recipient.token),
+    apiCall("GET", "/api/matching/matches", null, recipient.token),
+    apiCall("GET", "/api/chat/unread-summary", null, recipient.token),
+  ]);
+  const matchEntry = matches.data?.matches?.find((m) => m._id === matchId);
+
+  if (
+    !conversation.success ||
+    conversation.data.messages.some((m) => m.content === content) ||
+    !matchEntry ||
+    matchEntry.lastMessage ||
+    matchEntry.unreadCount !== 0 ||
+    !unread.success ||
+    unread.data.summary.totalUnread !== 0
+  ) {
+    logTest("Withheld message reached the recipient", "error");
+    return false;
+  }
+
+  logTest("Withheld messages only reach their sender", "success");
+  return true;
+}
+
+async function testRoleGrantLimits() {
+  logTest("Testing that role managers can't grant more than they hold...");
+
+  const adminToken = await loginAdmin();
+  if (!adminToken) {
+    return false;
+  }
+
+  const manager = await registerFreshUser("role-manager");
+  const target = await registerFreshUser("role-target", testUsers[1]);
+  if (!manager || !target) {
+    logTest("Failed to register users for the role check", "error");
+    return false;
+  }
+
+  // Support staff who may manage roles, but hold no other extra permissions
+  const promoted = await apiCall(
+    "PUT",
+    `/api/admin/users/${manager.user._id}/role`,
+    { role: "support", permissions: ["users:manage_roles"] },
+    adminToken
+  );
+  if (!promoted.success) {
+    logTest(`Promotion failed: ${promoted.error.message}`, "error");
+    return false;
+  }
+
+  const changeTargetRole = (body) =>
+    apiCall(
+      "PUT",
+      `/api/admin/users/${target.user._id}/role`,
+      body,
+      manager.token
+    );
+
+  const staffRole = await changeTargetRole({ role: "moderator" });
+  const unheldPermission = await changeTargetRole({
+    role: "user",
+    permissions: ["audit:read"],
+  });
+  if (
+    staffRole.success ||
+    staffRole.error.code !== "FORBIDDEN" ||
+    unheldPermission.success ||
+    unheldPermission.error.code !== "FORBIDDEN"
+  ) {
+    logTest("Role manager granted more than they hold", "error");
+    return false;
+  }
+
+  const heldPermission = await changeTargetRole({
+    role: "user",
+    permissions: ["users:read"],
+  });
+  if (!heldPermission.success) {
+    logTest(
+      `Role manager couldn't pass on a held permission: ${heldPermission.error.message}`,
+      "error"
+    );
+    return false;
+  }
+
+  logTest("Role managers only grant what they hold", "success");
+  return true;
+}
+
 async function testProfileOperations() {
   logTest("Testing profile operations...");
 
@@ -179,6 +629,78 @@ async function testDiscoveryEndpoint() {
   }
 }
 
+async function testDiscoveryNeverRepeats() {
+  logTest("Testing that discovery never serves a profile twice...");
+
+  // A fresh viewer somewhere remote, with more discoverable profiles next to
+  // them than fit on one page
+  const location = {
+    latitude: -40 + Math.random(),
+    longitude: -140 + Math.random(),
+  };
+  const viewer = await registerFreshUser("discovery-viewer", testUsers[1]);
+  if (!viewer) {
+    logTest("Failed to register the discovery viewer", "error");
+    return false;
+  }
+  await apiCall("PUT", "/api/profile/location", location, viewer.token);
+
+  const candidateIds = new Set();
+  for (let i = 0; i < 12; i++) {
+    const candidate = await registerFreshUser(`discovery-candidate-${i}`);
+    if (!candidate) {
+      logTest("Failed to register a discovery candidate", "error");
+      return false;
+    }
+
+    const upload = await uploadTestPhoto(candidate.token);
+    if (!upload.success) {
+      logTest(`Photo upload failed: ${upload.error.message}`, "error");
+      return false;
+    }
+    await apiCall("PUT", "/api/profile/location", location, candidate.token);
+    candidateIds.add(candidate.user._id);
+  }
+
+  const seen = new Set();
+  let cursor = null;
+
+  // Page through the deck, then start over without a cursor: every profile
+  // served so far must stay out of the new pages too
+  for (let page = 0; page < 6; page++) {
+    const query = page === 3 || !cursor ? "" : `?cursor=${cursor}`;
+    const result = await apiCall(
+      "GET",
+      `/api/matching/discover${query}`,
+      null,
+      viewer.token
+    );
+    if (!result.success) {
+      logTest(`Discovery failed: ${result.error.message}`, "error");
+      return false;
+    }
+
+    for (const profile of result.data.users) {
+      if (seen.has(profile._id)) {
+        logTest(`Profile ${profile._id} was served twice`, "error");
+        return false;
+      }
+      seen.add(profile._id);
+    }
+
+    cursor = result.data.nextCursor;
+  }
+
+  const unserved = [...candidateIds].filter((id) => !seen.has(id));
+  if (unserved.length > 0) {
+    logTest(`${unserved.length} nearby profiles were never served`, "error");
+    return false;
+  }
+
+  logTest(`Discovery served ${seen.size} profiles, none twice`, "success");
+  return true;
+}
+
 async function testSocketConnection() {
   logTest("Testing Socket.io connection...");
 
@@ -264,9 +786,17 @@ async function runIntegrationTests() {
   const tests = [
     { name: "Server Health", fn: testServerHealth },
     { name: "User Registration", fn: testUserRegistration },
+    { name: "Registration CAPTCHA", fn: testRegistrationCaptcha },
     { name: "User Login", fn: testUserLogin },
+    { name: "Refresh Token Rotation", fn: testRefreshTokenRotation },
+    { name: "Session Revocation", fn: testSessionRevocation },
+    { name: "Emergency Logout", fn: testEmergencyLogout },
+    { name: "TOTP Replay", fn: testTotpReplay },
     { name: "Profile Operations", fn: testProfileOperations },
     { name: "Discovery Endpoint", fn: testDiscoveryEndpoint },
+    { name: "Discovery Never Repeats", fn: testDiscoveryNeverRepeats },
+    { name: "Withheld Messages", fn: testWithheldMessages },
+    { name: "Role Grant Limits", fn: testRoleGrantLimits },
     { name: "Socket Connection", fn: testSocketConnection },
     { name: "Chat Functionality", fn: testChatFunctionality },
   ];
@@ -0,0 +1,53 @@
+// utils/ageDisclosure.js - Spotting users who say they are under 18
+
+// First-person statements only, so "are you 16?" or "my sister is 15" don't
+// flag the sender. Ages are captured so 18+ statements can be ignored.
+const AGE_PATTERNS = [
+  // "I'm 15", "i am 16 years old", "im 14 yo"
+  /\bi(?:'|’)?m\s+(?:only\s+|just\s+)?(\d{1,2})\b(?!\s*(?:(?:mins?|minutes?|hours?|hrs?|h|m|km|miles?|mi|kg|lbs?|th|st|nd|rd)\b|[%:]))/i,
+  /\bi\s+am\s+(?:only\s+|just\s+)?(\d{1,2})\b(?!\s*(?:(?:mins?|minutes?|hours?|hrs?|h|m|km|miles?|mi|kg|lbs?|th|st|nd|rd)\b|[%:]))/i,
+  // "my age is 15", "i turned 16 last month", "i'll be 17 next year"
+  /\bmy\s+age\s+is\s+(\d{1,2})\b/i,
+  /\bi\s+(?:just\s+)?turned\s+(\d{1,2})\b/i,
+  /\bi(?:'|’)?ll\s+be\s+(\d{1,2})\s+(?:next|in|on|this)\b/i,
+];
+
+// School years that only minors are in
+const SCHOOL_PATTERNS = [
+  /\bi(?:'|’)?m\s+(?:in|a)\s+(?:the\s+)?(?:middle\s+school|junior\s+high|(?:[6-9]|1[0-2])(?:st|nd|rd|th)\s+grade|grade\s+(?:[6-9]|1[0-2])|year\s+(?:[7-9]|1[0-3]))\b/i,
+  /\bi\s+am\s+(?:in|a)\s+(?:the\s+)?(?:middle\s+school|junior\s+high|(?:[6-9]|1[0-2])(?:st|nd|rd|th)\s+grade|grade\s+(?:[6-9]|1[0-2])|year\s+(?:[7-9]|1[0-3]))\b/i,
+  /\bi(?:'|’)?m\s+(?:a\s+)?(?:freshman|sophomore|junior|senior)\s+in\s+high\s+school\b/i,
+];
+
+const MIN_AGE = 18;
+// Lower numbers are rarely ages ("I'm 5 mins away")
+const MIN_PLAUSIBLE_AGE = 10;
+
+/**
+ * Look for the sender saying they are under 18. Returns the matching excerpt,
+ * or null when nothing was found.
+ */
+function detectAgeDisclosure(text) {
+  if (!text || typeof text !== "string") return null;
+
+  for (const pattern of AGE_PATTERNS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+
+    const age = parseInt(match[1]);
+    if (age >= MIN_PLAUSIBLE_AGE && age < MIN_AGE) {
+      return match[0];
+    }
+  }
+
+  for (const pattern of SCHOOL_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) return match[0];
+  }
+
+  return null;
+}
+
+module.exports = {
+  detectAgeDisclosure,
+};
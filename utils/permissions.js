@@ -0,0 +1,48 @@
+// utils/permissions.js - Staff roles and what each one may do
+
+const ROLES = ["user", "support", "moderator", "admin"];
+
+// Admins implicitly hold every permission
+const ROLE_PERMISSIONS = {
+  user: [],
+  support: ["users:read", "notifications:stats"],
+  moderator: [
+    "users:read",
+    "users:moderate",
+    "reports:review",
+    "appeals:review",
+    "verifications:review",
+  ],
+  admin: [],
+};
+
+const PERMISSIONS = [
+  "users:read",
+  "users:moderate",
+  "users:manage_roles",
+  "audit:read",
+  "reports:review",
+  "appeals:review",
+  "verifications:review",
+  "notifications:send",
+  "notifications:stats",
+  "matching:maintenance",
+  "debug:access",
+];
+
+// Whether a role, plus any individually granted permissions, allows an action
+function roleHasPermission(role, permission, extraPermissions = []) {
+  if (role === "admin") return true;
+
+  return (
+    (ROLE_PERMISSIONS[role] || []).includes(permission) ||
+    extraPermissions.includes(permission)
+  );
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  PERMISSIONS,
+  roleHasPermission,
+};
@@ -0,0 +1,50 @@
+// utils/userAgent.js - Lightweight User-Agent parsing
+
+// Order matters: Edge and Opera also claim Chrome, Chrome also claims Safari
+function getBrowserFromUserAgent(userAgent) {
+  if (!userAgent) return "Unknown";
+
+  if (userAgent.includes("Edg")) return "Edge";
+  if (userAgent.includes("OPR") || userAgent.includes("Opera")) return "Opera";
+  if (userAgent.includes("Chrome")) return "Chrome";
+  if (userAgent.includes("Firefox")) return "Firefox";
+  if (userAgent.includes("Safari")) return "Safari";
+
+  return "Unknown";
+}
+
+// Android and iOS are checked first since their agents mention Linux / Mac OS
+function getOSFromUserAgent(userAgent) {
+  if (!userAgent) return "Unknown";
+
+  if (userAgent.includes("Android")) return "Android";
+  if (/iPhone|iPad|iPod|iOS/.test(userAgent)) return "iOS";
+  if (userAgent.includes("Windows")) return "Windows";
+  if (userAgent.includes("Mac OS")) return "macOS";
+  if (userAgent.includes("Linux")) return "Linux";
+
+  return "Unknown";
+}
+
+function getDeviceTypeFromUserAgent(userAgent) {
+  if (!userAgent) return "unknown";
+
+  if (/iPad|Tablet/.test(userAgent)) return "tablet";
+  if (/Mobile|Android|iPhone|iPod/.test(userAgent)) return "mobile";
+
+  return "desktop";
+}
+
+function parseUserAgent(userAgent) {
+  return {
+    browser: getBrowserFromUserAgent(userAgent),
+    os: getOSFromUserAgent(userAgent),
+    deviceType: getDeviceTypeFromUserAgent(userAgent),
+  };
+}
+
+module.exports = {
+  parseUserAgent,
+  getBrowserFromUserAgent,
+  getOSFromUserAgent,
+};